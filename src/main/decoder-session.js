@@ -0,0 +1,418 @@
+const { spawn } = require('child_process');
+
+/**
+ * Splits a concatenated MJPEG byte stream (ffmpeg image2pipe output) into
+ * individual JPEG images. Walks marker segments properly so that bytes
+ * inside headers or entropy-coded data are never mistaken for an EOI marker.
+ */
+class JpegStreamParser {
+  constructor(onImage) {
+    this.onImage = onImage;
+    this.buffer = Buffer.alloc(1 << 20);
+    this.length = 0;
+    this.pos = 0;         // Parse cursor within the current image
+    this.inScan = false;  // True while walking entropy-coded scan data
+  }
+
+  /**
+   * Feed a chunk of stdout data
+   * @param {Buffer} chunk
+   */
+  push(chunk) {
+    this.append(chunk);
+    this.parse();
+  }
+
+  /**
+   * Drop any partially received image
+   */
+  reset() {
+    this.length = 0;
+    this.pos = 0;
+    this.inScan = false;
+  }
+
+  append(chunk) {
+    const needed = this.length + chunk.length;
+    if (needed > this.buffer.length) {
+      let size = this.buffer.length * 2;
+      while (size < needed) size *= 2;
+      const grown = Buffer.alloc(size);
+      this.buffer.copy(grown, 0, 0, this.length);
+      this.buffer = grown;
+    }
+    chunk.copy(this.buffer, this.length);
+    this.length = needed;
+  }
+
+  parse() {
+    for (;;) {
+      const buf = this.buffer;
+
+      if (this.pos === 0) {
+        // Every image starts with SOI (FF D8)
+        if (this.length < 2) return;
+        if (buf[0] !== 0xFF || buf[1] !== 0xD8) {
+          if (!this.resync()) return;
+          continue;
+        }
+        this.pos = 2;
+      }
+
+      if (!this.inScan) {
+        // Marker segment: FF <marker> [length (2 bytes, includes itself)] [payload]
+        if (this.pos + 2 > this.length) return;
+        if (buf[this.pos] !== 0xFF) {
+          if (!this.resync()) return;
+          continue;
+        }
+
+        const marker = buf[this.pos + 1];
+        if (marker === 0xFF) {
+          // Fill byte
+          this.pos += 1;
+          continue;
+        }
+        if (marker === 0xD9) {
+          this.emit(this.pos + 2);
+          continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+          // Standalone markers have no length field
+          this.pos += 2;
+          continue;
+        }
+
+        if (this.pos + 4 > this.length) return;
+        const segmentEnd = this.pos + 2 + buf.readUInt16BE(this.pos + 2);
+        if (segmentEnd > this.length) return;
+        this.pos = segmentEnd;
+
+        if (marker === 0xDA) {
+          // Start of scan - entropy-coded data follows the header
+          this.inScan = true;
+        }
+      } else {
+        // Scan data ends at the first marker that isn't byte stuffing (FF 00) or a restart marker
+        let i = this.pos;
+        while (i + 1 < this.length) {
+          if (buf[i] === 0xFF) {
+            const next = buf[i + 1];
+            if (next === 0xFF) {
+              i += 1;
+              continue;
+            }
+            if (next !== 0x00 && (next < 0xD0 || next > 0xD7)) {
+              break;
+            }
+            i += 2;
+            continue;
+          }
+          i++;
+        }
+
+        this.pos = i;
+        if (i + 1 >= this.length) return;
+        this.inScan = false;
+      }
+    }
+  }
+
+  /**
+   * Skip garbage up to the next SOI marker
+   * @returns {boolean} True if an SOI marker was found
+   */
+  resync() {
+    const start = this.buffer.subarray(1, this.length).indexOf(Buffer.from([0xFF, 0xD8]));
+    if (start === -1) {
+      // Keep a trailing FF in case the SOI is split across chunks
+      const keep = this.length > 0 && this.buffer[this.length - 1] === 0xFF ? 1 : 0;
+      this.discard(this.length - keep);
+      return false;
+    }
+    this.discard(start + 1);
+    return true;
+  }
+
+  emit(end) {
+    const image = Buffer.from(this.buffer.subarray(0, end));
+    this.discard(end);
+    this.onImage(image);
+  }
+
+  discard(count) {
+    this.buffer.copyWithin(0, count, this.length);
+    this.length -= count;
+    this.pos = 0;
+    this.inScan = false;
+  }
+}
+
+/**
+ * Decoder Session
+ * A long-lived ffmpeg process for one open file. It decodes forward sequentially,
+ * keeps the most recently decoded frames (the current GOP) and only restarts
+ * with a new seek when a request falls outside that window.
+ */
+class DecoderSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.ffmpegPath - Path to the ffmpeg binary
+   * @param {string} options.filePath - Path to the video file
+   * @param {Function} options.getFrameTime - (frameNumber) => presentation time in seconds
+   * @param {number} [options.bufferSize=30] - Number of decoded frames kept for repeated/backward requests
+   * @param {number} [options.lookahead=60] - Max frames to decode forward before seeking instead
+   * @param {number} [options.readAhead=6] - Frames decoded past the furthest request before pausing
+   * @param {number} [options.quality=2] - JPEG quality (-q:v)
+   * @param {number} [options.timeout=10000] - Per-request timeout in ms
+   * @param {number} [options.idleTimeout=30000] - Stop the ffmpeg process after this long without requests
+   */
+  constructor(options) {
+    this.ffmpegPath = options.ffmpegPath;
+    this.filePath = options.filePath;
+    this.getFrameTime = options.getFrameTime;
+    this.bufferSize = options.bufferSize ?? 30;
+    this.lookahead = options.lookahead ?? 60;
+    this.readAhead = options.readAhead ?? 6;
+    this.quality = options.quality ?? 2;
+    this.timeout = options.timeout ?? 10000;
+    this.idleTimeout = options.idleTimeout ?? 30000;
+
+    this.proc = null;
+    this.nextFrame = 0;       // Frame number of the next image ffmpeg will emit
+    this.lastRequested = -1;  // Furthest frame asked for, used to bound read-ahead
+    this.frames = new Map();  // frameNumber -> JPEG Buffer, most recent last
+    this.waiters = new Map(); // frameNumber -> [{ resolve, reject, timer }]
+    this.idleTimer = null;
+    this.closed = false;
+
+    this.parser = new JpegStreamParser((image) => this.onImage(image));
+  }
+
+  /**
+   * Get a decoded frame as a JPEG buffer
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @returns {Promise<Buffer>}
+   */
+  getFrame(frameNumber) {
+    if (this.closed) {
+      return Promise.reject(new Error('Decoder session closed'));
+    }
+
+    this.touch();
+    this.lastRequested = frameNumber;
+
+    const cached = this.frames.get(frameNumber);
+    if (cached) {
+      this.frames.delete(frameNumber);
+      this.frames.set(frameNumber, cached);
+      this.updateFlow();
+      return Promise.resolve(cached);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.removeWaiter(frameNumber, waiter);
+        reject(new Error('Frame extraction timeout'));
+      }, this.timeout);
+
+      if (!this.waiters.has(frameNumber)) {
+        this.waiters.set(frameNumber, []);
+      }
+      this.waiters.get(frameNumber).push(waiter);
+
+      this.schedule();
+    });
+  }
+
+  /**
+   * Decide whether the running decoder can reach the pending requests or must seek
+   */
+  schedule() {
+    if (this.waiters.size === 0) {
+      this.updateFlow();
+      return;
+    }
+
+    const lowest = Math.min(...this.waiters.keys());
+
+    if (!this.proc || lowest < this.nextFrame || lowest > this.nextFrame + this.lookahead) {
+      // Going backwards: start a little earlier so further backward steps hit the buffer
+      const backfill = lowest < this.nextFrame ? Math.floor(this.bufferSize / 2) : 0;
+      this.start(Math.max(0, lowest - backfill));
+    } else {
+      this.updateFlow();
+    }
+  }
+
+  /**
+   * (Re)start ffmpeg so that the first emitted image is the given frame
+   * @param {number} frameNumber - Frame number (0-indexed)
+   */
+  start(frameNumber) {
+    this.stopProcess();
+
+    // Seek halfway between the previous frame and the target; ffmpeg's accurate
+    // seek then discards everything before it, so the first output is the target
+    const seekTime = frameNumber > 0
+      ? (this.getFrameTime(frameNumber - 1) + this.getFrameTime(frameNumber)) / 2
+      : 0;
+
+    const args = [
+      '-v', 'error',
+      '-ss', seekTime.toFixed(6),
+      '-i', this.filePath,
+      '-map', '0:v:0',
+      '-an', '-sn', '-dn',
+      '-vsync', 'passthrough',              // One output image per decoded frame
+      '-f', 'image2pipe',
+      '-vcodec', 'mjpeg',
+      '-q:v', String(this.quality),
+      '-'
+    ];
+
+    const proc = spawn(this.ffmpegPath, args, {
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+
+    this.proc = proc;
+    this.nextFrame = frameNumber;
+    this.parser.reset();
+
+    proc.stdout.on('data', (chunk) => {
+      if (this.proc === proc) {
+        this.parser.push(chunk);
+      }
+    });
+
+    proc.on('error', (err) => {
+      if (this.proc !== proc) return;
+      this.proc = null;
+      this.rejectAll(new Error(`Failed to spawn ffmpeg: ${err.message}`));
+    });
+
+    proc.on('close', (code) => {
+      if (this.proc !== proc) return;
+      this.proc = null;
+
+      // Anything still pending is past the end of the stream
+      this.rejectAll(new Error(code === 0
+        ? 'Frame is beyond the end of the video'
+        : `FFmpeg exited with code ${code}`));
+    });
+  }
+
+  /**
+   * Handle one decoded image from the stream
+   * @param {Buffer} image - JPEG data
+   */
+  onImage(image) {
+    const frameNumber = this.nextFrame++;
+
+    if (this.frames.size >= this.bufferSize) {
+      const oldestKey = this.frames.keys().next().value;
+      this.frames.delete(oldestKey);
+    }
+    this.frames.set(frameNumber, image);
+
+    const waiters = this.waiters.get(frameNumber);
+    if (waiters) {
+      this.waiters.delete(frameNumber);
+      waiters.forEach(({ resolve, timer }) => {
+        clearTimeout(timer);
+        resolve(image);
+      });
+    }
+
+    // Re-check the requests still pending: one may have been skipped over (seek back for
+    // it), or the nearest left may be beyond the lookahead (seek ahead rather than decode
+    // every frame up to it)
+    this.schedule();
+  }
+
+  /**
+   * Pause ffmpeg's output once it has decoded far enough past the pending requests
+   */
+  updateFlow() {
+    if (!this.proc) return;
+
+    if (this.waiters.size === 0 && this.nextFrame > this.lastRequested + this.readAhead) {
+      this.proc.stdout.pause();
+    } else {
+      this.proc.stdout.resume();
+    }
+  }
+
+  removeWaiter(frameNumber, waiter) {
+    const waiters = this.waiters.get(frameNumber);
+    if (!waiters) return;
+    const remaining = waiters.filter(w => w !== waiter);
+    if (remaining.length > 0) {
+      this.waiters.set(frameNumber, remaining);
+    } else {
+      this.waiters.delete(frameNumber);
+    }
+  }
+
+  rejectAll(error) {
+    const waiters = this.waiters;
+    this.waiters = new Map();
+    waiters.forEach(list => list.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    }));
+  }
+
+  /**
+   * Reset the idle timer; the ffmpeg process is stopped after a period without requests
+   */
+  touch() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+    }
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      if (this.waiters.size === 0) {
+        this.stopProcess();
+      }
+    }, this.idleTimeout);
+  }
+
+  stopProcess() {
+    if (this.proc) {
+      const proc = this.proc;
+      this.proc = null;
+      proc.stdout.destroy();
+      proc.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Drop decoded frames and stop decoding (e.g. when frame numbering changes)
+   */
+  reset() {
+    this.stopProcess();
+    this.frames.clear();
+    this.lastRequested = -1;
+    if (this.waiters.size > 0) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Stop the session and fail any outstanding requests
+   */
+  close() {
+    this.closed = true;
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+    this.stopProcess();
+    this.frames.clear();
+    this.rejectAll(new Error('Decoder session closed'));
+  }
+}
+
+module.exports = { DecoderSession, JpegStreamParser };
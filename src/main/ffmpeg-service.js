@@ -1,19 +1,101 @@
 const { spawn } = require('child_process');
 const { app } = require('electron');
-const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const ffprobeStatic = require('ffprobe-static');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const readline = require('readline');
+const { DecoderSession, JpegStreamParser } = require('./decoder-session');
 
 // Note: Paths are set dynamically in the constructor to handle packaged app correctly
 
+// Bump when the frame index format changes so stale disk caches are rebuilt
+const FRAME_INDEX_VERSION = 3;
+
+// Still image formats for saving frames (encoder arguments per format)
+const IMAGE_FORMATS = {
+  png: { extension: 'png', codecArgs: ['-c:v', 'png'] },
+  jpeg: { extension: 'jpg', codecArgs: ['-c:v', 'mjpeg', '-q:v', '2'] },
+  tiff: { extension: 'tiff', codecArgs: ['-c:v', 'tiff'] },
+  webp: { extension: 'webp', codecArgs: ['-c:v', 'libwebp', '-quality', '90'] }
+};
+
+// Video Chromium can decode (codec -> pixel formats); anything else needs a transcoded proxy
+const PLAYABLE_VIDEO = {
+  h264: ['yuv420p', 'yuvj420p'],
+  vp8: ['yuv420p'],
+  vp9: ['yuv420p', 'yuv420p10le'],
+  av1: ['yuv420p', 'yuv420p10le']
+};
+
+// Audio codecs copied as-is into an MP4 proxy (others are converted to AAC)
+const PROXY_AUDIO_CODECS = ['aac', 'mp3', 'opus'];
+
+// Re-encode presets for clip export (container extension and encoder arguments)
+const CLIP_PRESETS = {
+  'h264-high': {
+    extension: 'mp4',
+    codecArgs: ['-c:v', 'libx264', '-preset', 'slow', '-crf', '16', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '192k', '-movflags', '+faststart']
+  },
+  'h264-balanced': {
+    extension: 'mp4',
+    codecArgs: ['-c:v', 'libx264', '-preset', 'medium', '-crf', '20', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '160k', '-movflags', '+faststart']
+  },
+  'h264-small': {
+    extension: 'mp4',
+    codecArgs: ['-c:v', 'libx264', '-preset', 'fast', '-crf', '26', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart']
+  },
+  'h265': {
+    extension: 'mp4',
+    codecArgs: ['-c:v', 'libx265', '-preset', 'medium', '-crf', '22', '-pix_fmt', 'yuv420p', '-tag:v', 'hvc1',
+      '-c:a', 'aac', '-b:a', '192k', '-movflags', '+faststart']
+  },
+  'prores-hq': {
+    extension: 'mov',
+    codecArgs: ['-c:v', 'prores_ks', '-profile:v', '3', '-pix_fmt', 'yuv422p10le', '-c:a', 'pcm_s16le']
+  },
+  'ffv1': {
+    extension: 'mkv',
+    codecArgs: ['-c:v', 'ffv1', '-level', '3', '-c:a', 'flac']
+  }
+};
+
+// Audio is resampled to this rate (Hz) for waveform peaks; plenty for an overview
+const WAVEFORM_SAMPLE_RATE = 8000;
 
 class FFmpegService {
   constructor() {
     this.tempDir = path.join(os.tmpdir(), 'frame-player');
 
+    // Per-file frame timestamp tables (filePath -> index), most recent last
+    this.frameIndexCache = new Map();
+    this.frameIndexCacheSize = 8;
+    this.pendingFrameIndex = new Map();
+
+    // Per-file picture type tables (filePath -> table), most recent last, and the
+    // tables being built (index key -> { jobId, promise })
+    this.frameTypeCache = new Map();
+    this.pendingFrameTypes = new Map();
+
+    // Last full-resolution raw frame decoded for pixel sampling ({ key, promise }),
+    // and the probe of its file ({ filePath, promise })
+    this.rawFrame = null;
+    this.rawFrameMetadata = null;
+
+    // Long-lived decoders (filePath -> DecoderSession), most recent last
+    this.decoderSessions = new Map();
+    this.maxDecoderSessions = 2;
+    this.frameQuality = 2;          // JPEG quality of extracted frames (-q:v, lower is better)
+    this.extractionTimeout = 10000; // Per-frame extraction timeout in ms
+
+    // Running export and thumbnail jobs (jobId -> ffmpeg process) so they can be cancelled
+    this.jobs = new Map();
+
     // Resolve paths for ffmpeg and ffprobe
     if (app.isPackaged) {
       this.ffmpegPath = path.join(process.resourcesPath, 'bin/ffmpeg');
@@ -23,10 +105,6 @@ class FFmpegService {
       this.ffprobePath = ffprobeStatic.path;
     }
 
-    // Set fluent-ffmpeg paths
-    ffmpeg.setFfmpegPath(this.ffmpegPath);
-    ffmpeg.setFfprobePath(this.ffprobePath);
-
     this.ensureTempDir();
   }
 
@@ -42,134 +120,330 @@ class FFmpegService {
    * @returns {Promise<Object>} Video metadata
    */
   async getMetadata(filePath) {
+    let metadata;
+    try {
+      metadata = await this.probe(filePath);
+    } catch (err) {
+      throw new Error(`Failed to probe video: ${err.message}`);
+    }
+
+    const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+    if (!videoStream) {
+      throw new Error('No video stream found');
+    }
+
+    // Parse frame rate (can be "30/1", "30000/1001", etc.)
+    let frameRate = 30; // default
+    if (videoStream.r_frame_rate) {
+      const [num, den] = videoStream.r_frame_rate.split('/').map(Number);
+      frameRate = den ? num / den : num;
+    } else if (videoStream.avg_frame_rate) {
+      const [num, den] = videoStream.avg_frame_rate.split('/').map(Number);
+      frameRate = den ? num / den : num;
+    }
+
+    // Get duration from video stream or format
+    const duration = parseFloat(videoStream.duration) ||
+      parseFloat(metadata.format.duration) || 0;
+
+    // Calculate total frames
+    const totalFrames = Math.floor(frameRate * duration);
+
+    // Check for variable frame rate
+    const isVFR = videoStream.r_frame_rate !== videoStream.avg_frame_rate;
+
+    // Start timecode: QuickTime/MP4 keep it in a tmcd data track, MXF and
+    // others on the video stream or in the container tags
+    const timecodeStream = metadata.streams.find(s => s.codec_tag_string === 'tmcd' && s.tags && s.tags.timecode);
+    const startTimecode = [
+      videoStream.tags,
+      timecodeStream && timecodeStream.tags,
+      metadata.format.tags
+    ].map(tags => tags && tags.timecode)
+      .find(tc => /^\d{1,2}:\d{2}:\d{2}[:;.,]\d{2,3}$/.test(tc || '')) || null;
+
+    // Bits per sample: reported by the decoder, or read from the pixel format name (yuv420p10le)
+    const bitDepth = parseInt(videoStream.bits_per_raw_sample, 10) ||
+      parseInt((/p(\d+)(?:le|be)$/.exec(videoStream.pix_fmt || '') || [])[1], 10) || 8;
+
+    // Display rotation, clockwise (decoded frames come out rotated, like in the video element).
+    // The display matrix gives it counterclockwise (-90 where the older rotate tag says 90)
+    const displayMatrix = (videoStream.side_data_list || []).find(data => data.rotation !== undefined);
+    const angle = Math.round(displayMatrix ? -Number(displayMatrix.rotation) : Number(videoStream.tags?.rotate)) || 0;
+    const rotation = ((angle % 360) + 360) % 360;
+
+    // HDR: PQ or HLG transfer, Dolby Vision from its configuration record
+    const sideData = videoStream.side_data_list || [];
+    const hdr = [
+      sideData.some(data => /dovi|dolby vision/i.test(data.side_data_type || '')) && 'Dolby Vision',
+      videoStream.color_transfer === 'smpte2084' && 'PQ',
+      videoStream.color_transfer === 'arib-std-b67' && 'HLG'
+    ].filter(Boolean).join(', ') || null;
+
+    const streamInfo = (stream) => ({
+      index: stream.index,
+      codec: stream.codec_name || null,
+      language: (stream.tags && stream.tags.language) || null,
+      title: (stream.tags && stream.tags.title) || null,
+      isDefault: Boolean(stream.disposition && stream.disposition.default),
+      isForced: Boolean(stream.disposition && stream.disposition.forced)
+    });
+
+    return {
+      frameRate: Math.round(frameRate * 1000) / 1000, // Round to 3 decimal places
+      duration,
+      totalFrames,
+      width: videoStream.width,
+      height: videoStream.height,
+      codec: videoStream.codec_name,
+      isVFR,
+      startTimecode,
+      profile: videoStream.profile || null,
+      level: videoStream.level > 0 ? videoStream.level : null,
+      pixelFormat: videoStream.pix_fmt || null,
+      colorRange: videoStream.color_range || null,
+      colorPrimaries: videoStream.color_primaries || null,
+      colorTransfer: videoStream.color_transfer || null,
+      colorSpace: videoStream.color_space || null,
+      sampleAspectRatio: videoStream.sample_aspect_ratio || null,
+      displayAspectRatio: videoStream.display_aspect_ratio || null,
+      hdr,
+      bitDepth,
+      rotation,
+      bitRate: parseInt(metadata.format.bit_rate) || 0,
+      format: metadata.format.format_name,
+      audioStreams: metadata.streams.filter(s => s.codec_type === 'audio').map(stream => ({
+        ...streamInfo(stream),
+        channels: stream.channels || 0,
+        channelLayout: stream.channel_layout || null,
+        sampleRate: parseInt(stream.sample_rate, 10) || 0
+      })),
+      subtitleStreams: metadata.streams.filter(s => s.codec_type === 'subtitle').map(streamInfo),
+      tags: metadata.format.tags || {}
+    };
+  }
+
+  /**
+   * Everything ffprobe reports about a file, for the Media Info panel
+   * @param {string} filePath - Path to the media file
+   * @returns {Promise<Object>} { format, streams, chapters } as reported by ffprobe
+   */
+  async getMediaInfo(filePath) {
+    try {
+      return await this.probe(filePath);
+    } catch (err) {
+      throw new Error(`Failed to probe file: ${err.message}`);
+    }
+  }
+
+  /**
+   * Run ffprobe over a file's streams, container and chapters
+   * Read from ffprobe's own JSON output, where each stream keeps its side data (display
+   * matrix, HDR mastering and light levels, Dolby Vision configuration) as a list
+   * @param {string} filePath - Path to the media file
+   * @returns {Promise<Object>} { format, streams, chapters }
+   */
+  probe(filePath) {
     return new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(filePath, (err, metadata) => {
-        if (err) {
-          return reject(new Error(`Failed to probe video: ${err.message}`));
-        }
+      const args = [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_streams',
+        '-show_format',
+        '-show_chapters',
+        filePath
+      ];
 
-        const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-        if (!videoStream) {
-          return reject(new Error('No video stream found'));
-        }
+      const proc = spawn(this.ffprobePath, args, {
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
 
-        // Parse frame rate (can be "30/1", "30000/1001", etc.)
-        let frameRate = 30; // default
-        if (videoStream.r_frame_rate) {
-          const [num, den] = videoStream.r_frame_rate.split('/').map(Number);
-          frameRate = den ? num / den : num;
-        } else if (videoStream.avg_frame_rate) {
-          const [num, den] = videoStream.avg_frame_rate.split('/').map(Number);
-          frameRate = den ? num / den : num;
+      const chunks = [];
+      let errorOutput = '';
+      proc.stdout.on('data', (chunk) => chunks.push(chunk));
+      proc.stderr.on('data', (chunk) => {
+        errorOutput += chunk.toString();
+      });
+
+      proc.on('error', (err) => {
+        reject(new Error(`Failed to spawn ffprobe: ${err.message}`));
+      });
+
+      proc.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(errorOutput.trim() || `FFprobe exited with code ${code}`));
         }
 
-        // Get duration from video stream or format
-        const duration = parseFloat(videoStream.duration) ||
-          parseFloat(metadata.format.duration) || 0;
-
-        // Calculate total frames
-        const totalFrames = Math.floor(frameRate * duration);
-
-        // Check for variable frame rate
-        const isVFR = videoStream.r_frame_rate !== videoStream.avg_frame_rate;
-
-        resolve({
-          frameRate: Math.round(frameRate * 1000) / 1000, // Round to 3 decimal places
-          duration,
-          totalFrames,
-          width: videoStream.width,
-          height: videoStream.height,
-          codec: videoStream.codec_name,
-          isVFR,
-          bitRate: parseInt(metadata.format.bit_rate) || 0,
-          format: metadata.format.format_name
-        });
+        try {
+          const report = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+          resolve({
+            format: report.format || {},
+            streams: report.streams || [],
+            chapters: report.chapters || []
+          });
+        } catch (err) {
+          reject(new Error(`Unreadable ffprobe output: ${err.message}`));
+        }
       });
     });
   }
 
   /**
    * Extract a single frame from video - TRUE FRAME-ACCURATE VERSION
-   * Uses -vf select filter for exact frame number selection
+   * Served by the file's persistent decoder session, which decodes sequentially
+   * and keeps the current GOP around instead of spawning ffmpeg per frame
    * @param {string} filePath - Path to the video file
    * @param {number} frameNumber - Frame number to extract (0-indexed)
    * @param {number} frameRate - Video frame rate
    * @returns {Promise<Object>} Frame data with base64 JPEG
    */
   async extractFrame(filePath, frameNumber, frameRate) {
-    const timestamp = frameNumber / frameRate;
+    const session = this.getDecoderSession(filePath, frameRate);
+    const buffer = await session.getFrame(frameNumber);
 
-    return new Promise((resolve, reject) => {
-      const chunks = [];
-      let settled = false;
+    return {
+      frameNumber,
+      timestamp: this.getFrameTime(filePath, frameNumber, frameRate),
+      data: buffer.toString('base64'),
+      format: 'jpeg'
+    };
+  }
 
-      // For TRUE frame-accurate extraction, we use the select filter
-      // This decodes frames sequentially and picks the exact frame number
-      // Trade-off: More accurate but slower for frames far into the video
+  /**
+   * Read pixel values from a frame at full source resolution
+   * The frame is decoded once to raw RGB and YUV (4:4:4, so every pixel has its own chroma)
+   * and kept, so hovering and re-sampling the same frame doesn't decode again.
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} frameRate - Video frame rate
+   * @param {number[][]} points - [x, y] pixel positions in the decoded (display-oriented) frame
+   * @returns {Promise<Object>} { width, height, bitDepth, samples: [{ x, y, rgb: [r, g, b], yuv: [y, u, v] }] }
+   */
+  async samplePixels(filePath, frameNumber, frameRate, points) {
+    const { width, height, bitDepth, rgb, yuv } = await this.getRawFrame(filePath, frameNumber, frameRate);
+    const wide = bitDepth > 8;
+    const read = (buffer, offset) => (wide ? buffer.readUInt16LE(offset * 2) : buffer[offset]);
+    const rgbMax = (1 << bitDepth) - 1;
 
-      // Optimization: Fast seek to ~2 seconds before target, then decode from there
-      // This limits the decode window while maintaining accuracy
-      const seekTime = Math.max(0, timestamp - 2);
-      const framesToSkip = Math.round(seekTime * frameRate);
-      const relativeFrame = frameNumber - framesToSkip;
+    const samples = points.map(([px, py]) => {
+      const x = Math.max(0, Math.min(width - 1, Math.floor(px)));
+      const y = Math.max(0, Math.min(height - 1, Math.floor(py)));
+      const pixel = y * width + x;
+      const plane = width * height;
 
-      const args = [
-        '-ss', seekTime.toFixed(3),           // Fast seek to near target
-        '-i', filePath,
-        '-vf', `select=eq(n\\,${relativeFrame})`,  // Select exact frame number (relative to seek point)
-        '-frames:v', '1',                     // Output only 1 frame
-        '-vsync', 'vfr',                      // Variable frame rate output (needed for select filter)
-        '-f', 'image2pipe',                   // Output to pipe
-        '-vcodec', 'mjpeg',                   // JPEG codec
-        '-q:v', '2',                          // High quality
-        '-'                                   // Output to stdout
-      ];
+      // 16-bit output holds the source values shifted up (YUV) or rescaled to full 16-bit range (RGB)
+      const toDepth = (value, isRgb) => {
+        if (!wide) return value;
+        return isRgb ? Math.round(value * rgbMax / 65535) : value >> (16 - bitDepth);
+      };
 
-      const proc = spawn(this.ffmpegPath, args, {
-        stdio: ['ignore', 'pipe', 'ignore']
-      });
+      return {
+        x,
+        y,
+        rgb: [0, 1, 2].map(c => toDepth(read(rgb, pixel * 3 + c), true)),
+        yuv: [0, 1, 2].map(c => toDepth(read(yuv, c * plane + pixel), false))
+      };
+    });
 
-      proc.stdout.on('data', (chunk) => {
-        chunks.push(chunk);
-      });
+    return { width, height, bitDepth, samples };
+  }
 
-      proc.on('close', (code) => {
-        if (settled) return;
-        settled = true;
-        clearTimeout(timeout);
+  /**
+   * Whole frame at full resolution for the video scopes, reduced to 8 bits per sample
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} frameRate - Video frame rate
+   * @returns {Promise<Object>} { width, height, bitDepth, rgb (packed RGB), yuv (planar Y, Cb, Cr) }
+   */
+  async getScopeFrame(filePath, frameNumber, frameRate) {
+    const { width, height, bitDepth, rgb, yuv } = await this.getRawFrame(filePath, frameNumber, frameRate);
+    if (bitDepth <= 8) {
+      return { width, height, bitDepth, rgb, yuv };
+    }
 
-        if (code === 0 && chunks.length > 0) {
-          const buffer = Buffer.concat(chunks);
-          resolve({
-            frameNumber,
-            timestamp,
-            data: buffer.toString('base64'),
-            format: 'jpeg'
-          });
-        } else {
-          reject(new Error(`FFmpeg exited with code ${code}`));
+    // Keep the high byte of each 16-bit sample: half the data to send, and the scopes plot 256 levels anyway
+    const toBytes = (buffer) => {
+      const bytes = Buffer.alloc(buffer.length / 2);
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = buffer[i * 2 + 1];
+      }
+      return bytes;
+    };
+    return { width, height, bitDepth, rgb: toBytes(rgb), yuv: toBytes(yuv) };
+  }
+
+  /**
+   * Decoded raw frame, shared by pixel sampling and the scopes
+   * The last frame is kept so repeated requests for the same frame don't decode again
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} frameRate - Video frame rate
+   * @returns {Promise<Object>} See decodeRawFrame
+   */
+  getRawFrame(filePath, frameNumber, frameRate) {
+    const key = `${filePath}|${frameNumber}`;
+    if (!this.rawFrame || this.rawFrame.key !== key) {
+      this.rawFrame = { key, promise: this.decodeRawFrame(filePath, frameNumber, frameRate) };
+      // Don't keep a failed decode around
+      this.rawFrame.promise.catch(() => {
+        if (this.rawFrame && this.rawFrame.key === key) {
+          this.rawFrame = null;
         }
       });
+    }
+    return this.rawFrame.promise;
+  }
 
-      proc.on('error', (err) => {
-        if (settled) return;
-        settled = true;
-        clearTimeout(timeout);
-        reject(new Error(`Failed to spawn ffmpeg: ${err.message}`));
-      });
+  /**
+   * Decode one frame to raw RGB and planar YUV 4:4:4
+   * 8-bit sources use rgb24/yuv444p; deeper ones rgb48le/yuv444p16le
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} frameRate - Video frame rate
+   * @returns {Promise<Object>} { width, height, bitDepth, rgb: Buffer, yuv: Buffer }
+   */
+  async decodeRawFrame(filePath, frameNumber, frameRate) {
+    if (!this.rawFrameMetadata || this.rawFrameMetadata.filePath !== filePath) {
+      this.rawFrameMetadata = { filePath, promise: this.getMetadata(filePath) };
+    }
+    const metadata = await this.rawFrameMetadata.promise;
+    const bitDepth = Math.min(16, metadata.bitDepth);
+    const wide = bitDepth > 8;
+    const turned = metadata.rotation === 90 || metadata.rotation === 270;
+    const width = turned ? metadata.height : metadata.width;
+    const height = turned ? metadata.width : metadata.height;
 
-      // Longer timeout for frame-accurate extraction
-      const timeout = setTimeout(() => {
-        if (settled) return;
-        settled = true;
-        proc.kill('SIGTERM');
-        reject(new Error('Frame extraction timeout'));
-      }, 10000);
-    });
+    const decode = async (pixelFormat) => {
+      const chunks = [];
+      await this.runFFmpeg([
+        '-v', 'error',
+        '-ss', this.getFrameSeekTime(filePath, frameNumber, frameRate).toFixed(6),
+        '-i', filePath,
+        '-map', '0:v:0',
+        '-frames:v', '1',
+        '-f', 'rawvideo',
+        '-pix_fmt', pixelFormat,
+        '-'
+      ], { timeout: 30000, onData: (chunk) => chunks.push(chunk) });
+      return Buffer.concat(chunks);
+    };
+
+    const [rgb, yuv] = await Promise.all([
+      decode(wide ? 'rgb48le' : 'rgb24'),
+      decode(wide ? 'yuv444p16le' : 'yuv444p')
+    ]);
+
+    const expected = width * height * 3 * (wide ? 2 : 1);
+    if (rgb.length !== expected || yuv.length !== expected) {
+      throw new Error(`Unexpected raw frame size (${rgb.length} bytes for ${width}x${height})`);
+    }
+
+    return { width, height, bitDepth, rgb, yuv };
   }
 
   /**
    * Extract multiple frames in batch
+   * All requests go to the same decoder session, which serves them in frame order
    * @param {string} filePath - Path to the video file
    * @param {number[]} frameNumbers - Array of frame numbers to extract
    * @param {number} frameRate - Video frame rate
@@ -187,10 +461,1017 @@ class FFmpegService {
     return results;
   }
 
+  /**
+   * Decode a run of consecutive frames in one pass, for reverse playback
+   * The seek lands exactly on startFrame (see getFrameSeekTime), so image i is frame startFrame + i.
+   * Starting at a keyframe avoids decoding frames only to discard them.
+   * @param {string} jobId - Caller-chosen id for cancellation
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameRate - Video frame rate
+   * @param {number} startFrame - First frame (0-indexed)
+   * @param {number} count - Number of frames
+   * @param {Object} [options]
+   * @param {number} [options.width] - Scale down to this width (never up)
+   * @param {number} [options.quality=4] - JPEG quality (-q:v)
+   * @returns {Promise<Buffer[]>} JPEG images in frame order (fewer than count at the end of the video)
+   */
+  async decodeFrameRange(jobId, filePath, frameRate, startFrame, count, options = {}) {
+    const { width, quality = 4 } = options;
+    const args = [
+      '-v', 'error',
+      '-ss', this.getFrameSeekTime(filePath, startFrame, frameRate).toFixed(6),
+      '-i', filePath,
+      '-map', '0:v:0',
+      '-an', '-sn', '-dn',
+      '-frames:v', String(count)
+    ];
+    if (width) {
+      args.push('-vf', `scale='min(iw,${Math.round(width / 2) * 2})':-2`);
+    }
+    args.push(
+      '-vsync', 'passthrough',
+      '-f', 'image2pipe',
+      '-vcodec', 'mjpeg',
+      '-q:v', String(quality),
+      '-'
+    );
+
+    const images = [];
+    await this.runFFmpeg(args, {
+      jobId,
+      onImage: (image) => images.push(image)
+    });
+    return images;
+  }
+
+  /**
+   * Save a single frame to disk at full source resolution
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameNumber - Frame number to save (0-indexed)
+   * @param {number} frameRate - Video frame rate
+   * @param {string} outputPath - Destination image path
+   * @param {string} format - One of IMAGE_FORMATS ('png', 'jpeg', 'tiff', 'webp')
+   * @returns {Promise<string>} The written file path
+   */
+  async saveFrame(filePath, frameNumber, frameRate, outputPath, format) {
+    const imageFormat = IMAGE_FORMATS[format];
+    if (!imageFormat) {
+      throw new Error(`Unsupported image format: ${format}`);
+    }
+
+    const args = [
+      '-v', 'error',
+      '-ss', this.getFrameSeekTime(filePath, frameNumber, frameRate).toFixed(6),
+      '-i', filePath,
+      '-map', '0:v:0',
+      '-frames:v', '1',
+      ...imageFormat.codecArgs,
+      '-update', '1',                       // Single image, not a numbered sequence
+      '-y', outputPath
+    ];
+
+    await this.runFFmpeg(args, { timeout: 30000 });
+    return outputPath;
+  }
+
+  /**
+   * Export a frame range as a numbered image sequence
+   * Files are numbered with the frame counter's (1-based) numbers, e.g. name_000001.png
+   * @param {string} jobId - Caller-chosen id for progress and cancellation
+   * @param {string} filePath - Path to the video file
+   * @param {Object} options
+   * @param {number} options.startFrame - First frame (0-indexed, inclusive)
+   * @param {number} options.endFrame - Last frame (0-indexed, inclusive)
+   * @param {number} options.frameRate - Video frame rate
+   * @param {string} options.directory - Output folder
+   * @param {string} options.prefix - Filename prefix
+   * @param {string} options.format - 'png' or 'jpeg'
+   * @param {Function} onProgress - (framesDone, frameCount) => void
+   * @returns {Promise<Object>} { directory, pattern, frameCount }
+   */
+  async exportImageSequence(jobId, filePath, options, onProgress) {
+    const { startFrame, endFrame, frameRate, directory, prefix, format } = options;
+    const imageFormat = IMAGE_FORMATS[format];
+    if (!imageFormat) {
+      throw new Error(`Unsupported image format: ${format}`);
+    }
+
+    const frameCount = endFrame - startFrame + 1;
+    if (frameCount < 1) {
+      throw new Error('Export range is empty');
+    }
+
+    const firstNumber = startFrame + 1;
+    const digits = Math.max(6, String(endFrame + 1).length);
+    const pattern = `${prefix}_%0${digits}d.${imageFormat.extension}`;
+
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const args = [
+      '-v', 'error',
+      '-ss', this.getFrameSeekTime(filePath, startFrame, frameRate).toFixed(6),
+      '-i', filePath,
+      '-map', '0:v:0',
+      '-frames:v', String(frameCount),
+      '-vsync', 'passthrough',              // Exactly one image per source frame
+      ...imageFormat.codecArgs,
+      '-start_number', String(firstNumber),
+      '-progress', 'pipe:1',
+      '-nostats',
+      '-y', path.join(directory, pattern)
+    ];
+
+    await this.runFFmpeg(args, {
+      jobId,
+      onProgress: (progress) => {
+        const done = Math.min(frameCount, parseInt(progress.frame, 10) || 0);
+        onProgress(done, frameCount);
+      }
+    });
+
+    return { directory, pattern, frameCount };
+  }
+
+  /**
+   * Export the frames between two points to a new video file
+   * 'copy' mode remuxes without re-encoding (lossless, but starts at the keyframe at or before
+   * the in point); 'encode' mode re-encodes with a preset and is frame-exact.
+   * @param {string} jobId - Caller-chosen id for progress and cancellation
+   * @param {string} filePath - Path to the video file
+   * @param {Object} options
+   * @param {number} options.startFrame - First frame (0-indexed, inclusive)
+   * @param {number} options.endFrame - Last frame (0-indexed, inclusive)
+   * @param {number} options.frameRate - Video frame rate
+   * @param {string} options.outputPath - Destination file
+   * @param {string} options.mode - 'copy' or 'encode'
+   * @param {string} [options.preset] - One of CLIP_PRESETS (encode mode)
+   * @param {Function} onProgress - (framesDone, frameCount) => void
+   * @returns {Promise<Object>} { outputPath, frameCount }
+   */
+  async exportClip(jobId, filePath, options, onProgress) {
+    const { startFrame, endFrame, frameRate, outputPath, mode, preset } = options;
+
+    const frameCount = endFrame - startFrame + 1;
+    if (frameCount < 1) {
+      throw new Error('Export range is empty');
+    }
+
+    // Written under a temporary name, so a stopped or failed export leaves nothing under the
+    // chosen one (the extension stays last, since ffmpeg picks the container from it)
+    const extension = path.extname(outputPath);
+    const partPath = `${outputPath.slice(0, outputPath.length - extension.length)}.part${extension}`;
+    if ([outputPath, partPath].some(target => path.resolve(target) === path.resolve(filePath))) {
+      throw new Error('Cannot export a clip over its own source file');
+    }
+
+    const startTime = this.getFrameTime(filePath, startFrame, frameRate);
+    const duration = this.getFrameEndTime(filePath, endFrame, frameRate) - startTime;
+
+    let args;
+    if (mode === 'copy') {
+      args = [
+        '-v', 'error',
+        // Seek just past the in point's timestamp so a keyframe there isn't skipped by rounding
+        '-ss', (startTime + 0.0005).toFixed(6),
+        '-i', filePath,
+        '-t', duration.toFixed(6),
+        '-map', '0:v:0',
+        '-map', '0:a?',
+        '-c', 'copy'
+      ];
+    } else if (mode === 'encode') {
+      const clipPreset = CLIP_PRESETS[preset];
+      if (!clipPreset) {
+        throw new Error(`Unknown clip preset: ${preset}`);
+      }
+      args = [
+        '-v', 'error',
+        '-ss', this.getFrameSeekTime(filePath, startFrame, frameRate).toFixed(6),
+        '-i', filePath,
+        '-map', '0:v:0',
+        '-map', '0:a?',
+        '-frames:v', String(frameCount),
+        '-t', duration.toFixed(6),            // Trims audio to the same span
+        '-vsync', 'passthrough',
+        ...clipPreset.codecArgs
+      ];
+    } else {
+      throw new Error(`Unknown clip export mode: ${mode}`);
+    }
+
+    args.push('-progress', 'pipe:1', '-nostats', '-y', partPath);
+
+    try {
+      await this.runFFmpeg(args, {
+        jobId,
+        onProgress: (progress) => {
+          // Stream copy doesn't report decoded frames; derive progress from output time instead
+          const done = mode === 'copy'
+            ? Math.round((parseInt(progress.out_time_us, 10) || 0) / 1e6 * frameRate)
+            : parseInt(progress.frame, 10) || 0;
+          onProgress(Math.max(0, Math.min(frameCount, done)), frameCount);
+        }
+      });
+      await fs.promises.rename(partPath, outputPath);
+    } catch (error) {
+      await fs.promises.rm(partPath, { force: true });
+      throw error;
+    }
+
+    return { outputPath, frameCount };
+  }
+
+  /**
+   * Choose how to make a file playable in the video element
+   * @param {Object} metadata - From getMetadata()
+   * @returns {string} 'remux' when only the container is the problem, 'transcode' otherwise
+   */
+  getProxyMode(metadata) {
+    const pixelFormats = PLAYABLE_VIDEO[metadata.codec];
+    return pixelFormats && pixelFormats.includes(metadata.pixelFormat) ? 'remux' : 'transcode';
+  }
+
+  /**
+   * Write a playable MP4 stand-in for a file the video element can't play
+   * 'remux' copies the video into MP4; 'transcode' encodes all-intra H.264 so any frame
+   * can be sought to directly. Every frame keeps its timestamp (relative to the first
+   * frame, like the frame index), so frame numbers of the original apply to the proxy.
+   * @param {string} jobId - Caller-chosen id for progress and cancellation
+   * @param {string} filePath - Path to the original video
+   * @param {string} outputPath - Where to write the proxy
+   * @param {Object} metadata - From getMetadata()
+   * @param {string} mode - 'remux' or 'transcode' (see getProxyMode)
+   * @param {Function} onProgress - (framesDone, frameCount) => void
+   * @returns {Promise<string>} outputPath
+   */
+  async createProxy(jobId, filePath, outputPath, metadata, mode, onProgress) {
+    const { totalFrames, frameRate } = metadata;
+    const audioArgs = metadata.audioStreams.every(stream => PROXY_AUDIO_CODECS.includes(stream.codec))
+      ? ['-c:a', 'copy']
+      : ['-c:a', 'aac', '-b:a', '192k'];
+
+    const videoArgs = mode === 'remux'
+      ? ['-c:v', 'copy']
+      : ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '16', '-g', '1', '-bf', '0',
+        '-pix_fmt', 'yuv420p', '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2'];
+
+    const args = [
+      '-v', 'error',
+      // Some containers (e.g. AVI) don't store presentation timestamps
+      '-fflags', '+genpts',
+      '-i', filePath,
+      '-map', '0:v:0',
+      '-map', '0:a?',
+      '-vsync', 'passthrough',
+      ...videoArgs,
+      ...audioArgs,
+      '-movflags', '+faststart',
+      '-f', 'mp4',
+      '-progress', 'pipe:1',
+      '-nostats',
+      '-y', outputPath
+    ];
+
+    await this.runFFmpeg(args, {
+      jobId,
+      onProgress: (progress) => {
+        // Stream copy doesn't report decoded frames; derive progress from output time instead
+        const done = mode === 'remux'
+          ? Math.round((parseInt(progress.out_time_us, 10) || 0) / 1e6 * frameRate)
+          : parseInt(progress.frame, 10) || 0;
+        onProgress(Math.max(0, Math.min(totalFrames, done)), totalFrames);
+      }
+    });
+
+    return outputPath;
+  }
+
+  /**
+   * Decode small thumbnails of the video's keyframes for timeline previews
+   * Only keyframes are decoded, so this is cheap enough to run in the background.
+   * Files with very many keyframes (e.g. all-intra codecs) get an evenly spread subset.
+   * @param {string} jobId - Caller-chosen id for cancellation
+   * @param {string} filePath - Path to the video file
+   * @param {Object} [options]
+   * @param {number} [options.width=160] - Thumbnail width in pixels
+   * @param {number} [options.maxCount=300] - Upper bound on the number of thumbnails
+   * @param {Function} onThumbnail - (frameNumber, jpegBuffer) => void, called in frame order
+   * @returns {Promise<Object>} { count }
+   */
+  async generateThumbnails(jobId, filePath, options, onThumbnail) {
+    const { width = 160, maxCount = 300 } = options || {};
+
+    // Registered while the frame index builds, so a cancel sent meanwhile isn't lost
+    const job = this.reserveJob(jobId);
+    const index = await this.getFrameIndex(filePath).finally(() => this.releaseJob(jobId, job));
+    if (job.cancelled) {
+      throw new Error('Export cancelled');
+    }
+    const keyframes = index.keyframes.length > 0 ? index.keyframes : [0];
+
+    // Positions within the keyframe list to decode
+    const count = Math.min(maxCount, keyframes.length);
+    const picks = [];
+    for (let i = 0; i < count; i++) {
+      picks.push(Math.floor(i * keyframes.length / count));
+    }
+
+    // The first select drops non-keyframes in case the decoder ignores -skip_frame;
+    // the second one's n then counts keyframes, matching positions in the index
+    const filters = ["select='key'"];
+    if (count < keyframes.length) {
+      filters.push(`select='${picks.map(n => `eq(n,${n})`).join('+')}'`);
+    }
+    filters.push(`scale=${width}:-2`);
+
+    const args = [
+      '-v', 'error',
+      '-skip_frame', 'nokey',
+      '-i', filePath,
+      '-map', '0:v:0',
+      '-an', '-sn', '-dn',
+      '-vf', filters.join(','),
+      '-vsync', 'passthrough',
+      '-f', 'image2pipe',
+      '-vcodec', 'mjpeg',
+      '-q:v', '5',
+      '-'
+    ];
+
+    let emitted = 0;
+    await this.runFFmpeg(args, {
+      jobId,
+      onImage: (image) => {
+        if (emitted < picks.length) {
+          onThumbnail(keyframes[picks[emitted]], image);
+        }
+        emitted++;
+      }
+    });
+
+    return { count: Math.min(emitted, picks.length) };
+  }
+
+  /**
+   * Build an audio waveform overview: the lowest and highest sample in each of `buckets`
+   * equal slices of the file's duration, from one audio stream mixed down to mono
+   * @param {string} jobId - Caller-chosen id for cancellation
+   * @param {string} filePath - Path to the media file
+   * @param {Object} options
+   * @param {number} options.audioIndex - Audio stream to read (0 = first audio stream)
+   * @param {number} options.duration - File duration in seconds (slices are spread over it)
+   * @param {number} options.buckets - Number of slices
+   * @returns {Promise<Buffer>} buckets * 2 bytes, [min, max] per slice, 128 = silence
+   */
+  async generateWaveform(jobId, filePath, options) {
+    const { audioIndex = 0, duration, buckets } = options;
+    const sampleRate = WAVEFORM_SAMPLE_RATE;
+    const peaks = Buffer.alloc(buckets * 2);
+    const mins = new Int16Array(buckets).fill(32767);
+    const maxs = new Int16Array(buckets).fill(-32768);
+    const samplesPerBucket = Math.max(1, duration * sampleRate / buckets);
+
+    let sample = 0;
+    let carry = null; // Odd byte left over from the previous chunk
+
+    await this.runFFmpeg([
+      '-v', 'error',
+      '-i', filePath,
+      '-map', `0:a:${audioIndex}`,
+      '-vn', '-sn', '-dn',
+      '-ac', '1',
+      '-ar', String(sampleRate),
+      '-f', 's16le',
+      '-'
+    ], {
+      jobId,
+      onData: (chunk) => {
+        const data = carry ? Buffer.concat([carry, chunk]) : chunk;
+        const usable = data.length - (data.length % 2);
+        carry = usable < data.length ? data.subarray(usable) : null;
+
+        for (let offset = 0; offset < usable; offset += 2) {
+          const bucket = Math.min(buckets - 1, Math.floor(sample / samplesPerBucket));
+          const value = data.readInt16LE(offset);
+          if (value < mins[bucket]) mins[bucket] = value;
+          if (value > maxs[bucket]) maxs[bucket] = value;
+          sample++;
+        }
+      }
+    });
+
+    // Slices past the end of the audio stay silent
+    for (let i = 0; i < buckets; i++) {
+      const hasAudio = mins[i] <= maxs[i];
+      peaks[i * 2] = hasAudio ? (mins[i] >> 8) + 128 : 128;
+      peaks[i * 2 + 1] = hasAudio ? (maxs[i] >> 8) + 128 : 128;
+    }
+    return peaks;
+  }
+
+  /**
+   * Convert an embedded text subtitle stream to WebVTT
+   * @param {string} jobId - Identifier used to cancel the job
+   * @param {string} filePath
+   * @param {number} subtitleIndex - Subtitle stream to read (0 = first subtitle stream)
+   * @returns {Promise<string>} WebVTT text
+   */
+  async extractSubtitles(jobId, filePath, subtitleIndex) {
+    const chunks = [];
+    await this.runFFmpeg([
+      '-v', 'error',
+      '-i', filePath,
+      '-map', `0:s:${subtitleIndex}`,
+      '-c:s', 'webvtt',
+      '-f', 'webvtt',
+      '-'
+    ], {
+      jobId,
+      onData: (chunk) => chunks.push(chunk)
+    });
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Cancel a running export job
+   * @param {string} jobId
+   * @returns {boolean} True if a job was stopped
+   */
+  cancelJob(jobId) {
+    // A cancelled picture type probe must not be joined by the next request for its file
+    this.pendingFrameTypes.forEach((pending, key) => {
+      if (pending.jobId === jobId) {
+        this.pendingFrameTypes.delete(key);
+      }
+    });
+
+    const proc = this.jobs.get(jobId);
+    if (!proc) return false;
+    proc.cancelled = true;
+    proc.kill('SIGTERM');
+    return true;
+  }
+
+  /**
+   * Register a job whose process hasn't started yet (it is preparing, e.g. waiting for
+   * the frame index), so cancelJob() finds it and marks it cancelled
+   * @param {string} jobId
+   * @returns {Object} Placeholder: check its `cancelled` before starting the process
+   */
+  reserveJob(jobId) {
+    const placeholder = { cancelled: false, kill() {} };
+    this.jobs.set(jobId, placeholder);
+    return placeholder;
+  }
+
+  /**
+   * Remove a job's placeholder (unless a process has taken its place)
+   * @param {string} jobId
+   * @param {Object} placeholder - From reserveJob()
+   */
+  releaseJob(jobId, placeholder) {
+    if (this.jobs.get(jobId) === placeholder) {
+      this.jobs.delete(jobId);
+    }
+  }
+
+  /**
+   * Run ffmpeg to completion
+   * @param {string[]} args - Command line arguments
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Kill the process after this many ms
+   * @param {string} [options.jobId] - Register the process so cancelJob() can stop it
+   * @param {Function} [options.onProgress] - Receives each `-progress pipe:1` block as an object
+   * @param {Function} [options.onImage] - Receives each JPEG from `-f image2pipe -vcodec mjpeg -` output
+   * @param {Function} [options.onData] - Receives raw stdout chunks (e.g. `-f rawvideo -` output)
+   * @returns {Promise<void>}
+   */
+  runFFmpeg(args, { timeout, jobId, onProgress, onImage, onData } = {}) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let stderr = '';
+      let timer = null;
+
+      const proc = spawn(this.ffmpegPath, args, {
+        stdio: ['ignore', onProgress || onImage || onData ? 'pipe' : 'ignore', 'pipe']
+      });
+
+      if (jobId) {
+        this.jobs.set(jobId, proc);
+      }
+
+      if (onProgress) {
+        // -progress writes key=value lines, each block terminated by progress=continue|end
+        let block = {};
+        readline.createInterface({ input: proc.stdout }).on('line', (line) => {
+          const separator = line.indexOf('=');
+          if (separator === -1) return;
+          const key = line.slice(0, separator).trim();
+          block[key] = line.slice(separator + 1).trim();
+          if (key === 'progress') {
+            onProgress(block);
+            block = {};
+          }
+        });
+      } else if (onImage) {
+        const parser = new JpegStreamParser(onImage);
+        proc.stdout.on('data', (chunk) => parser.push(chunk));
+      } else if (onData) {
+        proc.stdout.on('data', onData);
+      }
+
+      const finish = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (jobId) {
+          this.jobs.delete(jobId);
+        }
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      };
+
+      proc.stderr.on('data', (chunk) => {
+        // Keep only the tail; it holds the actual error
+        stderr = (stderr + chunk.toString()).slice(-2000);
+      });
+
+      proc.on('close', (code) => {
+        if (proc.cancelled) {
+          finish(new Error('Export cancelled'));
+        } else if (code === 0) {
+          finish();
+        } else {
+          const detail = stderr.trim().split('\n').pop();
+          finish(new Error(`FFmpeg exited with code ${code}${detail ? `: ${detail}` : ''}`));
+        }
+      });
+
+      proc.on('error', (err) => {
+        finish(new Error(`Failed to spawn ffmpeg: ${err.message}`));
+      });
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          proc.kill('SIGTERM');
+          finish(new Error('FFmpeg timeout'));
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * Build an exact presentation timestamp table for every video frame
+   * Reads packet timestamps only (no decoding), so it is cheap enough to run in the background.
+   * Results are cached in memory and on disk, keyed by path, size and modification time.
+   * @param {string} filePath - Path to the video file
+   * @returns {Promise<Object>} Frame index with sorted timestamps (seconds from the first frame),
+   *   the numbers of keyframes and each frame's packet size in bytes
+   */
+  async getFrameIndex(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    const key = this.getFileKey(filePath, stats);
+
+    const cached = this.frameIndexCache.get(filePath);
+    if (cached && cached.key === key) {
+      return cached;
+    }
+
+    // Reuse an in-flight probe for the same file
+    if (this.pendingFrameIndex.has(key)) {
+      return this.pendingFrameIndex.get(key);
+    }
+
+    const promise = this.loadOrBuildFrameIndex(filePath, key)
+      .then(index => {
+        this.storeFrameIndex(filePath, index);
+        return index;
+      })
+      .finally(() => {
+        this.pendingFrameIndex.delete(key);
+      });
+
+    this.pendingFrameIndex.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Read a frame index from the disk cache, or probe the file and write it back
+   * @param {string} filePath - Path to the video file
+   * @param {string} key - Cache key for the file's current contents
+   * @returns {Promise<Object>} Frame index
+   */
+  async loadOrBuildFrameIndex(filePath, key) {
+    const cachePath = path.join(this.tempDir, `index_${key}.json`);
+
+    try {
+      const index = JSON.parse(await fs.promises.readFile(cachePath, 'utf8'));
+      if (index.key === key && index.version === FRAME_INDEX_VERSION) {
+        return index;
+      }
+    } catch (err) {
+      // Not cached yet (or unreadable) - fall through and probe
+    }
+
+    const { timestamps, keyframes, packetSizes } = await this.probeFramePackets(filePath);
+    if (timestamps.length === 0) {
+      throw new Error('No video frames found');
+    }
+
+    const index = {
+      key,
+      version: FRAME_INDEX_VERSION,
+      frameCount: timestamps.length,
+      timestamps,
+      keyframes,
+      packetSizes
+    };
+
+    try {
+      await fs.promises.writeFile(cachePath, JSON.stringify(index));
+    } catch (err) {
+      console.warn('Failed to write frame index cache:', err);
+    }
+
+    return index;
+  }
+
+  /**
+   * Run ffprobe over the first video stream's packets and collect their timestamps, sizes and keyframe flags
+   * @param {string} filePath - Path to the video file
+   * @returns {Promise<Object>} { timestamps, keyframes, packetSizes } - presentation timestamps in display
+   *   order (relative to the first frame), the frame numbers of keyframes and packet sizes in display order
+   */
+  probeFramePackets(filePath) {
+    return new Promise((resolve, reject) => {
+      const args = [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-show_entries', 'packet=pts_time,dts_time,size,flags',
+        '-of', 'csv=p=0',
+        filePath
+      ];
+
+      const proc = spawn(this.ffprobePath, args, {
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+
+      const packets = [];
+      const lines = readline.createInterface({ input: proc.stdout });
+
+      lines.on('line', (line) => {
+        // Each line is "pts_time,dts_time,size,flags"; pts can be N/A for some containers (e.g. AVI)
+        const [ptsTime, dtsTime, size, flags = ''] = line.split(',');
+        let time = parseFloat(ptsTime);
+        if (Number.isNaN(time)) {
+          time = parseFloat(dtsTime);
+        }
+        if (!Number.isNaN(time)) {
+          packets.push({ time, size: parseInt(size, 10) || 0, isKeyframe: flags.includes('K') });
+        }
+      });
+
+      proc.on('error', (err) => {
+        reject(new Error(`Failed to spawn ffprobe: ${err.message}`));
+      });
+
+      proc.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(`FFprobe exited with code ${code}`));
+        }
+
+        // Packets arrive in decode order; sort into presentation order
+        packets.sort((a, b) => a.time - b.time);
+        const start = packets.length > 0 ? packets[0].time : 0;
+
+        const timestamps = packets.map(p => Math.round((p.time - start) * 1e6) / 1e6);
+        const packetSizes = packets.map(p => p.size);
+        const keyframes = [];
+        packets.forEach((p, frameNumber) => {
+          if (p.isKeyframe) keyframes.push(frameNumber);
+        });
+
+        resolve({ timestamps, keyframes, packetSizes });
+      });
+    });
+  }
+
+  /**
+   * Build the per-frame picture type table: picture type (I/P/B), keyframe flag and packet size
+   * Picture types need every frame decoded, so this is slower than the frame index; it runs in
+   * the background and is cached on disk next to the index.
+   * @param {string} jobId - Job ID for cancellation
+   * @param {string} filePath - Path to the video file
+   * @returns {Promise<Object>} { frameCount, pictTypes, keyframes, packetSizes } - pictTypes is a
+   *   string with one character per frame ('I', 'P', 'B', ... or '?' when unknown)
+   */
+  async getFrameTypes(jobId, filePath) {
+    // Registered until ffprobe starts, so a cancel sent while the index builds or the
+    // disk cache is read isn't lost
+    const job = this.reserveJob(jobId);
+    try {
+      const index = await this.getFrameIndex(filePath);
+      if (job.cancelled) {
+        throw new Error('Picture type probe cancelled');
+      }
+
+      const cached = this.frameTypeCache.get(filePath);
+      if (cached && cached.key === index.key) {
+        return cached;
+      }
+
+      if (this.pendingFrameTypes.has(index.key)) {
+        return await this.pendingFrameTypes.get(index.key).promise;
+      }
+
+      const pending = { jobId, promise: null };
+      pending.promise = this.loadOrProbeFrameTypes(jobId, filePath, index)
+        .then(table => {
+          this.frameTypeCache.delete(filePath);
+          if (this.frameTypeCache.size >= this.frameIndexCacheSize) {
+            const oldestKey = this.frameTypeCache.keys().next().value;
+            this.frameTypeCache.delete(oldestKey);
+          }
+          this.frameTypeCache.set(filePath, table);
+          return table;
+        })
+        .finally(() => {
+          if (this.pendingFrameTypes.get(index.key) === pending) {
+            this.pendingFrameTypes.delete(index.key);
+          }
+        });
+
+      this.pendingFrameTypes.set(index.key, pending);
+      return await pending.promise;
+    } finally {
+      this.releaseJob(jobId, job);
+    }
+  }
+
+  /**
+   * Read picture types from the disk cache, or decode the file and write them back
+   * @param {string} jobId - Job ID for cancellation
+   * @param {string} filePath - Path to the video file
+   * @param {Object} index - The file's frame index
+   * @returns {Promise<Object>} Picture type table
+   */
+  async loadOrProbeFrameTypes(jobId, filePath, index) {
+    const cachePath = path.join(this.tempDir, `types_${index.key}.json`);
+    let pictTypes = null;
+
+    try {
+      const cached = JSON.parse(await fs.promises.readFile(cachePath, 'utf8'));
+      if (cached.key === index.key && cached.version === FRAME_INDEX_VERSION) {
+        pictTypes = cached.pictTypes;
+      }
+    } catch (err) {
+      // Not cached yet (or unreadable) - fall through and probe
+    }
+
+    if (pictTypes === null) {
+      const types = await this.probePictureTypes(jobId, filePath);
+      pictTypes = Array.from({ length: index.frameCount }, (_, i) => types[i] || '?').join('');
+
+      try {
+        await fs.promises.writeFile(cachePath, JSON.stringify({
+          key: index.key,
+          version: FRAME_INDEX_VERSION,
+          pictTypes
+        }));
+      } catch (err) {
+        console.warn('Failed to write picture type cache:', err);
+      }
+    }
+
+    return {
+      key: index.key,
+      frameCount: index.frameCount,
+      pictTypes,
+      keyframes: index.keyframes,
+      packetSizes: index.packetSizes
+    };
+  }
+
+  /**
+   * Decode the first video stream with ffprobe and collect each frame's picture type
+   * @param {string} jobId - Job ID for cancellation
+   * @param {string} filePath - Path to the video file
+   * @returns {Promise<string[]>} Picture types in display order
+   */
+  probePictureTypes(jobId, filePath) {
+    return new Promise((resolve, reject) => {
+      // Cancelled while the disk cache was being checked
+      if (this.jobs.get(jobId)?.cancelled) {
+        reject(new Error('Picture type probe cancelled'));
+        return;
+      }
+
+      const args = [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-show_entries', 'frame=best_effort_timestamp_time,pict_type',
+        '-of', 'compact=p=0',
+        filePath
+      ];
+
+      const proc = spawn(this.ffprobePath, args, {
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+
+      this.jobs.set(jobId, proc);
+
+      const frames = [];
+      const lines = readline.createInterface({ input: proc.stdout });
+
+      lines.on('line', (line) => {
+        // Each line is "best_effort_timestamp_time=1.234|pict_type=P"
+        const fields = {};
+        line.split('|').forEach(pair => {
+          const separator = pair.indexOf('=');
+          if (separator !== -1) {
+            fields[pair.slice(0, separator)] = pair.slice(separator + 1);
+          }
+        });
+        const time = parseFloat(fields.best_effort_timestamp_time);
+        frames.push({
+          time: Number.isNaN(time) ? Infinity : time,
+          order: frames.length,
+          type: /^[A-Z]{1,2}$/.test(fields.pict_type) ? fields.pict_type : '?'
+        });
+      });
+
+      proc.on('error', (err) => {
+        this.jobs.delete(jobId);
+        reject(new Error(`Failed to spawn ffprobe: ${err.message}`));
+      });
+
+      proc.on('close', (code) => {
+        this.jobs.delete(jobId);
+        if (proc.cancelled) {
+          return reject(new Error('Picture type probe cancelled'));
+        }
+        if (code !== 0) {
+          return reject(new Error(`FFprobe exited with code ${code}`));
+        }
+
+        // Decoders emit frames in display order already; sorting guards against odd timestamps
+        frames.sort((a, b) => a.time - b.time || a.order - b.order);
+        resolve(frames.map(f => f.type[0]));
+      });
+    });
+  }
+
+  /**
+   * Remember a frame index in the in-memory cache (LRU)
+   * @param {string} filePath - Path to the video file
+   * @param {Object} index - Frame index
+   */
+  storeFrameIndex(filePath, index) {
+    this.frameIndexCache.delete(filePath);
+    if (this.frameIndexCache.size >= this.frameIndexCacheSize) {
+      const oldestKey = this.frameIndexCache.keys().next().value;
+      this.frameIndexCache.delete(oldestKey);
+    }
+    this.frameIndexCache.set(filePath, index);
+
+    // Frame numbering may have shifted; decoded frames are no longer trustworthy
+    this.decoderSessions.get(filePath)?.reset();
+  }
+
+  /**
+   * Build a cache key that changes whenever the file is replaced or modified
+   * @param {string} filePath - Path to the video file
+   * @param {fs.Stats} stats - File stats
+   * @returns {string}
+   */
+  getFileKey(filePath, stats) {
+    return crypto.createHash('sha1')
+      .update(`${path.resolve(filePath)}|${stats.size}|${stats.mtimeMs}`)
+      .digest('hex');
+  }
+
+  /**
+   * Get the timestamp of a frame, using the frame index when one has been built
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} frameRate - Nominal frame rate (fallback)
+   * @returns {number} Time in seconds
+   */
+  getFrameTime(filePath, frameNumber, frameRate) {
+    const index = this.frameIndexCache.get(filePath);
+    if (index) {
+      const clamped = Math.max(0, Math.min(frameNumber, index.frameCount - 1));
+      return index.timestamps[clamped];
+    }
+    return frameNumber / frameRate;
+  }
+
+  /**
+   * Get the time at which a frame stops being displayed (the next frame's timestamp)
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} frameRate - Nominal frame rate (fallback)
+   * @returns {number} Time in seconds
+   */
+  getFrameEndTime(filePath, frameNumber, frameRate) {
+    const index = this.frameIndexCache.get(filePath);
+    if (index && frameNumber + 1 < index.frameCount) {
+      return index.timestamps[frameNumber + 1];
+    }
+    return this.getFrameTime(filePath, frameNumber, frameRate) + 1 / frameRate;
+  }
+
+  /**
+   * Get an input seek time that makes ffmpeg's first output frame the given frame
+   * (halfway between the previous frame and the target; accurate seek drops everything before it)
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} frameRate - Nominal frame rate (fallback)
+   * @returns {number} Time in seconds
+   */
+  getFrameSeekTime(filePath, frameNumber, frameRate) {
+    if (frameNumber <= 0) return 0;
+    return (this.getFrameTime(filePath, frameNumber - 1, frameRate) +
+      this.getFrameTime(filePath, frameNumber, frameRate)) / 2;
+  }
+
+  /**
+   * Get (or start) the decoder session for a file
+   * @param {string} filePath - Path to the video file
+   * @param {number} frameRate - Nominal frame rate (used until a frame index exists)
+   * @returns {DecoderSession}
+   */
+  getDecoderSession(filePath, frameRate) {
+    let session = this.decoderSessions.get(filePath);
+
+    if (session) {
+      session.frameRate = frameRate;
+      // Mark as most recently used
+      this.decoderSessions.delete(filePath);
+      this.decoderSessions.set(filePath, session);
+      return session;
+    }
+
+    // Only keep a couple of files' decoders alive at once
+    if (this.decoderSessions.size >= this.maxDecoderSessions) {
+      const oldestKey = this.decoderSessions.keys().next().value;
+      this.closeDecoderSession(oldestKey);
+    }
+
+    session = new DecoderSession({
+      ffmpegPath: this.ffmpegPath,
+      filePath,
+      quality: this.frameQuality,
+      timeout: this.extractionTimeout,
+      getFrameTime: (frameNumber) => this.getFrameTime(filePath, frameNumber, session.frameRate)
+    });
+    session.frameRate = frameRate;
+
+    this.decoderSessions.set(filePath, session);
+    return session;
+  }
+
+  /**
+   * Apply the user's preferences (see SettingsStore)
+   * Running decoders pick up the new quality the next time they start ffmpeg
+   * @param {Object} settings
+   * @param {number} settings.jpegQuality - -q:v for extracted frames
+   * @param {number} settings.extractionTimeout - Seconds per frame
+   */
+  applySettings({ jpegQuality, extractionTimeout }) {
+    this.frameQuality = jpegQuality;
+    this.extractionTimeout = extractionTimeout * 1000;
+    this.decoderSessions.forEach(session => {
+      session.quality = this.frameQuality;
+      session.timeout = this.extractionTimeout;
+    });
+  }
+
+  /**
+   * Stop a file's decoder session
+   * @param {string} filePath - Path to the video file
+   */
+  closeDecoderSession(filePath) {
+    const session = this.decoderSessions.get(filePath);
+    if (session) {
+      session.close();
+      this.decoderSessions.delete(filePath);
+    }
+  }
+
   /**
    * Clean up temporary files
    */
   cleanup() {
+    Array.from(this.jobs.keys()).forEach(jobId => this.cancelJob(jobId));
+
+    Array.from(this.decoderSessions.keys()).forEach(filePath => {
+      this.closeDecoderSession(filePath);
+    });
+
     try {
       const files = fs.readdirSync(this.tempDir);
       files.forEach(file => {
@@ -204,4 +1485,7 @@ class FFmpegService {
   }
 }
 
+FFmpegService.IMAGE_FORMATS = IMAGE_FORMATS;
+FFmpegService.CLIP_PRESETS = CLIP_PRESETS;
+
 module.exports = FFmpegService;
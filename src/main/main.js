@@ -1,9 +1,19 @@
 const { app, BrowserWindow, ipcMain, dialog, Menu, clipboard, nativeImage } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const FFmpegService = require('./ffmpeg-service');
+const MarkerStore = require('./marker-store');
+const ProxyCache = require('./proxy-cache');
+const SettingsStore = require('./settings-store');
 
 let mainWindow;
 const ffmpegService = new FFmpegService();
+const markerStore = new MarkerStore();
+const annotationStore = new MarkerStore('annotations');
+const proxyCache = new ProxyCache(ffmpegService);
+const settingsStore = new SettingsStore();
+
+ffmpegService.applySettings(settingsStore.get());
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -18,7 +28,9 @@ function createWindow() {
       preload: path.join(__dirname, 'preload.js'),
       contextIsolation: true,
       nodeIntegration: false,
-      webSecurity: true
+      webSecurity: true,
+      // HTMLMediaElement.audioTracks, for switching between a file's audio streams
+      enableBlinkFeatures: 'AudioVideoTracks'
     }
   });
 
@@ -78,7 +90,8 @@ app.whenReady().then(() => {
   // Handle files opened via double-click or command line
   if (process.argv.length > 1) {
     // Filter for video files
-    const videoExtensions = ['.mp4', '.mkv', '.avi', '.mov', '.webm', '.wmv', '.flv', '.m4v'];
+    const videoExtensions = ['.mp4', '.mkv', '.avi', '.mov', '.webm', '.wmv', '.flv', '.m4v',
+      '.mxf', '.mpg', '.mpeg', '.ts', '.mts', '.m2ts'];
     const videoFiles = process.argv.slice(1).filter(arg => videoExtensions.some(ext => arg.toLowerCase().endsWith(ext)));
     if (videoFiles.length > 0) {
       mainWindow.webContents.once('did-finish-load', () => {
@@ -100,6 +113,10 @@ app.whenReady().then(() => {
   });
 });
 
+app.on('will-quit', () => {
+  ffmpegService.cleanup();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -109,9 +126,12 @@ app.on('window-all-closed', () => {
 // IPC Handlers
 ipcMain.handle('open-file-dialog', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openFile'],
+    properties: ['openFile', 'multiSelections'],
     filters: [
-      { name: 'Videos', extensions: ['mp4', 'mkv', 'avi', 'mov', 'webm', 'wmv', 'flv', 'm4v'] }
+      {
+        name: 'Videos',
+        extensions: ['mp4', 'mkv', 'avi', 'mov', 'webm', 'wmv', 'flv', 'm4v', 'mxf', 'mpg', 'mpeg', 'ts', 'mts', 'm2ts']
+      }
     ]
   });
 
@@ -119,7 +139,7 @@ ipcMain.handle('open-file-dialog', async () => {
     return null;
   }
 
-  return result.filePaths[0];
+  return result.filePaths;
 });
 
 ipcMain.handle('get-video-metadata', async (event, filePath) => {
@@ -131,6 +151,33 @@ ipcMain.handle('get-video-metadata', async (event, filePath) => {
   }
 });
 
+ipcMain.handle('get-media-info', async (event, filePath) => {
+  try {
+    return await ffmpegService.getMediaInfo(filePath);
+  } catch (error) {
+    console.error('Error getting media info:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('get-frame-index', async (event, filePath) => {
+  try {
+    return await ffmpegService.getFrameIndex(filePath);
+  } catch (error) {
+    console.error('Error building frame index:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('get-frame-types', async (event, jobId, filePath) => {
+  try {
+    return await ffmpegService.getFrameTypes(jobId, filePath);
+  } catch (error) {
+    console.error('Error reading picture types:', error);
+    throw error;
+  }
+});
+
 ipcMain.handle('extract-frame', async (event, filePath, frameNumber, frameRate) => {
   try {
     return await ffmpegService.extractFrame(filePath, frameNumber, frameRate);
@@ -140,6 +187,28 @@ ipcMain.handle('extract-frame', async (event, filePath, frameNumber, frameRate)
   }
 });
 
+ipcMain.handle('close-decoder', (event, filePath) => {
+  ffmpegService.closeDecoderSession(filePath);
+});
+
+ipcMain.handle('sample-pixels', async (event, filePath, frameNumber, frameRate, points) => {
+  try {
+    return await ffmpegService.samplePixels(filePath, frameNumber, frameRate, points);
+  } catch (error) {
+    console.error('Error sampling pixels:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('get-scope-frame', async (event, filePath, frameNumber, frameRate) => {
+  try {
+    return await ffmpegService.getScopeFrame(filePath, frameNumber, frameRate);
+  } catch (error) {
+    console.error('Error decoding frame for scopes:', error);
+    throw error;
+  }
+});
+
 ipcMain.handle('extract-frames-batch', async (event, filePath, frameNumbers, frameRate) => {
   try {
     return await ffmpegService.extractFramesBatch(filePath, frameNumbers, frameRate);
@@ -149,6 +218,306 @@ ipcMain.handle('extract-frames-batch', async (event, filePath, frameNumbers, fra
   }
 });
 
+ipcMain.handle('decode-frame-range', async (event, jobId, filePath, frameRate, startFrame, count, options) => {
+  try {
+    return await ffmpegService.decodeFrameRange(jobId, filePath, frameRate, startFrame, count, options);
+  } catch (error) {
+    console.error('Error decoding frames:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('show-save-frame-dialog', async (event, defaultPath, format) => {
+  const formats = FFmpegService.IMAGE_FORMATS;
+  const names = { png: 'PNG', jpeg: 'JPEG', tiff: 'TIFF', webp: 'WebP' };
+
+  // Offer the preferred format first
+  const order = [format, ...Object.keys(formats).filter(f => f !== format)];
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save Frame As',
+    defaultPath,
+    filters: order.map(f => ({ name: names[f], extensions: [formats[f].extension] }))
+  });
+
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+
+  return result.filePath;
+});
+
+ipcMain.handle('select-directory', async (event, defaultPath) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    defaultPath,
+    properties: ['openDirectory', 'createDirectory']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  return result.filePaths[0];
+});
+
+ipcMain.handle('save-frame', async (event, filePath, frameNumber, frameRate, target) => {
+  try {
+    const { format } = target;
+    const extension = FFmpegService.IMAGE_FORMATS[format]?.extension;
+    if (!extension) {
+      throw new Error(`Unsupported image format: ${format}`);
+    }
+
+    // Save As passes a full path; quick-save passes a folder and name and must not overwrite
+    const outputPath = target.outputPath ||
+      getUniquePath(path.join(target.directory, `${target.filename}.${extension}`));
+
+    return await ffmpegService.saveFrame(filePath, frameNumber, frameRate, outputPath, format);
+  } catch (error) {
+    console.error('Error saving frame:', error);
+    throw error;
+  }
+});
+
+/**
+ * Append _1, _2, ... to a file name until it doesn't collide with an existing file
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getUniquePath(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return filePath;
+  }
+
+  const { dir, name, ext } = path.parse(filePath);
+  for (let i = 1; ; i++) {
+    const candidate = path.join(dir, `${name}_${i}${ext}`);
+    if (!fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+ipcMain.handle('export-image-sequence', async (event, jobId, filePath, options) => {
+  try {
+    return await ffmpegService.exportImageSequence(jobId, filePath, options, (done, total) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('export-progress', jobId, done, total);
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting image sequence:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('export-clip', async (event, jobId, filePath, options) => {
+  try {
+    return await ffmpegService.exportClip(jobId, filePath, options, (done, total) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('export-progress', jobId, done, total);
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting clip:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('show-save-clip-dialog', async (event, defaultPath, extension) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Clip',
+    defaultPath,
+    filters: [{ name: 'Video', extensions: [extension] }]
+  });
+
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+
+  return result.filePath;
+});
+
+ipcMain.handle('show-save-json-dialog', async (event, defaultPath, title) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title,
+    defaultPath,
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+
+  return result.filePath;
+});
+
+ipcMain.handle('generate-thumbnails', async (event, jobId, filePath, options) => {
+  try {
+    return await ffmpegService.generateThumbnails(jobId, filePath, options, (frameNumber, image) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('thumbnail', jobId, frameNumber, image.toString('base64'));
+      }
+    });
+  } catch (error) {
+    console.error('Error generating thumbnails:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('generate-waveform', async (event, jobId, filePath, options) => {
+  try {
+    return await ffmpegService.generateWaveform(jobId, filePath, options);
+  } catch (error) {
+    console.error('Error generating waveform:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('extract-subtitles', async (event, jobId, filePath, subtitleIndex) => {
+  try {
+    return await ffmpegService.extractSubtitles(jobId, filePath, subtitleIndex);
+  } catch (error) {
+    console.error('Error extracting subtitles:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('open-subtitle-dialog', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Subtitles', extensions: ['srt', 'vtt', 'ass', 'ssa'] }
+    ]
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  return result.filePaths[0];
+});
+
+ipcMain.handle('read-subtitle-file', async (event, filePath) => {
+  try {
+    const data = await fs.promises.readFile(filePath);
+    const text = data.toString('utf8');
+    // Older subtitle files are often Latin-1 rather than UTF-8
+    return text.includes('\uFFFD') ? data.toString('latin1') : text;
+  } catch (error) {
+    console.error('Error reading subtitle file:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('prepare-proxy', async (event, jobId, filePath) => {
+  try {
+    return await proxyCache.prepare(jobId, filePath, (done, total) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('export-progress', jobId, done, total);
+      }
+    });
+  } catch (error) {
+    console.error('Error preparing proxy:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('release-proxy', (event, proxyPath) => {
+  proxyCache.release(proxyPath);
+});
+
+ipcMain.handle('clear-proxy-cache', async (event, keepPaths) => {
+  try {
+    return await proxyCache.clear(keepPaths);
+  } catch (error) {
+    console.error('Error clearing proxy cache:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('get-settings', () => {
+  return settingsStore.get();
+});
+
+ipcMain.handle('update-settings', async (event, changes) => {
+  try {
+    const settings = await settingsStore.update(changes);
+    ffmpegService.applySettings(settings);
+    return settings;
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('reset-settings', async () => {
+  try {
+    const settings = await settingsStore.reset();
+    ffmpegService.applySettings(settings);
+    return settings;
+  } catch (error) {
+    console.error('Error resetting settings:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('cancel-export', (event, jobId) => {
+  // Proxy callers share one ffmpeg job per file; the cache stops it when the last one cancels
+  return proxyCache.cancel(jobId) || ffmpegService.cancelJob(jobId);
+});
+
+ipcMain.handle('load-markers', async (event, filePath) => {
+  return await markerStore.load(filePath);
+});
+
+ipcMain.handle('save-markers', async (event, filePath, markers) => {
+  try {
+    await markerStore.save(filePath, markers);
+  } catch (error) {
+    console.error('Error saving markers:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('load-annotations', async (event, filePath) => {
+  return await annotationStore.load(filePath);
+});
+
+ipcMain.handle('save-annotations', async (event, filePath, annotations) => {
+  try {
+    await annotationStore.save(filePath, annotations);
+  } catch (error) {
+    console.error('Error saving annotations:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('save-image', async (event, outputPath, dataUrl) => {
+  try {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    await fs.promises.writeFile(outputPath, Buffer.from(base64, 'base64'));
+    return outputPath;
+  } catch (error) {
+    console.error('Error saving image:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('save-text-file', async (event, outputPath, text) => {
+  try {
+    await fs.promises.writeFile(outputPath, text, 'utf8');
+    return outputPath;
+  } catch (error) {
+    console.error('Error saving text file:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('copy-text-to-clipboard', (event, text) => {
+  clipboard.writeText(text);
+  return true;
+});
+
 ipcMain.handle('copy-image-to-clipboard', (event, dataUrl) => {
   try {
     const image = nativeImage.createFromDataURL(dataUrl);
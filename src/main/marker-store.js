@@ -0,0 +1,69 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Marker Store
+ * Persists timeline markers per video as JSON files in the app's userData folder,
+ * keyed by the video's absolute path so they survive the file being re-encoded or touched.
+ * Other per-video lists (frame annotations) use their own store with a different name.
+ */
+class MarkerStore {
+  /**
+   * @param {string} [name] - Folder under userData and key of the list in each file
+   */
+  constructor(name = 'markers') {
+    this.name = name;
+    this.directory = path.join(app.getPath('userData'), name);
+  }
+
+  /**
+   * Get the JSON file holding a video's markers
+   * @param {string} filePath - Path to the video file
+   * @returns {string}
+   */
+  getStorePath(filePath) {
+    const key = crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex');
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Load the markers saved for a video
+   * @param {string} filePath - Path to the video file
+   * @returns {Promise<Array>} Markers ({ id, frame, name, color }), or an empty list
+   */
+  async load(filePath) {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.getStorePath(filePath), 'utf8'));
+      return Array.isArray(data[this.name]) ? data[this.name] : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`Failed to read ${this.name}:`, err);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Save a video's markers, removing the file once the last marker is deleted
+   * @param {string} filePath - Path to the video file
+   * @param {Array} markers - Markers ({ id, frame, name, color })
+   */
+  async save(filePath, markers) {
+    const storePath = this.getStorePath(filePath);
+
+    if (markers.length === 0) {
+      await fs.promises.rm(storePath, { force: true });
+      return;
+    }
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(storePath, JSON.stringify({
+      filePath: path.resolve(filePath),
+      [this.name]: markers
+    }, null, 2));
+  }
+}
+
+module.exports = MarkerStore;
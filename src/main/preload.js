@@ -1,12 +1,24 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   // File operations
   openFileDialog: () => ipcRenderer.invoke('open-file-dialog'),
 
+  // Path of a dropped File (File.path no longer exists in the renderer)
+  getPathForFile: (file) => webUtils.getPathForFile(file),
+
   // Video metadata
   getVideoMetadata: (filePath) => ipcRenderer.invoke('get-video-metadata', filePath),
 
+  // Full ffprobe report (all streams, format and chapters)
+  getMediaInfo: (filePath) => ipcRenderer.invoke('get-media-info', filePath),
+
+  // Exact per-frame timestamps (built in the background)
+  getFrameIndex: (filePath) => ipcRenderer.invoke('get-frame-index', filePath),
+
+  // Per-frame picture type (I/P/B), keyframe flag and packet size (decodes the whole file once)
+  getFrameTypes: (jobId, filePath) => ipcRenderer.invoke('get-frame-types', jobId, filePath),
+
   // Frame extraction
   extractFrame: (filePath, frameNumber, frameRate) =>
     ipcRenderer.invoke('extract-frame', filePath, frameNumber, frameRate),
@@ -14,7 +26,89 @@ contextBridge.exposeInMainWorld('electronAPI', {
   extractFramesBatch: (filePath, frameNumbers, frameRate) =>
     ipcRenderer.invoke('extract-frames-batch', filePath, frameNumbers, frameRate),
 
+  // Stop the file's decoder (releases the file and its buffered frames) when it is closed
+  closeDecoder: (filePath) => ipcRenderer.invoke('close-decoder', filePath),
+
+  // Consecutive frames decoded in one pass, for reverse playback (cancel with cancelExport)
+  decodeFrameRange: (jobId, filePath, frameRate, startFrame, count, options) =>
+    ipcRenderer.invoke('decode-frame-range', jobId, filePath, frameRate, startFrame, count, options),
+
+  // Pixel values at full source resolution (RGB and YUV)
+  samplePixels: (filePath, frameNumber, frameRate, points) =>
+    ipcRenderer.invoke('sample-pixels', filePath, frameNumber, frameRate, points),
+
+  // Whole frame at full resolution for the video scopes (8-bit RGB and planar YUV)
+  getScopeFrame: (filePath, frameNumber, frameRate) =>
+    ipcRenderer.invoke('get-scope-frame', filePath, frameNumber, frameRate),
+
+  // Saving frames
+  saveFrame: (filePath, frameNumber, frameRate, target) =>
+    ipcRenderer.invoke('save-frame', filePath, frameNumber, frameRate, target),
+
+  showSaveFrameDialog: (defaultPath, format) =>
+    ipcRenderer.invoke('show-save-frame-dialog', defaultPath, format),
+
+  selectDirectory: (defaultPath) => ipcRenderer.invoke('select-directory', defaultPath),
+
+  // Exports (long-running; progress arrives through onExportProgress)
+  exportImageSequence: (jobId, filePath, options) =>
+    ipcRenderer.invoke('export-image-sequence', jobId, filePath, options),
+
+  exportClip: (jobId, filePath, options) =>
+    ipcRenderer.invoke('export-clip', jobId, filePath, options),
+
+  showSaveClipDialog: (defaultPath, extension) =>
+    ipcRenderer.invoke('show-save-clip-dialog', defaultPath, extension),
+
+  cancelExport: (jobId) => ipcRenderer.invoke('cancel-export', jobId),
+
+  // Timeline thumbnails (delivered one at a time through onThumbnail; cancel with cancelExport)
+  generateThumbnails: (jobId, filePath, options) =>
+    ipcRenderer.invoke('generate-thumbnails', jobId, filePath, options),
+
+  // Playable stand-in for a file the video element can't play (progress through
+  // onExportProgress, cancel with cancelExport; release once no longer shown), and
+  // removing the cached ones
+  prepareProxy: (jobId, filePath) => ipcRenderer.invoke('prepare-proxy', jobId, filePath),
+  releaseProxy: (proxyPath) => ipcRenderer.invoke('release-proxy', proxyPath),
+  clearProxyCache: (keepPaths) => ipcRenderer.invoke('clear-proxy-cache', keepPaths),
+
+  // Audio waveform peaks for the timeline (cancel with cancelExport)
+  generateWaveform: (jobId, filePath, options) =>
+    ipcRenderer.invoke('generate-waveform', jobId, filePath, options),
+
+  // Subtitles: embedded streams as WebVTT (cancel with cancelExport), external files
+  extractSubtitles: (jobId, filePath, subtitleIndex) =>
+    ipcRenderer.invoke('extract-subtitles', jobId, filePath, subtitleIndex),
+  openSubtitleDialog: () => ipcRenderer.invoke('open-subtitle-dialog'),
+  readSubtitleFile: (filePath) => ipcRenderer.invoke('read-subtitle-file', filePath),
+
+  // App preferences (stored by the main process; updates return every setting as saved)
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  updateSettings: (changes) => ipcRenderer.invoke('update-settings', changes),
+  resetSettings: () => ipcRenderer.invoke('reset-settings'),
+
+  // Timeline markers (persisted per video)
+  loadMarkers: (filePath) => ipcRenderer.invoke('load-markers', filePath),
+
+  saveMarkers: (filePath, markers) => ipcRenderer.invoke('save-markers', filePath, markers),
+
+  // Frame annotations (persisted per video)
+  loadAnnotations: (filePath) => ipcRenderer.invoke('load-annotations', filePath),
+
+  saveAnnotations: (filePath, annotations) => ipcRenderer.invoke('save-annotations', filePath, annotations),
+
+  // Write a rendered image (data URL) to disk
+  saveImage: (outputPath, dataUrl) => ipcRenderer.invoke('save-image', outputPath, dataUrl),
+
+  // Write a text file (JSON exports)
+  showSaveJsonDialog: (defaultPath, title) => ipcRenderer.invoke('show-save-json-dialog', defaultPath, title),
+
+  saveTextFile: (outputPath, text) => ipcRenderer.invoke('save-text-file', outputPath, text),
+
   // Clipboard
+  copyTextToClipboard: (text) => ipcRenderer.invoke('copy-text-to-clipboard', text),
+
   copyImageToClipboard: (dataUrl) =>
     ipcRenderer.invoke('copy-image-to-clipboard', dataUrl),
 
@@ -23,6 +117,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('file-opened', (event, filePath) => callback(filePath));
   },
 
+  onExportProgress: (callback) => {
+    ipcRenderer.on('export-progress', (event, jobId, done, total) => callback(jobId, done, total));
+  },
+
+  onThumbnail: (callback) => {
+    ipcRenderer.on('thumbnail', (event, jobId, frameNumber, data) => callback(jobId, frameNumber, data));
+  },
+
   // Window controls
   windowMinimize: () => ipcRenderer.send('window-minimize'),
   windowMaximize: () => ipcRenderer.send('window-maximize'),
@@ -0,0 +1,244 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Proxy Cache
+ * Playable stand-ins for videos the video element can't play (see FFmpegService.createProxy),
+ * kept in the app's userData folder and keyed by the original's path, size and modification
+ * time, so editing the original makes a new proxy. The least recently used proxies are
+ * removed once the cache grows past maxBytes, except those a player still has open.
+ */
+class ProxyCache {
+  /**
+   * @param {FFmpegService} ffmpegService
+   * @param {number} [maxBytes] - Size the cache is trimmed back to after adding a proxy
+   */
+  constructor(ffmpegService, maxBytes = ProxyCache.MAX_BYTES) {
+    this.ffmpegService = ffmpegService;
+    this.maxBytes = maxBytes;
+    this.directory = path.join(app.getPath('userData'), 'proxies');
+    this.pending = new Map(); // key -> { jobId, promise, subscribers: Map(callerJobId -> { onProgress, reject }) }
+    this.open = new Map();    // proxyPath -> number of players showing it
+  }
+
+  /**
+   * Get a playable proxy for a file, creating it if needed
+   * @param {string} jobId - Caller-chosen id for progress and cancellation
+   * @param {string} filePath - Path to the original video
+   * @param {Function} onProgress - (framesDone, frameCount) => void
+   * @returns {Promise<Object>} { proxyPath, mode: 'remux' | 'transcode' }
+   */
+  async prepare(jobId, filePath, onProgress) {
+    const proxy = await this.find(jobId, filePath, onProgress);
+    this.open.set(proxy.proxyPath, (this.open.get(proxy.proxyPath) || 0) + 1);
+    return proxy;
+  }
+
+  /**
+   * Tell the cache a player no longer shows a proxy from prepare(), so it may be trimmed
+   * @param {string} proxyPath
+   */
+  release(proxyPath) {
+    const count = (this.open.get(proxyPath) || 0) - 1;
+    if (count > 0) {
+      this.open.set(proxyPath, count);
+    } else {
+      this.open.delete(proxyPath);
+    }
+  }
+
+  /**
+   * Look up a file's proxy, or subscribe to the one being written for it (starting it if
+   * nobody else has). Every subscriber gets progress and can cancel on its own.
+   * @param {string} jobId
+   * @param {string} filePath
+   * @param {Function} onProgress
+   * @returns {Promise<Object>} { proxyPath, mode }
+   */
+  async find(jobId, filePath, onProgress) {
+    const stats = await fs.promises.stat(filePath);
+    const key = this.ffmpegService.getFileKey(filePath, stats);
+
+    for (const mode of ['remux', 'transcode']) {
+      const proxyPath = this.getProxyPath(key, mode);
+      if (fs.existsSync(proxyPath)) {
+        // Mark as recently used
+        const now = new Date();
+        await fs.promises.utimes(proxyPath, now, now).catch(() => {});
+        return { proxyPath, mode };
+      }
+    }
+
+    let pending = this.pending.get(key);
+    if (!pending) {
+      pending = { jobId: `proxy-${key}`, promise: null, subscribers: new Map() };
+      const subscribers = pending.subscribers;
+      pending.promise = this.create(pending.jobId, filePath, key, (done, total) => {
+        subscribers.forEach(subscriber => subscriber.onProgress(done, total));
+      }).finally(() => {
+        this.pending.delete(key);
+      });
+      this.pending.set(key, pending);
+    }
+
+    return new Promise((resolve, reject) => {
+      pending.subscribers.set(jobId, { onProgress, reject });
+      pending.promise.then(resolve, reject).finally(() => {
+        pending.subscribers.delete(jobId);
+      });
+    });
+  }
+
+  /**
+   * Stop waiting for a proxy; the job writing it is stopped once nobody else waits for it
+   * @param {string} jobId - Id the caller passed to prepare()
+   * @returns {boolean} True if the job was waiting for a proxy
+   */
+  cancel(jobId) {
+    for (const pending of this.pending.values()) {
+      const subscriber = pending.subscribers.get(jobId);
+      if (!subscriber) continue;
+
+      pending.subscribers.delete(jobId);
+      subscriber.reject(new Error('Export cancelled'));
+      if (pending.subscribers.size === 0) {
+        this.ffmpegService.cancelJob(pending.jobId);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Write a new proxy (to a temporary name, so a cancelled job leaves nothing usable behind)
+   * @param {string} jobId
+   * @param {string} filePath
+   * @param {string} key - Cache key of the original
+   * @param {Function} onProgress
+   * @returns {Promise<Object>} { proxyPath, mode }
+   */
+  async create(jobId, filePath, key, onProgress) {
+    // Registered until ffmpeg starts, so a cancel sent while the file is probed isn't lost
+    const job = this.ffmpegService.reserveJob(jobId);
+    let proxyPath;
+    let mode;
+    try {
+      const metadata = await this.ffmpegService.getMetadata(filePath);
+      mode = this.ffmpegService.getProxyMode(metadata);
+      proxyPath = this.getProxyPath(key, mode);
+      const partPath = `${proxyPath}.part`;
+
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      if (job.cancelled) {
+        throw new Error('Export cancelled');
+      }
+
+      try {
+        await this.ffmpegService.createProxy(jobId, filePath, partPath, metadata, mode, onProgress);
+        await fs.promises.rename(partPath, proxyPath);
+      } catch (error) {
+        await fs.promises.rm(partPath, { force: true });
+        throw error;
+      }
+    } finally {
+      this.ffmpegService.releaseJob(jobId, job);
+    }
+
+    await this.trim([proxyPath]);
+    return { proxyPath, mode };
+  }
+
+  /**
+   * @param {string} key - Cache key of the original
+   * @param {string} mode - 'remux' or 'transcode'
+   * @returns {string}
+   */
+  getProxyPath(key, mode) {
+    return path.join(this.directory, `${key}.${mode}.mp4`);
+  }
+
+  /**
+   * List the finished proxies, least recently used first
+   * @returns {Promise<Object[]>} { filePath, size, mtimeMs }
+   */
+  async list() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (err) {
+      return [];
+    }
+
+    const entries = await Promise.all(names
+      .filter(name => name.endsWith('.mp4'))
+      .map(async (name) => {
+        const filePath = path.join(this.directory, name);
+        try {
+          const { size, mtimeMs } = await fs.promises.stat(filePath);
+          return { filePath, size, mtimeMs };
+        } catch (err) {
+          return null;
+        }
+      }));
+
+    return entries.filter(Boolean).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  }
+
+  /**
+   * Remove the least recently used proxies until the cache fits in maxBytes
+   * Proxies a player has open are never removed.
+   * @param {string[]} [keep] - Other proxies never removed (e.g. the one just made)
+   */
+  async trim(keep = []) {
+    const entries = await this.list();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const entry of entries) {
+      if (total <= this.maxBytes) break;
+      if (keep.includes(entry.filePath) || this.open.has(entry.filePath)) continue;
+      try {
+        await fs.promises.rm(entry.filePath, { force: true });
+        total -= entry.size;
+      } catch (err) {
+        console.warn('Failed to remove proxy:', err);
+      }
+    }
+  }
+
+  /**
+   * Remove every proxy, including leftovers of interrupted jobs
+   * @param {string[]} [keep] - Proxies in use, left in place
+   * @returns {Promise<Object>} { count, bytes } removed
+   */
+  async clear(keep = []) {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (err) {
+      return { count: 0, bytes: 0 };
+    }
+
+    let count = 0;
+    let bytes = 0;
+    for (const name of names) {
+      const filePath = path.join(this.directory, name);
+      // Proxies still being written are named after their original's key
+      if (keep.includes(filePath) || this.pending.has(name.split('.')[0])) continue;
+      try {
+        const { size } = await fs.promises.stat(filePath);
+        await fs.promises.rm(filePath, { force: true });
+        count++;
+        bytes += size;
+      } catch (err) {
+        console.warn('Failed to remove proxy:', err);
+      }
+    }
+    return { count, bytes };
+  }
+}
+
+// Default cache size: 20 GB
+ProxyCache.MAX_BYTES = 20 * 1024 * 1024 * 1024;
+
+module.exports = ProxyCache;
@@ -0,0 +1,118 @@
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Settings Store
+ * App preferences, kept as one JSON file in the app's userData folder. Values are checked
+ * against SettingsStore.SCHEMA on the way in and out (unknown keys dropped, numbers
+ * clamped), so a hand-edited or older file can't give the app a value it doesn't expect.
+ */
+class SettingsStore {
+  /**
+   * @param {string} [fileName] - File under userData
+   */
+  constructor(fileName = 'settings.json') {
+    this.filePath = path.join(app.getPath('userData'), fileName);
+    this.settings = this.load();
+  }
+
+  /**
+   * Read the saved settings (read once at startup, before the window opens)
+   * @returns {Object} Every setting, defaults filled in
+   */
+  load() {
+    try {
+      return this.validate(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn('Failed to read settings:', err);
+      }
+      return this.validate({});
+    }
+  }
+
+  /**
+   * @returns {Object} A copy of the current settings
+   */
+  get() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Change some settings and save them
+   * @param {Object} changes - Setting name -> value
+   * @returns {Promise<Object>} All settings, as stored
+   */
+  async update(changes) {
+    this.settings = this.validate({ ...this.settings, ...changes });
+    await this.save();
+    return this.get();
+  }
+
+  /**
+   * Put every setting back to its default
+   * @returns {Promise<Object>}
+   */
+  async reset() {
+    this.settings = this.validate({});
+    await this.save();
+    return this.get();
+  }
+
+  /**
+   * Keep known settings only, each of the right type and within range
+   * @param {Object} values
+   * @returns {Object}
+   */
+  validate(values) {
+    const settings = {};
+    Object.entries(SettingsStore.SCHEMA).forEach(([name, rule]) => {
+      const value = values[name];
+      if (typeof rule.default === 'boolean') {
+        settings[name] = typeof value === 'boolean' ? value : rule.default;
+      } else if (typeof value === 'number' && Number.isFinite(value)) {
+        const stepped = rule.step ? Math.round(value / rule.step) * rule.step : value;
+        settings[name] = Math.max(rule.min, Math.min(rule.max, stepped));
+      } else {
+        settings[name] = rule.default;
+      }
+    });
+
+    // Keep the speed range the right way round
+    settings.maxPlaybackRate = Math.max(settings.minPlaybackRate, settings.maxPlaybackRate);
+    return settings;
+  }
+
+  /**
+   * Write the settings (to a temporary file first, so a crash can't leave half a file)
+   */
+  async save() {
+    const partPath = `${this.filePath}.part`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(partPath, JSON.stringify(this.settings, null, 2));
+    await fs.promises.rename(partPath, this.filePath);
+  }
+}
+
+// Every setting with its default; numbers have a range (and optionally a step)
+SettingsStore.SCHEMA = {
+  // Playback
+  autoPlay: { default: true },                                      // Start playing when a file opens
+  autoResizeWindow: { default: true },                              // Fit the window to each opened video
+  minPlaybackRate: { default: 0.25, min: 0.25, max: 1, step: 0.25 },
+  maxPlaybackRate: { default: 2, min: 1, max: 16, step: 0.25 },
+
+  // Controls
+  autoHideDelay: { default: 3, min: 0, max: 60, step: 0.5 },        // Seconds; 0 keeps the controls shown
+
+  // Frame extraction
+  // The renderer's extracted frames are drawn by the onion skin and difference overlays;
+  // stepping itself seeks the video element
+  frameCacheSize: { default: 30, min: 5, max: 500, step: 1 },       // Extracted frames kept in the renderer
+  prefetchRadius: { default: 3, min: 0, max: 30, step: 1 },         // Frames fetched beyond an overlay's, either side
+  jpegQuality: { default: 2, min: 1, max: 31, step: 1 },            // ffmpeg -q:v (lower is better)
+  extractionTimeout: { default: 10, min: 1, max: 120, step: 1 }     // Seconds per frame
+};
+
+module.exports = SettingsStore;
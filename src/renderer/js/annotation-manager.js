@@ -0,0 +1,560 @@
+/**
+ * Annotation Manager
+ * Draws freehand strokes, arrows, rectangles, ellipses and text on a layer above the
+ * paused frame. Annotations belong to a frame number, are saved per video and come back
+ * when that frame is shown again; annotated frames export as PNG or go to the clipboard.
+ */
+class AnnotationManager {
+  constructor(videoController, uiOverlay, frameSaver) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.frameSaver = frameSaver;
+    this.storage = new LocalSettings(AnnotationManager.STORAGE_KEY, AnnotationManager.DEFAULTS);
+    this.settings = this.storage.load();
+    this.filePath = null;
+    this.annotations = new Map(); // frameNumber -> shapes
+    this.isActive = false;        // Drawing mode (layer takes the mouse)
+    this.draft = null;            // Shape being drawn
+    this.textAnchor = null;       // Frame position of the text being typed
+
+    this.elements = {
+      container: document.getElementById('videoContainer'),
+      canvas: document.getElementById('annotationCanvas'),
+      toolbar: document.getElementById('annotationToolbar'),
+      color: document.getElementById('annotationColor'),
+      lineWidth: document.getElementById('annotationWidth'),
+      undoBtn: document.getElementById('annotationUndo'),
+      clearBtn: document.getElementById('annotationClear'),
+      saveBtn: document.getElementById('annotationSave'),
+      copyBtn: document.getElementById('annotationCopy'),
+      doneBtn: document.getElementById('annotationDone'),
+      text: document.getElementById('annotationText')
+    };
+    this.ctx = this.elements.canvas.getContext('2d');
+
+    this.setupToolbar();
+    this.setupDrawing();
+    this.setupTextEntry();
+
+    this.vc.on('loaded', (filePath) => this.load(filePath));
+    this.vc.on('frame', () => this.render());
+    this.vc.on('reset', () => {
+      this.setActive(false);
+      this.filePath = null;
+      this.annotations.clear();
+      this.render();
+    });
+
+    // Annotations are drawn over exact frames only
+    this.vc.videoElement.addEventListener('play', () => {
+      this.setActive(false);
+      this.render();
+    });
+    this.vc.on('reverse', (isReversing) => {
+      if (isReversing) {
+        this.setActive(false);
+      }
+      this.render();
+    });
+  }
+
+  /**
+   * Setup toolbar buttons and fields
+   */
+  setupToolbar() {
+    const { toolbar, color, lineWidth, undoBtn, clearBtn, saveBtn, copyBtn, doneBtn } = this.elements;
+
+    toolbar.querySelectorAll('[data-annotation-tool]').forEach(button => {
+      button.addEventListener('click', () => this.setTool(button.dataset.annotationTool));
+    });
+
+    color.addEventListener('input', () => {
+      this.settings.color = color.value;
+      this.storage.save(this.settings);
+    });
+
+    lineWidth.addEventListener('change', () => {
+      this.settings.lineWidth = Number(lineWidth.value);
+      this.storage.save(this.settings);
+    });
+
+    undoBtn.addEventListener('click', () => this.undo());
+    clearBtn.addEventListener('click', () => this.clearFrame());
+    saveBtn.addEventListener('click', () => this.saveAnnotatedFrame());
+    copyBtn.addEventListener('click', () => this.copyToClipboard());
+    doneBtn.addEventListener('click', () => this.setActive(false));
+
+    this.updateToolbar();
+  }
+
+  /**
+   * Draw with the mouse while drawing mode is on
+   */
+  setupDrawing() {
+    const { canvas } = this.elements;
+
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!this.isActive || e.button !== 0) return;
+      e.preventDefault();
+
+      const point = this.toFramePoint(e);
+      if (this.settings.tool === 'text') {
+        this.startText(point, e);
+        return;
+      }
+
+      const { tool, color, lineWidth } = this.settings;
+      this.draft = tool === 'pen'
+        ? { type: 'pen', color, width: lineWidth, points: [point] }
+        : { type: tool, color, width: lineWidth, from: point, to: point };
+      canvas.setPointerCapture(e.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!this.draft) return;
+
+      const point = this.toFramePoint(e);
+      if (this.draft.type === 'pen') {
+        this.draft.points.push(point);
+      } else {
+        this.draft.to = point;
+      }
+      this.render();
+    });
+
+    const finish = () => {
+      if (!this.draft) return;
+      const shape = this.draft;
+      this.draft = null;
+
+      // Ignore clicks that didn't draw anything
+      const moved = shape.type === 'pen'
+        ? shape.points.length > 1
+        : shape.from[0] !== shape.to[0] || shape.from[1] !== shape.to[1];
+      if (moved) {
+        this.addShape(shape);
+      } else {
+        this.render();
+      }
+    };
+
+    canvas.addEventListener('pointerup', finish);
+    canvas.addEventListener('pointercancel', finish);
+  }
+
+  /**
+   * Setup the inline text entry used by the text tool
+   */
+  setupTextEntry() {
+    const { text } = this.elements;
+
+    text.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.commitText();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.cancelText();
+      }
+    });
+    text.addEventListener('blur', () => this.commitText());
+  }
+
+  /**
+   * Load the saved annotations for a video
+   * @param {string} filePath
+   */
+  async load(filePath) {
+    this.filePath = filePath;
+    this.annotations.clear();
+    this.render();
+
+    try {
+      const entries = await window.electronAPI.loadAnnotations(filePath);
+
+      // Ignore results for a file that is no longer open
+      if (this.filePath !== filePath) return;
+
+      entries.forEach(entry => {
+        if (Array.isArray(entry.shapes) && entry.shapes.length > 0) {
+          this.annotations.set(entry.frame, entry.shapes);
+        }
+      });
+      this.render();
+    } catch (error) {
+      console.warn('Failed to load annotations:', error);
+    }
+  }
+
+  /**
+   * Persist the open video's annotations
+   */
+  async save() {
+    if (!this.filePath) return;
+
+    const entries = [...this.annotations.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([frame, shapes]) => ({ frame, shapes }));
+
+    try {
+      await window.electronAPI.saveAnnotations(this.filePath, entries);
+    } catch (error) {
+      console.error('Failed to save annotations:', error);
+      this.ui.showToast('Failed to save annotations');
+    }
+  }
+
+  /**
+   * Turn drawing mode on or off
+   * Drawing needs an exact frame, so playback is stopped on the current one
+   * @param {boolean} active
+   */
+  async setActive(active) {
+    if (active && !this.vc.metadata) {
+      this.ui.showToast('Open a video first');
+      return;
+    }
+
+    if (!active) {
+      this.draft = null;
+      this.cancelText();
+    }
+
+    this.isActive = active;
+    this.elements.canvas.classList.toggle('drawing', active);
+    this.elements.toolbar.classList.toggle('visible', active);
+    if (!active && this.elements.toolbar.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+
+    if (active && !this.vc.isFrameMode) {
+      await this.vc.goToFrame(this.vc.currentFrame);
+    }
+    this.render();
+  }
+
+  /**
+   * Toggle drawing mode
+   */
+  toggle() {
+    this.setActive(!this.isActive);
+  }
+
+  /**
+   * Pick the drawing tool
+   * @param {string} tool - A key of AnnotationManager.TOOLS
+   */
+  setTool(tool) {
+    if (!AnnotationManager.TOOLS[tool]) return;
+    this.cancelText();
+    this.settings.tool = tool;
+    this.storage.save(this.settings);
+    this.updateToolbar();
+  }
+
+  /**
+   * Sync toolbar fields with current settings
+   */
+  updateToolbar() {
+    const { toolbar, color, lineWidth } = this.elements;
+    toolbar.querySelectorAll('[data-annotation-tool]').forEach(button => {
+      button.classList.toggle('active', button.dataset.annotationTool === this.settings.tool);
+    });
+    color.value = this.settings.color;
+    lineWidth.value = String(this.settings.lineWidth);
+  }
+
+  /**
+   * @param {number} [frame] - Defaults to the current frame
+   * @returns {boolean} True if the frame has annotations
+   */
+  hasAnnotations(frame = this.vc.currentFrame) {
+    return this.annotations.has(frame);
+  }
+
+  /**
+   * Add a shape to the current frame
+   * @param {Object} shape
+   */
+  addShape(shape) {
+    const frame = this.vc.currentFrame;
+    if (!this.annotations.has(frame)) {
+      this.annotations.set(frame, []);
+    }
+    this.annotations.get(frame).push(shape);
+    this.save();
+    this.render();
+  }
+
+  /**
+   * Remove the last shape drawn on the current frame
+   */
+  undo() {
+    const shapes = this.annotations.get(this.vc.currentFrame);
+    if (!shapes) return;
+
+    shapes.pop();
+    if (shapes.length === 0) {
+      this.annotations.delete(this.vc.currentFrame);
+    }
+    this.save();
+    this.render();
+  }
+
+  /**
+   * Remove all annotations from the current frame
+   */
+  clearFrame() {
+    if (!this.annotations.delete(this.vc.currentFrame)) return;
+    this.save();
+    this.render();
+    this.ui.showToast('Cleared annotations on this frame');
+  }
+
+  /**
+   * Map a mouse position to the frame, as fractions of its width and height
+   * The layer is letterboxed like the frame canvas (object-fit: contain)
+   * @param {MouseEvent} e
+   * @returns {number[]} [x, y], clamped to the frame
+   */
+  toFramePoint(e) {
+    const { canvas } = this.elements;
+    const rect = canvas.getBoundingClientRect();
+    const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+    const width = canvas.width * scale;
+    const height = canvas.height * scale;
+    const left = rect.left + (rect.width - width) / 2;
+    const top = rect.top + (rect.height - height) / 2;
+
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    return [clamp((e.clientX - left) / width), clamp((e.clientY - top) / height)];
+  }
+
+  /**
+   * Open the text entry where the frame was clicked
+   * @param {number[]} point - Frame position of the text
+   * @param {MouseEvent} e
+   */
+  startText(point, e) {
+    const { container, text } = this.elements;
+    this.commitText();
+
+    const rect = container.getBoundingClientRect();
+    this.textAnchor = point;
+    text.value = '';
+    text.style.left = `${e.clientX - rect.left}px`;
+    text.style.top = `${e.clientY - rect.top}px`;
+    text.style.color = this.settings.color;
+    text.classList.add('visible');
+    // Focus after the pointer event, which would otherwise take focus back
+    setTimeout(() => text.focus(), 0);
+  }
+
+  /**
+   * Add the typed text to the frame
+   */
+  commitText() {
+    if (!this.textAnchor) return;
+
+    const value = this.elements.text.value.trim();
+    const at = this.textAnchor;
+    this.cancelText();
+
+    if (value) {
+      this.addShape({ type: 'text', color: this.settings.color, width: this.settings.lineWidth, at, text: value });
+    }
+  }
+
+  /**
+   * Close the text entry without adding anything
+   */
+  cancelText() {
+    const { text } = this.elements;
+    this.textAnchor = null;
+    text.classList.remove('visible');
+    if (document.activeElement === text) {
+      text.blur();
+    }
+  }
+
+  /**
+   * Redraw the layer for the frame on screen
+   */
+  render() {
+    const { canvas } = this.elements;
+    const shapes = this.annotations.get(this.vc.currentFrame) || [];
+    const visible = this.vc.isFrameMode && (this.isActive || shapes.length > 0);
+
+    canvas.classList.toggle('visible', visible);
+    if (!visible) return;
+
+    if (canvas.width !== this.vc.canvas.width || canvas.height !== this.vc.canvas.height) {
+      canvas.width = this.vc.canvas.width;
+      canvas.height = this.vc.canvas.height;
+    }
+
+    this.ctx.clearRect(0, 0, canvas.width, canvas.height);
+    this.drawShapes(this.ctx, this.draft ? [...shapes, this.draft] : shapes, canvas.width, canvas.height);
+  }
+
+  /**
+   * Draw shapes onto a context covering the whole frame
+   * Positions are fractions of the frame; widths are pixels on a 1080-line frame
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object[]} shapes
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   */
+  drawShapes(ctx, shapes, width, height) {
+    const scale = height / AnnotationManager.REFERENCE_HEIGHT;
+    const toPixels = ([x, y]) => [x * width, y * height];
+
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    shapes.forEach(shape => {
+      const lineWidth = Math.max(1, shape.width * scale);
+      ctx.strokeStyle = shape.color;
+      ctx.fillStyle = shape.color;
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+
+      if (shape.type === 'pen') {
+        shape.points.map(toPixels).forEach(([x, y], i) => {
+          if (i === 0) {
+            ctx.moveTo(x, y);
+          } else {
+            ctx.lineTo(x, y);
+          }
+        });
+        ctx.stroke();
+      } else if (shape.type === 'arrow') {
+        const [x1, y1] = toPixels(shape.from);
+        const [x2, y2] = toPixels(shape.to);
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const head = Math.max(10 * scale, lineWidth * 4);
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.moveTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+        ctx.stroke();
+      } else if (shape.type === 'rect') {
+        const [x1, y1] = toPixels(shape.from);
+        const [x2, y2] = toPixels(shape.to);
+        ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+      } else if (shape.type === 'ellipse') {
+        const [x1, y1] = toPixels(shape.from);
+        const [x2, y2] = toPixels(shape.to);
+        ctx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+        ctx.stroke();
+      } else if (shape.type === 'text') {
+        const [x, y] = toPixels(shape.at);
+        const fontSize = shape.width * AnnotationManager.TEXT_SCALE * scale;
+        ctx.font = `600 ${fontSize}px 'Segoe UI', sans-serif`;
+        ctx.textBaseline = 'top';
+        // Dark outline keeps text readable on any background
+        ctx.lineWidth = Math.max(2, fontSize / 8);
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.strokeText(shape.text, x, y);
+        ctx.fillText(shape.text, x, y);
+      }
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Render the current frame with its annotations at source resolution
+   * @returns {string|null} PNG data URL, or null if no frame is shown
+   */
+  renderAnnotatedFrame() {
+    if (!this.vc.metadata) return null;
+
+    const video = this.vc.videoElement;
+    const width = video.videoWidth || this.vc.metadata.width;
+    const height = video.videoHeight || this.vc.metadata.height;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, width, height);
+    this.drawShapes(ctx, this.annotations.get(this.vc.currentFrame) || [], width, height);
+
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Save the annotated frame as a PNG, named like Save Frame As
+   */
+  async saveAnnotatedFrame() {
+    const dataUrl = this.renderAnnotatedFrame();
+    if (!dataUrl) return;
+
+    const { directory } = this.frameSaver.settings;
+    const fileName = `${this.frameSaver.expandTemplate()}_annotated.png`;
+    let outputPath = await window.electronAPI.showSaveFrameDialog(
+      directory ? `${directory}/${fileName}` : fileName,
+      'png'
+    );
+    if (!outputPath) return;
+
+    if (!/\.png$/i.test(outputPath)) {
+      outputPath = `${outputPath}.png`;
+    }
+
+    try {
+      const savedPath = await window.electronAPI.saveImage(outputPath, dataUrl);
+      this.ui.showToast(`Saved ${savedPath.split('/').pop().split('\\').pop()}`);
+    } catch (error) {
+      console.error('Failed to save annotated frame:', error);
+      this.ui.showToast('Failed to save frame');
+    }
+  }
+
+  /**
+   * Copy the annotated frame to the clipboard
+   * @returns {Promise<boolean>}
+   */
+  async copyToClipboard() {
+    const dataUrl = this.renderAnnotatedFrame();
+    if (!dataUrl) return false;
+
+    try {
+      const success = await window.electronAPI.copyImageToClipboard(dataUrl);
+      this.ui.showClipboardToast(!!success);
+      return success;
+    } catch (error) {
+      console.error('Failed to copy annotated frame:', error);
+      this.ui.showClipboardToast(false);
+      return false;
+    }
+  }
+}
+
+AnnotationManager.STORAGE_KEY = 'framestep.annotations';
+
+AnnotationManager.TOOLS = {
+  pen: 'Freehand',
+  arrow: 'Arrow',
+  rect: 'Rectangle',
+  ellipse: 'Ellipse',
+  text: 'Text'
+};
+
+AnnotationManager.DEFAULTS = {
+  tool: 'pen',
+  color: '#ff3b30',
+  lineWidth: 4
+};
+
+// Stroke widths are given for a frame this tall and scale with the video
+AnnotationManager.REFERENCE_HEIGHT = 1080;
+
+// Text size as a multiple of the stroke width
+AnnotationManager.TEXT_SCALE = 8;
+
+// Export for use in other modules
+window.AnnotationManager = AnnotationManager;
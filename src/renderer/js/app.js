@@ -17,24 +17,86 @@
     // Create video controller
     const videoController = new VideoController(uiOverlay);
 
+    // Create frame saver (save frame to disk)
+    const frameSaver = new FrameSaver(videoController, uiOverlay);
+
+    // Create image sequence exporter
+    const sequenceExporter = new SequenceExporter(videoController, uiOverlay);
+
+    // Create clip (trim) exporter
+    const clipExporter = new ClipExporter(videoController, uiOverlay);
+
+    // Create timeline marker manager
+    const markerManager = new MarkerManager(videoController, uiOverlay);
+
+    // Create playlist (queue of opened files)
+    const playlist = new Playlist(videoController, uiOverlay);
+
+    // Create compare mode (second video in lockstep)
+    const compareView = new CompareView(videoController, uiOverlay);
+
+    // Create onion skin / frame difference overlay
+    const onionSkin = new OnionSkin(videoController, uiOverlay);
+
+    // Create frame annotation layer
+    const annotationManager = new AnnotationManager(videoController, uiOverlay, frameSaver);
+
+    // Create pixel inspector (full-resolution RGB/YUV readout)
+    const pixelInspector = new PixelInspector(videoController, uiOverlay);
+
+    // Create zoom and pan (the inspector's pin markers follow the frame)
+    const zoomView = new ZoomView(videoController, uiOverlay);
+    zoomView.onChange(() => pixelInspector.renderMarkers());
+
+    // Create video scopes (histogram, waveform, vectorscope)
+    const scopesPanel = new ScopesPanel(videoController, uiOverlay);
+
+    // Create media info dialog (full ffprobe report)
+    const mediaInfo = new MediaInfo(videoController, uiOverlay);
+
+    // Create audio track switching and the timeline waveform
+    const audioTracks = new AudioTracks(videoController, uiOverlay);
+
+    // Create subtitle display (embedded tracks and SRT/VTT/ASS files)
+    const subtitleManager = new SubtitleManager(videoController, uiOverlay);
+    zoomView.onChange(() => subtitleManager.layout());
+
+    // Create go-to frame/timecode entry
+    const gotoField = new GoToField(videoController, uiOverlay);
+
+    // Create keyboard shortcut registry (actions are registered by Controls) and its settings dialog
+    const shortcutMap = new ShortcutMap();
+    const shortcutSettings = new ShortcutSettings(shortcutMap, uiOverlay);
+
+    // Create preferences dialog (settings stored by the main process)
+    const preferences = new Preferences(uiOverlay, shortcutSettings);
+
     // Create controls handler
-    const controls = new Controls(videoController);
+    const controls = new Controls(videoController, {
+      frameSaver, sequenceExporter, clipExporter, markerManager, gotoField, playlist, compareView, onionSkin,
+      annotationManager, pixelInspector, zoomView, scopesPanel, mediaInfo, subtitleManager, shortcutMap,
+      preferences
+    });
+
+    // Apply preferences live (both players share the frame cache and speed settings)
+    preferences.onChange((settings) => {
+      videoController.applySettings(settings);
+      compareView.secondary.applySettings(settings);
+      controls.applySettings(settings);
+    });
+    preferences.load();
 
     // Setup custom titlebar
-    setupTitlebar(videoController, controls);
+    setupTitlebar(videoController, controls, {
+      frameSaver, sequenceExporter, clipExporter, markerManager, gotoField, playlist, compareView, onionSkin,
+      annotationManager, pixelInspector, zoomView, scopesPanel, mediaInfo, audioTracks, subtitleManager,
+      shortcutSettings, preferences
+    });
 
-    // Listen for files opened via menu or double-click
+    // Listen for files opened via menu or double-click: queue them all and play the first
     window.electronAPI.onFileOpened(async (filePaths) => {
-      if (Array.isArray(filePaths)) {
-        for (const filePath of filePaths) {
-          console.log('File opened:', filePath);
-          await videoController.loadVideo(filePath);
-          // Optionally, add logic to handle multiple videos (e.g., playlist, tabs)
-        }
-      } else {
-        console.log('File opened:', filePaths);
-        await videoController.loadVideo(filePaths);
-      }
+      console.log('Files opened:', filePaths);
+      await playlist.open(filePaths);
     });
 
     // Handle command line arguments (if video file was opened with the app)
@@ -44,27 +106,45 @@
     window.app = {
       uiOverlay,
       videoController,
+      frameSaver,
+      sequenceExporter,
+      clipExporter,
+      markerManager,
+      gotoField,
+      playlist,
+      compareView,
+      onionSkin,
+      annotationManager,
+      pixelInspector,
+      zoomView,
+      scopesPanel,
+      mediaInfo,
+      audioTracks,
+      subtitleManager,
+      shortcutMap,
+      shortcutSettings,
+      preferences,
       controls
     };
 
     console.log('FrameStep ready');
-    console.log('Keyboard shortcuts:');
-    console.log('  Space - Play/Pause');
-    console.log('  ← / → - Previous/Next frame');
-    console.log('  Shift + ← / → - ±10 frames');
-    console.log('  Mouse wheel (when paused) - Scrub frames');
-    console.log('  O - Open file');
-    console.log('  F - Toggle fullscreen');
-    console.log('  < / > - Playback speed');
-    console.log('  Ctrl + C - Capture frame');
-    console.log('  C - Toggle frame counter');
-    console.log('  ? - Show shortcuts help');
+    // Listed from the registry, so rebound keys and changed step sizes show as they are
+    console.log('Keyboard shortcuts (Help > Customize Shortcuts to rebind):');
+    shortcutMap.actions.forEach(action => {
+      const combos = shortcutMap.getBindings(action.id).map(ShortcutMap.formatCombo).join(' / ');
+      console.log(`  ${combos || '(none)'} - ${shortcutMap.getLabel(action)}`);
+    });
+    Controls.MOUSE_HELP.forEach(([, text, combo]) => console.log(`  ${combo} - ${text}`));
   }
 
   /**
    * Setup VS Code style titlebar with menus and window controls
    */
-  function setupTitlebar(videoController, controls) {
+  function setupTitlebar(videoController, controls, {
+    frameSaver, sequenceExporter, clipExporter, markerManager, gotoField, playlist, compareView, onionSkin,
+    annotationManager, pixelInspector, zoomView, scopesPanel, mediaInfo, audioTracks, subtitleManager,
+    shortcutSettings, preferences
+  }) {
     const maximizeBtn = document.getElementById('maximizeBtn');
     const maximizeIcon = maximizeBtn.querySelector('.maximize-icon');
     const restoreIcon = maximizeBtn.querySelector('.restore-icon');
@@ -111,11 +191,52 @@
     });
 
     // Menu: File > Open
-    document.getElementById('menuOpen').addEventListener('click', async () => {
+    document.getElementById('menuOpen').addEventListener('click', () => {
+      closeAllMenus();
+      controls.openFile();
+    });
+
+    // Menu: File > Previous / Next File
+    document.getElementById('menuPreviousFile').addEventListener('click', () => {
+      closeAllMenus();
+      playlist.previous();
+    });
+
+    document.getElementById('menuNextFile').addEventListener('click', () => {
+      closeAllMenus();
+      playlist.next();
+    });
+
+    // Menu: File > Compare With
+    document.getElementById('menuCompare').addEventListener('click', () => {
       closeAllMenus();
-      const filePath = await window.electronAPI.openFileDialog();
-      if (filePath) {
-        await videoController.loadVideo(filePath);
+      compareView.open();
+    });
+
+    // Menu: File > Load Subtitles
+    document.getElementById('menuLoadSubtitles').addEventListener('click', () => {
+      closeAllMenus();
+      subtitleManager.openFile();
+    });
+
+    // Menu: File > Media Info
+    document.getElementById('menuMediaInfo').addEventListener('click', () => {
+      closeAllMenus();
+      mediaInfo.open();
+    });
+
+    // Menu: File > Clear Proxy Cache (the open files' proxies stay)
+    document.getElementById('menuClearProxyCache').addEventListener('click', async () => {
+      closeAllMenus();
+      const inUse = [videoController.proxyPath, compareView.secondary.proxyPath].filter(Boolean);
+      try {
+        const { count, bytes } = await window.electronAPI.clearProxyCache(inUse);
+        videoController.ui.showToast(count > 0
+          ? `Removed ${count} ${count === 1 ? 'proxy' : 'proxies'} (${Math.round(bytes / (1024 * 1024))} MB)`
+          : 'No proxies to remove');
+      } catch (error) {
+        console.error('Failed to clear proxy cache:', error);
+        videoController.ui.showToast('Failed to clear proxy cache');
       }
     });
 
@@ -125,6 +246,42 @@
       controls.captureFrameToClipboard();
     });
 
+    // Menu: File > Save Frame As
+    document.getElementById('menuSaveFrameAs').addEventListener('click', () => {
+      closeAllMenus();
+      frameSaver.saveFrameAs();
+    });
+
+    // Menu: File > Quick Save Frame
+    document.getElementById('menuQuickSaveFrame').addEventListener('click', () => {
+      closeAllMenus();
+      frameSaver.quickSave();
+    });
+
+    // Menu: File > Frame Save Settings
+    document.getElementById('menuSaveFrameSettings').addEventListener('click', () => {
+      closeAllMenus();
+      frameSaver.openSettings();
+    });
+
+    // Menu: File > Export Frames
+    document.getElementById('menuExportFrames').addEventListener('click', () => {
+      closeAllMenus();
+      sequenceExporter.open();
+    });
+
+    // Menu: File > Export Clip
+    document.getElementById('menuExportClip').addEventListener('click', () => {
+      closeAllMenus();
+      clipExporter.open();
+    });
+
+    // Menu: File > Preferences
+    document.getElementById('menuPreferences').addEventListener('click', () => {
+      closeAllMenus();
+      preferences.open();
+    });
+
     // Menu: View > Fullscreen
     document.getElementById('menuFullscreen').addEventListener('click', () => {
       closeAllMenus();
@@ -141,12 +298,142 @@
       controls.toggleFrameOverlay();
     });
 
+    // Menu: View > Timecode / Frames / Seconds / Feet + Frames
+    document.querySelectorAll('[data-display-mode]').forEach(option => {
+      option.addEventListener('click', () => {
+        closeAllMenus();
+        videoController.ui.setDisplayMode(option.dataset.displayMode);
+      });
+    });
+
+    // Menu: View > Go to Frame
+    document.getElementById('menuGoTo').addEventListener('click', () => {
+      closeAllMenus();
+      gotoField.open();
+    });
+
+    // Menu: View > Play Reverse
+    document.getElementById('menuPlayReverse').addEventListener('click', () => {
+      closeAllMenus();
+      videoController.toggleReverse();
+    });
+
+    // Menu: View > Toggle A/B Loop
+    document.getElementById('menuToggleLoop').addEventListener('click', () => {
+      closeAllMenus();
+      videoController.toggleLoop();
+    });
+
+    // Menu: View > Add Marker
+    document.getElementById('menuAddMarker').addEventListener('click', () => {
+      closeAllMenus();
+      markerManager.addMarker();
+    });
+
+    // Menu: View > Playlist
+    document.getElementById('menuPlaylist').addEventListener('click', () => {
+      closeAllMenus();
+      playlist.togglePanel();
+    });
+
+    // Menu: View > Onion Skin / Frame Difference
+    document.querySelectorAll('[data-onion-mode]').forEach(option => {
+      option.addEventListener('click', () => {
+        closeAllMenus();
+        if (option.dataset.onionMode === 'onion') {
+          onionSkin.toggleOnion();
+        } else {
+          onionSkin.toggleDifference();
+        }
+      });
+    });
+
+    // Menu: View > Audio Waveform
+    document.getElementById('menuWaveform').addEventListener('click', () => {
+      closeAllMenus();
+      audioTracks.toggleWaveform();
+    });
+
+    // Menu: View > Next Audio Track
+    document.getElementById('menuNextAudioTrack').addEventListener('click', () => {
+      closeAllMenus();
+      audioTracks.cycleTrack();
+    });
+
+    // Menu: View > Next Subtitle Track
+    document.getElementById('menuNextSubtitleTrack').addEventListener('click', () => {
+      closeAllMenus();
+      subtitleManager.cycleTrack();
+    });
+
+    // Menu: View > Previous / Next Subtitle Cue
+    document.getElementById('menuPreviousCue').addEventListener('click', () => {
+      closeAllMenus();
+      subtitleManager.goToCueBoundary(-1);
+    });
+
+    document.getElementById('menuNextCue').addEventListener('click', () => {
+      closeAllMenus();
+      subtitleManager.goToCueBoundary(1);
+    });
+
+    // Menu: View > Onion Skin Settings
+    document.getElementById('menuOnionSkinSettings').addEventListener('click', () => {
+      closeAllMenus();
+      onionSkin.openSettings();
+    });
+
+    // Menu: View > Annotate Frame
+    document.getElementById('menuAnnotate').addEventListener('click', () => {
+      closeAllMenus();
+      annotationManager.toggle();
+    });
+
+    // Menu: View > Pixel Inspector
+    document.getElementById('menuInspector').addEventListener('click', () => {
+      closeAllMenus();
+      pixelInspector.toggle();
+    });
+
+    // Menu: View > Video Scopes
+    document.getElementById('menuScopes').addEventListener('click', () => {
+      closeAllMenus();
+      scopesPanel.toggle();
+    });
+
+    // Menu: View > Zoom
+    const zoomActions = {
+      menuZoomFit: () => zoomView.setPreset('fit'),
+      menuZoomActual: () => zoomView.setPreset('actual'),
+      menuZoomFill: () => zoomView.setPreset('fill'),
+      menuZoomIn: () => zoomView.zoomStep(1),
+      menuZoomOut: () => zoomView.zoomStep(-1)
+    };
+    Object.entries(zoomActions).forEach(([id, action]) => {
+      document.getElementById(id).addEventListener('click', () => {
+        closeAllMenus();
+        action();
+      });
+    });
+
+    // Menu: View > Marker List
+    document.getElementById('menuMarkers').addEventListener('click', () => {
+      closeAllMenus();
+      markerManager.togglePanel();
+    });
+
     // Menu: Help > Shortcuts
     document.getElementById('menuShortcuts').addEventListener('click', () => {
       closeAllMenus();
       controls.toggleShortcutsHelp();
     });
 
+    // Menu: Help > Customize Shortcuts
+    document.getElementById('menuCustomizeShortcuts').addEventListener('click', () => {
+      closeAllMenus();
+      shortcutSettings.open();
+    });
+
     // Close menus when clicking outside
     document.addEventListener('click', (e) => {
       if (!e.target.closest('.menu-item') && !e.target.closest('#menuToggle')) {
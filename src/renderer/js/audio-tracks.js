@@ -0,0 +1,278 @@
+/**
+ * Audio Tracks
+ * Lists the open file's audio streams (from ffprobe) and switches playback between them,
+ * and draws the selected stream's waveform in a strip under the timeline. The peaks are
+ * generated by the main process in the background, one slice per video frame where the
+ * file is short enough, so cuts and sync points line up with frame stepping.
+ */
+class AudioTracks {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.storage = new LocalSettings(AudioTracks.STORAGE_KEY, AudioTracks.DEFAULTS);
+    this.settings = this.storage.load();
+    this.streams = [];       // metadata.audioStreams of the open file
+    this.current = 0;        // Selected position in streams
+    this.peaks = null;       // Uint8Array of [min, max] per slice, 128 = silence
+    this.waveformJobId = null;
+
+    this.elements = {
+      select: document.getElementById('audioTrackSelect'),
+      canvas: document.getElementById('timelineWaveform'),
+      playhead: document.getElementById('timelineWaveformPlayhead'),
+      menuOption: document.getElementById('menuWaveform')
+    };
+
+    this.elements.select.addEventListener('change', () => {
+      this.selectTrack(parseInt(this.elements.select.value, 10));
+      this.elements.select.blur();
+    });
+
+    // Peaks are drawn at the strip's pixel width
+    new ResizeObserver(() => this.drawWaveform()).observe(this.elements.canvas);
+
+    this.vc.on('loaded', () => this.load());
+    this.vc.on('frame', () => this.updatePlayhead());
+    this.vc.on('reset', () => this.clear());
+
+    this.updateLayout();
+  }
+
+  /**
+   * Pick up the audio streams of a newly opened file
+   */
+  load() {
+    this.streams = this.vc.metadata.audioStreams || [];
+    const defaultIndex = this.streams.findIndex(stream => stream.isDefault);
+    this.current = Math.max(0, defaultIndex);
+
+    this.renderSelect();
+    this.applyTrack();
+    this.updateLayout();
+    this.loadWaveform();
+  }
+
+  /**
+   * Forget the closed file
+   */
+  clear() {
+    this.cancelWaveform();
+    this.streams = [];
+    this.current = 0;
+    this.peaks = null;
+    this.renderSelect();
+    this.updateLayout();
+    this.drawWaveform();
+  }
+
+  /**
+   * Fill the track select (hidden unless there is more than one track)
+   */
+  renderSelect() {
+    const { select } = this.elements;
+    select.innerHTML = '';
+    this.streams.forEach((stream, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = this.getTrackLabel(stream, i);
+      select.appendChild(option);
+    });
+    select.value = this.current;
+    select.classList.toggle('visible', this.streams.length > 1);
+  }
+
+  /**
+   * @param {Object} stream - Entry of metadata.audioStreams
+   * @param {number} i - Position among the audio streams
+   * @returns {string} e.g. "2: English - Commentary (aac 5.1)"
+   */
+  getTrackLabel(stream, i) {
+    const name = [stream.language && stream.language !== 'und' ? stream.language : null, stream.title]
+      .filter(Boolean).join(' - ') || `Track ${i + 1}`;
+    const details = [stream.codec, stream.channelLayout || (stream.channels ? `${stream.channels} ch` : null)]
+      .filter(Boolean).join(' ');
+    return `${i + 1}: ${name}${details ? ` (${details})` : ''}`;
+  }
+
+  /**
+   * Switch playback (and the waveform) to another audio track
+   * @param {number} index - Position among the audio streams
+   */
+  selectTrack(index) {
+    if (index === this.current || !this.streams[index]) return;
+    this.current = index;
+    this.elements.select.value = index;
+
+    if (this.applyTrack()) {
+      this.ui.showToast(`Audio: ${this.getTrackLabel(this.streams[index], index)}`);
+    } else {
+      this.ui.showToast('Switching audio tracks is not supported for this file');
+    }
+    this.loadWaveform();
+  }
+
+  /**
+   * Step to the next audio track
+   */
+  cycleTrack() {
+    if (this.streams.length < 2) {
+      this.ui.showToast(this.streams.length === 0 ? 'No audio' : 'Only one audio track');
+      return;
+    }
+    this.selectTrack((this.current + 1) % this.streams.length);
+  }
+
+  /**
+   * Enable the selected track in the video element
+   * @returns {boolean} False if the element doesn't expose the file's tracks
+   */
+  applyTrack() {
+    const tracks = this.vc.videoElement.audioTracks;
+    if (!tracks || tracks.length !== this.streams.length) {
+      return this.current === 0 || this.streams.length < 2;
+    }
+
+    for (let i = 0; i < tracks.length; i++) {
+      tracks[i].enabled = i === this.current;
+    }
+    return true;
+  }
+
+  /**
+   * Show or hide the waveform strip
+   */
+  toggleWaveform() {
+    this.settings.showWaveform = !this.settings.showWaveform;
+    this.storage.save(this.settings);
+    this.updateLayout();
+    this.ui.showToast(this.settings.showWaveform ? 'Audio waveform on' : 'Audio waveform off');
+
+    if (this.settings.showWaveform && !this.peaks) {
+      this.loadWaveform();
+    }
+  }
+
+  /**
+   * Make room for the strip when it's shown and the file has audio
+   */
+  updateLayout() {
+    const visible = this.settings.showWaveform && this.streams.length > 0;
+    document.body.classList.toggle('show-waveform', visible);
+    this.elements.menuOption.classList.toggle('checked', this.settings.showWaveform);
+    if (visible) {
+      this.drawWaveform();
+      this.updatePlayhead();
+    }
+  }
+
+  /**
+   * Generate peaks for the selected track in the background
+   */
+  async loadWaveform() {
+    this.cancelWaveform();
+    this.peaks = null;
+    this.drawWaveform();
+    if (!this.settings.showWaveform || this.streams.length === 0) return;
+
+    const { filePath, metadata } = this.vc;
+    const jobId = `waveform-${Date.now()}`;
+    this.waveformJobId = jobId;
+
+    try {
+      const peaks = await window.electronAPI.generateWaveform(jobId, filePath, {
+        audioIndex: this.current,
+        duration: metadata.duration,
+        buckets: Math.max(1, Math.min(metadata.totalFrames, AudioTracks.MAX_SLICES))
+      });
+      if (this.waveformJobId === jobId) {
+        this.peaks = peaks;
+        this.drawWaveform();
+      }
+    } catch (error) {
+      // Cancelled when the track or file changes
+      if (this.waveformJobId === jobId) {
+        console.warn('Failed to generate waveform:', error);
+      }
+    }
+
+    if (this.waveformJobId === jobId) {
+      this.waveformJobId = null;
+    }
+  }
+
+  /**
+   * Stop a waveform that's still being generated
+   */
+  cancelWaveform() {
+    if (this.waveformJobId) {
+      window.electronAPI.cancelExport(this.waveformJobId);
+      this.waveformJobId = null;
+    }
+  }
+
+  /**
+   * Draw the peaks, one vertical line per device pixel column
+   */
+  drawWaveform() {
+    const { canvas } = this.elements;
+    const scale = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * scale);
+    const height = Math.round(canvas.clientHeight * scale);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (width === 0 || !this.vc.metadata) return;
+
+    const middle = height / 2;
+    if (!this.peaks) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+      ctx.fillRect(0, Math.floor(middle), width, Math.max(1, Math.round(scale)));
+      return;
+    }
+
+    const peaks = this.peaks;
+    const slices = peaks.length / 2;
+    ctx.fillStyle = 'rgba(102, 187, 255, 0.8)';
+    for (let x = 0; x < width; x++) {
+      const first = Math.floor(x * slices / width);
+      const last = Math.max(first + 1, Math.floor((x + 1) * slices / width));
+      let min = 255;
+      let max = 0;
+      for (let i = first; i < last; i++) {
+        min = Math.min(min, peaks[i * 2]);
+        max = Math.max(max, peaks[i * 2 + 1]);
+      }
+      if (min > max) continue;
+
+      const top = middle - (max - 128) / 128 * middle;
+      const bottom = middle - (min - 128) / 128 * middle;
+      ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+    }
+  }
+
+  /**
+   * Line up the strip's playhead with the current frame
+   */
+  updatePlayhead() {
+    const { metadata } = this.vc;
+    if (!metadata || !metadata.duration) return;
+    const progress = this.vc.frameToTime(this.vc.currentFrame) / metadata.duration;
+    this.elements.playhead.style.left = `${Math.max(0, Math.min(100, progress * 100))}%`;
+  }
+}
+
+AudioTracks.STORAGE_KEY = 'framestep.audio';
+
+AudioTracks.DEFAULTS = {
+  showWaveform: true
+};
+
+// Most waveform slices requested (one per frame up to this many, about 70 minutes at 24 fps)
+AudioTracks.MAX_SLICES = 100000;
+
+// Export for use in other modules
+window.AudioTracks = AudioTracks;
@@ -0,0 +1,260 @@
+/**
+ * Clip Exporter
+ * Trims the in/out range to a new video file, either losslessly (stream copy)
+ * or frame-exact by re-encoding with a codec/quality preset
+ */
+class ClipExporter {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.storage = new LocalSettings(ClipExporter.STORAGE_KEY, ClipExporter.DEFAULTS);
+    this.settings = this.storage.load();
+    this.jobId = null;
+    this.stopRequested = false;
+    this.range = null;
+
+    this.dialog = new Modal('exportClipDialog');
+    this.elements = {
+      range: document.getElementById('exportClipRange'),
+      modeInputs: document.querySelectorAll('input[name="exportClipMode"]'),
+      preset: document.getElementById('exportClipPreset'),
+      warning: document.getElementById('exportClipWarning'),
+      warningText: document.getElementById('exportClipWarningText'),
+      snapBtn: document.getElementById('exportClipSnapBtn'),
+      progress: document.getElementById('exportClipProgress'),
+      progressFill: document.getElementById('exportClipProgressFill'),
+      progressText: document.getElementById('exportClipProgressText'),
+      cancelBtn: document.getElementById('exportClipCancel'),
+      startBtn: document.getElementById('exportClipStart')
+    };
+
+    this.setupDialog();
+
+    window.electronAPI.onExportProgress((jobId, done, total) => {
+      if (jobId === this.jobId) {
+        this.updateProgress(done, total);
+      }
+    });
+  }
+
+  /**
+   * Setup dialog fields and buttons
+   */
+  setupDialog() {
+    const { modeInputs, preset, snapBtn, cancelBtn, startBtn } = this.elements;
+
+    modeInputs.forEach(input => {
+      input.addEventListener('change', () => {
+        if (input.checked) {
+          this.settings.mode = input.value;
+          this.storage.save(this.settings);
+          this.updateDialogFields();
+        }
+      });
+    });
+
+    preset.addEventListener('change', () => {
+      this.settings.preset = preset.value;
+      this.storage.save(this.settings);
+    });
+
+    // Stream copy can only start on a keyframe - offer to move the in point there
+    snapBtn.addEventListener('click', () => {
+      const keyframe = this.vc.getPreviousKeyframe(this.range.start);
+      if (keyframe !== null) {
+        this.vc.setInPoint(keyframe);
+        this.range.start = keyframe;
+        this.updateDialogFields();
+      }
+    });
+
+    cancelBtn.addEventListener('click', () => {
+      if (this.jobId) {
+        this.stopRequested = true;
+        window.electronAPI.cancelExport(this.jobId);
+      } else {
+        this.dialog.close();
+      }
+    });
+
+    startBtn.addEventListener('click', () => this.start());
+  }
+
+  /**
+   * Open the export dialog for the current in/out range
+   */
+  open() {
+    if (!this.vc.metadata) return;
+
+    // Don't change the range under a running export
+    if (!this.jobId) {
+      const { start, end } = this.vc.getRange();
+      this.range = { start, end };
+      this.setProgressVisible(false);
+    }
+
+    this.updateDialogFields();
+    this.dialog.open();
+  }
+
+  /**
+   * Sync dialog fields with current settings and range
+   */
+  updateDialogFields() {
+    const { start, end } = this.range;
+    const count = end - start + 1;
+    const duration = this.vc.frameToTime(end) - this.vc.frameToTime(start) +
+      1 / this.vc.metadata.frameRate;
+
+    this.elements.range.textContent =
+      `Frames ${this.ui.toDisplayFrame(start).toLocaleString()} - ${this.ui.toDisplayFrame(end).toLocaleString()} ` +
+      `(${count.toLocaleString()} frame${count === 1 ? '' : 's'}, ${duration.toFixed(2)}s)`;
+
+    this.elements.modeInputs.forEach(input => {
+      input.checked = input.value === this.settings.mode;
+    });
+    this.elements.preset.value = this.settings.preset;
+
+    const running = !!this.jobId;
+    this.elements.modeInputs.forEach(input => { input.disabled = running; });
+    this.elements.preset.disabled = running || this.settings.mode !== 'encode';
+    this.elements.startBtn.disabled = running;
+    this.elements.cancelBtn.textContent = running ? 'Stop' : 'Cancel';
+
+    this.updateKeyframeWarning();
+  }
+
+  /**
+   * Warn when a stream copy can't start exactly on the in point
+   */
+  updateKeyframeWarning() {
+    const { warning, warningText, snapBtn } = this.elements;
+    const start = this.range.start;
+
+    if (this.settings.mode !== 'copy') {
+      warning.classList.remove('visible');
+      return;
+    }
+
+    const keyframe = this.vc.getPreviousKeyframe(start);
+    if (keyframe === start) {
+      warning.classList.remove('visible');
+      return;
+    }
+
+    if (keyframe === null) {
+      warningText.textContent = 'Keyframe positions are not known yet. Stream copy starts at the keyframe ' +
+        'before the in point, which may be earlier than selected.';
+      snapBtn.style.display = 'none';
+    } else {
+      const early = start - keyframe;
+      warningText.textContent = `In point is not a keyframe. Stream copy will start at frame ` +
+        `${this.ui.toDisplayFrame(keyframe).toLocaleString()} (${early.toLocaleString()} frame${early === 1 ? '' : 's'} early). ` +
+        'Re-encode for a frame-exact cut.';
+      snapBtn.style.display = '';
+    }
+    warning.classList.add('visible');
+  }
+
+  /**
+   * Ask for a destination and start exporting the range
+   */
+  async start() {
+    if (this.jobId) return;
+
+    const { start, end } = this.range;
+    const extension = this.getOutputExtension();
+    const fileName = (this.vc.filePath || 'video').split('/').pop().split('\\').pop();
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    const clipName = `${baseName}_${this.ui.toDisplayFrame(start)}-${this.ui.toDisplayFrame(end)}.${extension}`;
+    const defaultPath = this.settings.directory ? `${this.settings.directory}/${clipName}` : clipName;
+
+    const outputPath = await window.electronAPI.showSaveClipDialog(defaultPath, extension);
+    if (!outputPath) return;
+    if (outputPath === this.vc.filePath) {
+      this.ui.showToast('Cannot export a clip over the video it comes from');
+      return;
+    }
+
+    // Remember the folder for next time
+    this.settings.directory = outputPath.slice(0, Math.max(outputPath.lastIndexOf('/'), outputPath.lastIndexOf('\\')));
+    this.storage.save(this.settings);
+
+    const jobId = `clip-${Date.now()}`;
+    this.jobId = jobId;
+    this.stopRequested = false;
+    this.setProgressVisible(true);
+    this.updateProgress(0, end - start + 1);
+    this.updateDialogFields();
+
+    try {
+      await window.electronAPI.exportClip(jobId, this.vc.filePath, {
+        startFrame: start,
+        endFrame: end,
+        frameRate: this.vc.metadata.frameRate,
+        outputPath,
+        mode: this.settings.mode,
+        preset: this.settings.preset
+      });
+
+      const savedName = outputPath.split('/').pop().split('\\').pop();
+      this.updateProgress(end - start + 1, end - start + 1);
+      this.elements.progressText.textContent = `Exported ${savedName}`;
+      this.ui.showToast(`Exported ${savedName}`);
+    } catch (error) {
+      const cancelled = this.stopRequested;
+      if (!cancelled) {
+        console.error('Failed to export clip:', error);
+      }
+      this.elements.progressText.textContent = cancelled ? 'Export stopped' : 'Export failed';
+      this.ui.showToast(cancelled ? 'Export stopped' : 'Failed to export clip');
+    }
+
+    this.jobId = null;
+    this.updateDialogFields();
+  }
+
+  /**
+   * Get the container extension for the current mode
+   * Stream copy keeps the source container; re-encode uses the preset's
+   * @returns {string}
+   */
+  getOutputExtension() {
+    if (this.settings.mode === 'copy') {
+      const match = (this.vc.filePath || '').match(/\.([^./\\]+)$/);
+      return match ? match[1].toLowerCase() : 'mp4';
+    }
+    const option = this.elements.preset.selectedOptions[0];
+    return option ? option.dataset.extension : 'mp4';
+  }
+
+  /**
+   * Update progress bar
+   * @param {number} done - Frames written
+   * @param {number} total - Frames in range
+   */
+  updateProgress(done, total) {
+    const percent = total > 0 ? (done / total) * 100 : 0;
+    this.elements.progressFill.style.width = `${percent}%`;
+    this.elements.progressText.textContent = `${done.toLocaleString()} / ${total.toLocaleString()} frames`;
+  }
+
+  /**
+   * Show or hide the progress area
+   * @param {boolean} visible
+   */
+  setProgressVisible(visible) {
+    this.elements.progress.classList.toggle('visible', visible);
+  }
+}
+
+ClipExporter.STORAGE_KEY = 'framestep.clipExport';
+
+ClipExporter.DEFAULTS = {
+  mode: 'copy',
+  preset: 'h264-high',
+  directory: null
+};
+
+// Export for use in other modules
+window.ClipExporter = ClipExporter;
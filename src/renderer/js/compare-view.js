@@ -0,0 +1,335 @@
+/**
+ * Compare View
+ * Loads a second video into its own VideoController and keeps it on the same frame
+ * number as the main one (plus an optional offset), shown side by side, as a
+ * draggable wipe or as a difference blend. The main controller drives: stepping,
+ * seeking and play/pause there are mirrored onto the second video.
+ */
+class CompareView {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.storage = new LocalSettings(CompareView.STORAGE_KEY, CompareView.DEFAULTS);
+    this.settings = this.storage.load();
+    this.isActive = false;
+    this.offset = 0;         // Frames the second video is ahead of the main one (may be negative)
+    this.isSyncing = false;
+    this.syncPending = false;
+
+    this.elements = {
+      container: document.getElementById('videoContainer'),
+      divider: document.getElementById('compareDivider'),
+      bar: document.getElementById('compareBar'),
+      name: document.getElementById('compareName'),
+      frame: document.getElementById('compareFrame'),
+      mode: document.getElementById('compareMode'),
+      offset: document.getElementById('compareOffset'),
+      closeBtn: document.getElementById('compareClose')
+    };
+
+    this.secondary = new VideoController(uiOverlay, {
+      videoElement: document.getElementById('compareVideo'),
+      canvas: document.getElementById('compareCanvas')
+    });
+
+    this.setupBar();
+    this.setupWipe();
+    this.setupSync();
+    this.applyMode();
+  }
+
+  /**
+   * Setup the compare bar fields
+   */
+  setupBar() {
+    const { mode, offset, closeBtn } = this.elements;
+
+    mode.addEventListener('change', () => this.setMode(mode.value));
+
+    offset.addEventListener('change', () => {
+      this.setOffset(parseInt(offset.value, 10) || 0);
+    });
+    offset.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        offset.blur();
+      }
+    });
+
+    closeBtn.addEventListener('click', () => this.close());
+  }
+
+  /**
+   * Drag the wipe divider to move the split
+   */
+  setupWipe() {
+    const { container, divider } = this.elements;
+
+    const positionFromMouse = (e) => {
+      const rect = container.getBoundingClientRect();
+      return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    };
+
+    const onMove = (e) => {
+      this.settings.wipePosition = positionFromMouse(e);
+      this.applyMode();
+    };
+
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      divider.classList.remove('dragging');
+      this.storage.save(this.settings);
+    };
+
+    divider.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      divider.classList.add('dragging');
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    });
+  }
+
+  /**
+   * Mirror the main controller onto the second video
+   */
+  setupSync() {
+    const main = this.vc.videoElement;
+
+    main.addEventListener('play', () => {
+      if (this.isReady()) {
+        this.secondary.play();
+      }
+    });
+
+    main.addEventListener('pause', () => {
+      if (this.isReady()) {
+        this.secondary.pause();
+        this.syncSecondary();
+      }
+    });
+
+    main.addEventListener('ratechange', () => {
+      if (this.isReady()) {
+        this.secondary.setPlaybackRate(main.playbackRate);
+      }
+    });
+
+    this.vc.on('frame', () => {
+      if (!this.isReady()) return;
+
+      if (this.vc.isFrameMode) {
+        // Stepped or sought to an exact frame: show the exact counterpart
+        this.syncSecondary();
+      } else {
+        this.correctDrift();
+      }
+    });
+
+    this.secondary.on('frame', () => this.renderFrame());
+    this.secondary.on('indexed', () => {
+      if (this.isReady() && this.vc.isFrameMode) {
+        this.syncSecondary();
+      }
+    });
+  }
+
+  /**
+   * @returns {boolean} True if a second video is loaded and shown
+   */
+  isReady() {
+    return this.isActive && this.secondary.metadata !== null;
+  }
+
+  /**
+   * Pick a video to compare against the open one
+   */
+  async open() {
+    if (!this.vc.metadata) {
+      this.ui.showToast('Open a video first');
+      return;
+    }
+
+    const filePaths = await window.electronAPI.openFileDialog();
+    if (filePaths) {
+      await this.load(filePaths[0]);
+    }
+  }
+
+  /**
+   * Load the second video and line it up with the main one
+   * @param {string} filePath
+   */
+  async load(filePath) {
+    const loaded = await this.secondary.loadVideo(filePath);
+    if (!loaded) return;
+
+    this.elements.name.textContent = filePath.split('/').pop().split('\\').pop();
+    this.elements.name.title = filePath;
+    this.setActive(true);
+    this.secondary.setPlaybackRate(this.vc.playbackRate);
+
+    if (this.vc.isPlaying) {
+      this.secondary.videoElement.currentTime = this.secondary.frameToSeekTime(this.getTargetFrame());
+      this.secondary.play();
+    } else {
+      await this.syncSecondary();
+    }
+  }
+
+  /**
+   * Unload the second video and return to the single view
+   */
+  close() {
+    if (!this.isActive) return;
+    this.secondary.reset();
+    this.setActive(false);
+  }
+
+  /**
+   * Show or hide the compare layout
+   * @param {boolean} active
+   */
+  setActive(active) {
+    this.isActive = active;
+    this.elements.container.classList.toggle('comparing', active);
+    this.elements.bar.classList.toggle('visible', active);
+    if (!active && this.elements.bar.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+    this.applyMode();
+    this.renderFrame();
+  }
+
+  /**
+   * Switch between side by side, wipe and difference
+   * @param {string} mode - A key of CompareView.MODES
+   */
+  setMode(mode) {
+    if (!CompareView.MODES[mode]) return;
+    this.settings.mode = mode;
+    this.storage.save(this.settings);
+    this.applyMode();
+  }
+
+  /**
+   * Step to the next view mode
+   */
+  cycleMode() {
+    if (!this.isActive) return;
+    const modes = Object.keys(CompareView.MODES);
+    const mode = modes[(modes.indexOf(this.settings.mode) + 1) % modes.length];
+    this.setMode(mode);
+    this.ui.showToast(`Compare: ${CompareView.MODES[mode]}`);
+  }
+
+  /**
+   * Apply the view mode and wipe position to the layout
+   */
+  applyMode() {
+    const { container, mode } = this.elements;
+    Object.keys(CompareView.MODES).forEach(key => {
+      container.classList.toggle(`compare-${key}`, this.isActive && this.settings.mode === key);
+    });
+    container.style.setProperty('--compare-wipe', `${this.settings.wipePosition * 100}%`);
+    mode.value = this.settings.mode;
+  }
+
+  /**
+   * Shift the second video against the main one
+   * @param {number} offset - Frames the second video is ahead (negative = behind)
+   */
+  setOffset(offset) {
+    this.offset = offset;
+    this.elements.offset.value = offset;
+    if (!this.isReady()) return;
+
+    if (this.vc.isFrameMode) {
+      this.syncSecondary();
+    } else {
+      this.correctDrift();
+    }
+  }
+
+  /**
+   * Frame of the second video that goes with the main video's current frame
+   * @returns {number} Frame number (0-indexed), possibly outside the second video
+   */
+  getTargetFrame() {
+    return this.vc.currentFrame + this.offset;
+  }
+
+  /**
+   * Put the second video on the exact counterpart of the main video's frame
+   * Requests made while a step is in flight are coalesced into one follow-up step
+   */
+  async syncSecondary() {
+    if (this.isSyncing) {
+      this.syncPending = true;
+      return;
+    }
+
+    this.isSyncing = true;
+    try {
+      do {
+        this.syncPending = false;
+        await this.secondary.goToFrame(this.getTargetFrame());
+      } while (this.syncPending && this.isReady());
+    } finally {
+      this.isSyncing = false;
+    }
+    this.renderFrame();
+  }
+
+  /**
+   * During playback, re-seek the second video if it has drifted from the main one
+   */
+  correctDrift() {
+    if (!this.secondary.isPlaying) return;
+
+    const total = this.secondary.metadata.totalFrames;
+    const target = Math.max(0, Math.min(this.getTargetFrame(), total - 1));
+    if (Math.abs(this.secondary.currentFrame - target) > CompareView.MAX_DRIFT) {
+      this.secondary.videoElement.currentTime = this.secondary.frameToSeekTime(target);
+    }
+  }
+
+  /**
+   * Show which frame of the second video is on screen
+   */
+  renderFrame() {
+    const { frame } = this.elements;
+    if (!this.isReady()) {
+      frame.textContent = '';
+      return;
+    }
+
+    const target = this.getTargetFrame();
+    const total = this.secondary.metadata.totalFrames;
+    let text = `Frame ${this.ui.toDisplayFrame(this.secondary.currentFrame).toLocaleString()}`;
+    if (target < 0) {
+      text += ' (before start)';
+    } else if (target >= total) {
+      text += ' (past end)';
+    }
+    frame.textContent = text;
+  }
+}
+
+CompareView.STORAGE_KEY = 'framestep.compare';
+
+CompareView.MODES = {
+  'side-by-side': 'Side by side',
+  wipe: 'Wipe',
+  difference: 'Difference'
+};
+
+CompareView.DEFAULTS = {
+  mode: 'side-by-side',
+  wipePosition: 0.5
+};
+
+// Frames the second video may lag or lead during playback before it is re-seeked
+CompareView.MAX_DRIFT = 2;
+
+// Export for use in other modules
+window.CompareView = CompareView;
@@ -3,14 +3,35 @@
  * Manages keyboard shortcuts and mouse interactions
  */
 class Controls {
-  constructor(videoController) {
+  constructor(videoController, {
+    frameSaver, sequenceExporter, clipExporter, markerManager, gotoField, playlist, compareView, onionSkin,
+    annotationManager, pixelInspector, zoomView, scopesPanel, mediaInfo, subtitleManager, shortcutMap,
+    preferences
+  } = {}) {
     this.vc = videoController;
+    this.frameSaver = frameSaver;
+    this.sequenceExporter = sequenceExporter;
+    this.clipExporter = clipExporter;
+    this.markerManager = markerManager;
+    this.gotoField = gotoField;
+    this.playlist = playlist;
+    this.compareView = compareView;
+    this.onionSkin = onionSkin;
+    this.annotationManager = annotationManager;
+    this.pixelInspector = pixelInspector;
+    this.zoomView = zoomView;
+    this.scopesPanel = scopesPanel;
+    this.mediaInfo = mediaInfo;
+    this.subtitleManager = subtitleManager;
+    this.shortcutMap = shortcutMap;
+    this.preferences = preferences;
     this.shortcutsVisible = false;
     this.frameOverlayVisible = false;
 
     this.isMouseOverControls = false;
     this.isMouseOverOverlay = false;
     this.autoHideTimer = null;
+    this.autoHideDelay = 3000; // ms without input before the controls hide; 0 keeps them shown
 
     this.setupKeyboardControls();
     this.setupMouseControls();
@@ -25,132 +46,231 @@ class Controls {
    * Setup keyboard shortcuts
    */
   setupKeyboardControls() {
+    this.registerShortcuts();
+    this.renderShortcuts();
+    this.shortcutMap.onChange(() => this.renderShortcuts());
+
     document.addEventListener('keydown', async (e) => {
-      // Ignore if typing in an input
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+      // Dialogs take the keyboard while open; Escape closes them
+      if (Modal.isAnyOpen()) {
+        if (e.key === 'Escape') {
+          Modal.closeTopmost();
+        }
         return;
       }
 
-      switch (e.key) {
-        case '0':
-        case '1':
-        case '2':
-        case '3':
-        case '4':
-        case '5':
-        case '6':
-        case '7':
-        case '8':
-        case '9':
-          if (!e.ctrlKey && !e.metaKey) {
-            e.preventDefault();
-            const digit = parseInt(e.key, 10);
-            await this.vc.seekToProgress(digit / 10);
-          }
-          break;
-
-        case 'ArrowLeft':
-          e.preventDefault();
-          await this.vc.stepFrame(e.shiftKey ? -10 : -1);
-          break;
-
-        case 'ArrowRight':
-          e.preventDefault();
-          await this.vc.stepFrame(e.shiftKey ? 10 : 1);
-          break;
-
-        case 'ArrowUp':
-          e.preventDefault();
-          this.vc.adjustVolume(0.05);
-          break;
-
-        case 'ArrowDown':
-          e.preventDefault();
-          this.vc.adjustVolume(-0.05);
-          break;
-
-        case ' ':
-          e.preventDefault();
-          this.vc.togglePlayPause();
-          break;
-
-        case 'o':
-        case 'O':
-          if (!e.ctrlKey && !e.metaKey) {
-            e.preventDefault();
-            this.openFile();
-          }
-          break;
-
-        case 'f':
-        case 'F':
-          if (!e.ctrlKey && !e.metaKey) {
-            e.preventDefault();
-            this.toggleFullscreen();
-          }
-          break;
-
-        case '?':
-          e.preventDefault();
-          this.toggleShortcutsHelp();
-          break;
-
-        case 'm':
-        case 'M':
-          e.preventDefault();
-          this.vc.toggleMute();
-          break;
-
-        case 'c':
-        case 'C':
-          if (e.ctrlKey || e.metaKey) {
-            e.preventDefault();
-            this.captureFrameToClipboard();
-          } else {
-            e.preventDefault();
-            this.toggleFrameOverlay();
-          }
-          break;
-
-        case '<':
-        case ',':
-          if (!e.ctrlKey && !e.metaKey) {
-            e.preventDefault();
-            this.vc.adjustPlaybackRate(-1);
-          }
-          break;
-
-        case '>':
-        case '.':
-          if (!e.ctrlKey && !e.metaKey) {
-            e.preventDefault();
-            this.vc.adjustPlaybackRate(1);
-          }
-          break;
-
-        case 'r':
-        case 'R':
-          e.preventDefault();
-          this.vc.goToBeginning();
-          break;
-
-        case 'Escape':
-          if (this.shortcutsVisible) {
-            this.toggleShortcutsHelp();
-          }
-          break;
+      // Ignore if typing in an input
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
+        return;
       }
+
+      await this.shortcutMap.handleKeydown(e);
+    });
+  }
+
+  /**
+   * Register the keyboard actions with their default keys
+   * The help overlay lists them by section, in this order
+   */
+  registerShortcuts() {
+    const vc = this.vc;
+    const settings = () => this.shortcutMap.settings;
+    const frames = (count) => `${count} frame${count === 1 ? '' : 's'}`;
+    const add = (section, id, label, keys, run, options = {}) => {
+      this.shortcutMap.register(id, { section, label, keys, run, ...options });
+    };
+
+    add('Playback', 'play-pause', 'Play / pause', ['Space'], () => vc.togglePlayPause());
+    add('Playback', 'play-reverse', 'Play reverse', ['J'], () => vc.toggleReverse());
+    add('Playback', 'volume-up', 'Volume up 5%', ['ArrowUp'], () => vc.adjustVolume(0.05),
+      { help: 'Volume ±5%' });
+    add('Playback', 'volume-down', 'Volume down 5%', ['ArrowDown'], () => vc.adjustVolume(-0.05),
+      { help: 'Volume ±5%' });
+    add('Playback', 'mute', 'Mute / unmute', ['M'], () => vc.toggleMute());
+    add('Playback', 'speed-down', 'Slower', ['<', ','], () => vc.adjustPlaybackRate(-1),
+      { help: 'Playback speed' });
+    add('Playback', 'speed-up', 'Faster', ['>', '.'], () => vc.adjustPlaybackRate(1),
+      { help: 'Playback speed' });
+    add('Playback', 'restart', 'Restart', ['R'], () => vc.goToBeginning());
+
+    add('Navigation', 'step-back', () => `Back ${frames(settings().step)}`, ['ArrowLeft'],
+      () => vc.stepFrame(-settings().step), { help: () => `±${frames(settings().step)}` });
+    add('Navigation', 'step-forward', () => `Forward ${frames(settings().step)}`, ['ArrowRight'],
+      () => vc.stepFrame(settings().step), { help: () => `±${frames(settings().step)}` });
+    add('Navigation', 'large-step-back', () => `Back ${frames(settings().largeStep)}`, ['Shift+ArrowLeft'],
+      () => vc.stepFrame(-settings().largeStep), { help: () => `±${frames(settings().largeStep)}` });
+    add('Navigation', 'large-step-forward', () => `Forward ${frames(settings().largeStep)}`, ['Shift+ArrowRight'],
+      () => vc.stepFrame(settings().largeStep), { help: () => `±${frames(settings().largeStep)}` });
+    for (let digit = 0; digit <= 9; digit++) {
+      add('Navigation', `seek-${digit}`, `Seek to ${digit * 10}%`, [String(digit)],
+        () => vc.seekToProgress(digit / 10), { help: 'Seek 0-90%' });
+    }
+    add('Navigation', 'previous-keyframe', 'Previous keyframe', ['Ctrl+ArrowLeft'], () => vc.goToPreviousKeyframe(),
+      { help: 'Previous / next keyframe' });
+    add('Navigation', 'next-keyframe', 'Next keyframe', ['Ctrl+ArrowRight'], () => vc.goToNextKeyframe(),
+      { help: 'Previous / next keyframe' });
+    // Ctrl+G too, as in editors
+    add('Navigation', 'go-to', 'Go to frame / timecode', ['G', 'Ctrl+G'], () => this.gotoField.open());
+
+    add('Loop', 'loop-start', 'Set loop start', ['A'], () => vc.setLoopStart(), { help: 'Set loop start / end' });
+    add('Loop', 'loop-end', 'Set loop end', ['B'], () => vc.setLoopEnd(), { help: 'Set loop start / end' });
+    add('Loop', 'toggle-loop', 'Loop on / off', ['L'], () => vc.toggleLoop());
+    add('Loop', 'clear-loop', 'Clear loop', ['Shift+L'], () => vc.clearLoop());
+
+    add('Markers', 'add-marker', 'Add marker', ['Shift+M'], () => this.markerManager.addMarker());
+    add('Markers', 'previous-marker', 'Previous marker', ['Alt+ArrowLeft'],
+      () => this.markerManager.goToPreviousMarker(), { help: 'Previous / next marker' });
+    add('Markers', 'next-marker', 'Next marker', ['Alt+ArrowRight'],
+      () => this.markerManager.goToNextMarker(), { help: 'Previous / next marker' });
+
+    add('Subtitles', 'next-subtitle-track', 'Next subtitle track / off', ['H'],
+      () => this.subtitleManager.cycleTrack());
+    add('Subtitles', 'previous-cue', 'Previous cue start or end', ['Alt+Shift+ArrowLeft'],
+      () => this.subtitleManager.goToCueBoundary(-1), { help: 'Previous / next cue start or end' });
+    add('Subtitles', 'next-cue', 'Next cue start or end', ['Alt+Shift+ArrowRight'],
+      () => this.subtitleManager.goToCueBoundary(1), { help: 'Previous / next cue start or end' });
+
+    add('Range', 'set-in', 'Set in point', ['['], () => vc.setInPoint(), { help: 'Set in / out point' });
+    add('Range', 'set-out', 'Set out point', [']'], () => vc.setOutPoint(), { help: 'Set in / out point' });
+    add('Range', 'clear-range', 'Clear in / out', ['\\'], () => vc.clearRange());
+
+    add('View', 'fullscreen', 'Toggle fullscreen', ['F'], () => this.toggleFullscreen());
+    add('View', 'frame-counter', 'Toggle frame counter', ['C'], () => this.toggleFrameOverlay());
+    add('View', 'display-mode', 'Cycle timecode / frames / seconds / feet', ['T'], () => vc.ui.cycleDisplayMode());
+    add('View', 'compare-mode', 'Compare: side by side / wipe / difference', ['W'],
+      () => this.compareView.cycleMode());
+    add('View', 'onion-skin', 'Onion skin', ['N'], () => this.onionSkin.toggleOnion());
+    add('View', 'frame-difference', 'Frame difference', ['D'], () => this.onionSkin.toggleDifference());
+    add('View', 'annotate', 'Annotate frame', ['E'], () => this.annotationManager.toggle());
+    add('View', 'annotation-undo', 'Undo annotation stroke', ['Ctrl+Z'], () => this.annotationManager.undo(),
+      { when: () => this.annotationManager.isActive });
+    add('View', 'pixel-inspector', 'Pixel inspector (click to pin)', ['I'], () => this.pixelInspector.toggle());
+    add('View', 'scopes', 'Video scopes', ['V'], () => this.scopesPanel.toggle());
+    add('View', 'media-info', 'Media info', ['Ctrl+I'], () => this.mediaInfo.open());
+    add('View', 'zoom-cycle', 'Zoom: fit / 1:1 / fill', ['Z'], () => this.zoomView.cyclePreset());
+    add('View', 'zoom-fit', 'Zoom to fit', ['Ctrl+0'], () => this.zoomView.setPreset('fit'),
+      { help: 'Fit / 1:1 / Fill' });
+    add('View', 'zoom-actual', 'Actual pixels (1:1)', ['Ctrl+1'], () => this.zoomView.setPreset('actual'),
+      { help: 'Fit / 1:1 / Fill' });
+    add('View', 'zoom-fill', 'Fill window', ['Ctrl+2'], () => this.zoomView.setPreset('fill'),
+      { help: 'Fit / 1:1 / Fill' });
+    add('View', 'zoom-in', 'Zoom in', ['Ctrl++', 'Ctrl+='], () => this.zoomView.zoomStep(1),
+      { help: 'Zoom in / out' });
+    add('View', 'zoom-out', 'Zoom out', ['Ctrl+-'], () => this.zoomView.zoomStep(-1),
+      { help: 'Zoom in / out' });
+
+    add('File & Tools', 'open-file', 'Open file(s)', ['O'], () => this.openFile());
+    add('File & Tools', 'previous-file', 'Previous file', ['PageUp'], () => this.playlist.previous(),
+      { help: 'Previous / next file' });
+    add('File & Tools', 'next-file', 'Next file', ['PageDown'], () => this.playlist.next(),
+      { help: 'Previous / next file' });
+    add('File & Tools', 'playlist', 'Toggle playlist', ['P'], () => this.playlist.togglePanel());
+    add('File & Tools', 'capture-frame', 'Capture frame', ['Ctrl+C'], () => this.captureFrameToClipboard());
+    add('File & Tools', 'quick-save', 'Quick save frame', ['S'], () => this.frameSaver.quickSave());
+    add('File & Tools', 'save-frame-as', 'Save frame as', ['Ctrl+S'], () => this.frameSaver.saveFrameAs());
+    add('File & Tools', 'export-frames', 'Export frames', ['Ctrl+E'], () => this.sequenceExporter.open());
+    add('File & Tools', 'export-clip', 'Export clip', ['Ctrl+Shift+E'], () => this.clipExporter.open());
+    add('File & Tools', 'preferences', 'Preferences', ['Ctrl+,'], () => this.preferences.open());
+
+    add('Help', 'shortcuts-help', 'Toggle help', ['?'], () => this.toggleShortcutsHelp());
+    add('Help', 'close', 'Close help, tool or panel', ['Escape'], () => this.closeTopmostPanel());
+  }
+
+  /**
+   * Close whatever Escape applies to: help, then tools, then side panels
+   */
+  closeTopmostPanel() {
+    if (this.shortcutsVisible) {
+      this.toggleShortcutsHelp();
+    } else if (this.annotationManager.isActive) {
+      this.annotationManager.setActive(false);
+    } else if (this.pixelInspector.isActive) {
+      this.pixelInspector.setActive(false);
+    } else if (this.scopesPanel.isVisible) {
+      this.scopesPanel.setVisible(false);
+    } else if (this.markerManager.panelVisible) {
+      this.markerManager.setPanelVisible(false);
+    } else if (this.playlist.panelVisible) {
+      this.playlist.setPanelVisible(false);
+    }
+  }
+
+  /**
+   * Rebuild the help overlay and the menu shortcut hints from the live bindings
+   */
+  renderShortcuts() {
+    const help = document.getElementById('shortcutsHelp');
+    const sections = new Map();   // section -> Map of help text -> combos
+    this.shortcutMap.actions.forEach(action => {
+      if (!sections.has(action.section)) sections.set(action.section, new Map());
+      const lines = sections.get(action.section);
+      const text = this.shortcutMap.getHelp(action);
+      lines.set(text, [...(lines.get(text) || []), ...this.shortcutMap.getBindings(action.id)]);
+    });
+    Controls.MOUSE_HELP.forEach(([section, text, combo]) => {
+      sections.get(section).set(text, [combo]);
+    });
+
+    help.innerHTML = '';
+    sections.forEach((lines, title) => {
+      const section = document.createElement('div');
+      section.className = 'shortcuts-section';
+      const heading = document.createElement('div');
+      heading.className = 'shortcuts-title';
+      heading.textContent = title;
+      section.appendChild(heading);
+
+      lines.forEach((combos, text) => {
+        const line = document.createElement('div');
+        line.className = 'shortcut';
+        if (combos.length === 0) {
+          line.classList.add('unbound');
+        }
+        combos.forEach(combo => line.appendChild(Controls.createComboElement(combo)));
+        line.appendChild(document.createTextNode(text));
+        section.appendChild(line);
+      });
+      help.appendChild(section);
+    });
+
+    // Menu hints show each action's first combo
+    document.querySelectorAll('[data-shortcut]').forEach(hint => {
+      const [combo] = this.shortcutMap.getBindings(hint.dataset.shortcut);
+      hint.textContent = combo ? ShortcutMap.formatCombo(combo) : '';
     });
   }
 
   /**
-   * Setup mouse wheel scrubbing
+   * Keys of a combo as <kbd> elements
+   * @param {string} combo
+   * @returns {HTMLElement}
+   */
+  static createComboElement(combo) {
+    const keys = document.createElement('span');
+    keys.className = 'shortcut-keys';
+    ShortcutMap.getKeyNames(combo).forEach((name, i) => {
+      if (i > 0) keys.appendChild(document.createTextNode('+'));
+      const kbd = document.createElement('kbd');
+      kbd.textContent = name;
+      keys.appendChild(kbd);
+    });
+    return keys;
+  }
+
+  /**
+   * Setup mouse wheel scrubbing and zoom
    */
   setupMouseControls() {
     const videoContainer = document.getElementById('videoContainer');
 
-    // Wheel scrubbing (only when paused)
+    // Wheel scrubbing (only when paused); Ctrl+wheel zooms instead
     videoContainer.addEventListener('wheel', async (e) => {
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        this.zoomView.zoomWithWheel(e);
+        return;
+      }
+
       const state = this.vc.getState();
       if (!state.isPaused && !state.isFrameMode) {
         return; // Only scrub when paused or in frame mode
@@ -163,18 +283,36 @@ class Controls {
       await this.vc.stepFrame(delta);
     }, { passive: false });
 
+    // Click the frame number to type a position to go to
+    document.getElementById('frameNumber').addEventListener('click', () => {
+      this.gotoField.open();
+    });
+
     // Double-click to toggle play/pause
     videoContainer.addEventListener('dblclick', (e) => {
       // Ignore clicks on controls
-      if (e.target.closest('.controls-bar')) return;
+      if (e.target.closest('.controls-bar') || e.target.closest('.frame-number') || e.target.closest('.goto-field') ||
+        e.target.closest('.compare-bar') || e.target.closest('.compare-divider') ||
+        e.target.closest('.annotation-toolbar, .annotation-text, .annotation-canvas') ||
+        e.target.closest('.inspector-panel')) return;
+
+      // Clicks pin sample points while inspecting
+      if (this.pixelInspector.isActive) return;
       this.vc.togglePlayPause();
     });
 
     // Single click to pause (if playing)
     let clickTimeout = null;
     videoContainer.addEventListener('click', (e) => {
-      // Ignore clicks on controls or drop zone
-      if (e.target.closest('.controls-bar') || e.target.closest('.drop-zone')) return;
+      // Ignore clicks on controls, drop zone or the go-to entry
+      if (e.target.closest('.controls-bar') || e.target.closest('.drop-zone') ||
+        e.target.closest('.frame-number') || e.target.closest('.goto-field') ||
+        e.target.closest('.compare-bar') || e.target.closest('.compare-divider') ||
+        e.target.closest('.annotation-toolbar, .annotation-text, .annotation-canvas') ||
+        e.target.closest('.inspector-panel')) return;
+
+      // Clicks pin sample points while inspecting
+      if (this.pixelInspector.isActive) return;
 
       // Use timeout to distinguish from double-click
       if (clickTimeout) {
@@ -255,8 +393,7 @@ class Controls {
   setupAutoHide() {
     const controlsBar = document.getElementById('controlsBar');
     const videoElement = document.getElementById('videoElement');
-    const hideTimeout = 3000; // 3 seconds
-    const shouldAutoHide = () => !!this.vc && !!this.vc.metadata;
+    const shouldAutoHide = () => !!this.vc && !!this.vc.metadata && this.autoHideDelay > 0;
 
     const showControls = () => {
       document.body.classList.remove('hide-controls');
@@ -280,7 +417,7 @@ class Controls {
         clearTimeout(this.autoHideTimer);
       }
       if (shouldAutoHide()) {
-        this.autoHideTimer = setTimeout(hideControls, hideTimeout);
+        this.autoHideTimer = setTimeout(hideControls, this.autoHideDelay);
       }
     };
 
@@ -331,35 +468,128 @@ class Controls {
   }
 
   /**
-   * Setup timeline click/drag
+   * Apply the user's preferences (see Preferences)
+   * @param {Object} settings
+   */
+  applySettings(settings) {
+    this.autoHideDelay = settings.autoHideDelay * 1000;
+    // Show the controls and restart the countdown with the new delay
+    document.body.classList.remove('hide-controls');
+    this.resetAutoHideTimer();
+  }
+
+  /**
+   * Setup timeline click/drag and the hover preview
    */
   setupTimelineControls() {
     const timeline = document.getElementById('timeline');
+    const preview = document.getElementById('timelinePreview');
+    const previewImage = document.getElementById('timelinePreviewImage');
+    const previewFrame = document.getElementById('timelinePreviewFrame');
+    const previewTime = document.getElementById('timelinePreviewTime');
     let isDragging = false;
+    let isHovering = false;
+    let rangeAnchor = null; // Frame where a Shift+drag range selection started
+    let selectedRange = false;
+    let previewThumbnailFrame = null;
+
+    const progressFromMouse = (e) => {
+      const rect = timeline.getBoundingClientRect();
+      return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    };
+
+    const frameFromMouse = (e) => {
+      const frame = this.vc.timeToFrame(progressFromMouse(e) * this.vc.metadata.duration);
+      return Math.min(frame, this.vc.metadata.totalFrames - 1);
+    };
 
     const updateFromMouse = (e) => {
+      this.vc.seekToProgress(progressFromMouse(e));
+    };
+
+    // Floating thumbnail (nearest keyframe) with the exact frame number and time under the cursor
+    const showPreview = (e) => {
+      if (!this.vc.metadata) return;
+
+      const frame = frameFromMouse(e);
+      const thumbnail = this.vc.thumbnailCache.getNearest(frame);
+      if (thumbnail && thumbnail.frameNumber !== previewThumbnailFrame) {
+        previewImage.src = thumbnail.url;
+        previewThumbnailFrame = thumbnail.frameNumber;
+      }
+      preview.classList.toggle('has-image', !!thumbnail);
+      previewFrame.textContent = this.vc.ui.formatFrameLabel(frame, this.vc.frameToTime(frame));
+      previewTime.textContent = this.vc.ui.formatTimestamp(this.vc.frameToTime(frame));
+      preview.classList.add('visible');
+
+      // Follow the cursor but keep the preview inside the window
       const rect = timeline.getBoundingClientRect();
-      const progress = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
-      this.vc.seekToProgress(progress);
+      const half = preview.offsetWidth / 2;
+      const margin = 4;
+      const x = Math.max(half + margin - rect.left,
+        Math.min(window.innerWidth - margin - half - rect.left, e.clientX - rect.left));
+      preview.style.left = `${x}px`;
+    };
+
+    const hidePreview = () => {
+      preview.classList.remove('visible');
     };
 
+    timeline.addEventListener('mouseenter', () => {
+      isHovering = true;
+    });
+
+    timeline.addEventListener('mousemove', showPreview);
+
+    timeline.addEventListener('mouseleave', () => {
+      isHovering = false;
+      if (!isDragging && rangeAnchor === null) {
+        hidePreview();
+      }
+    });
+
+    // A new file means new thumbnails
+    this.vc.on('reset', () => {
+      hidePreview();
+      previewThumbnailFrame = null;
+      previewImage.removeAttribute('src');
+    });
+
     timeline.addEventListener('mousedown', (e) => {
+      // Shift+drag selects an in/out range instead of seeking
+      if (e.shiftKey && this.vc.metadata) {
+        rangeAnchor = frameFromMouse(e);
+        selectedRange = true;
+        this.vc.setRange(rangeAnchor, rangeAnchor);
+        return;
+      }
+
+      selectedRange = false;
       isDragging = true;
       updateFromMouse(e);
     });
 
     document.addEventListener('mousemove', (e) => {
-      if (isDragging) {
+      if (rangeAnchor !== null) {
+        this.vc.setRange(rangeAnchor, frameFromMouse(e));
+        showPreview(e);
+      } else if (isDragging) {
         updateFromMouse(e);
+        showPreview(e);
       }
     });
 
     document.addEventListener('mouseup', () => {
       isDragging = false;
+      rangeAnchor = null;
+      if (!isHovering) {
+        hidePreview();
+      }
     });
 
     // Click to seek
     timeline.addEventListener('click', (e) => {
+      if (selectedRange) return;
       updateFromMouse(e);
     });
   }
@@ -399,17 +629,23 @@ class Controls {
       });
     });
 
-    // Handle dropped files
-    videoContainer.addEventListener('drop', async (e) => {
-      const files = e.dataTransfer.files;
-      if (files.length > 0) {
-        const file = files[0];
-        // Check if it's a video file
-        if (file.type.startsWith('video/') || this.isVideoExtension(file.name)) {
-          await this.vc.loadVideo(file.path);
-        }
+    // Dropped video files join the playlist (and play if nothing is open),
+    // dropped subtitle files are shown over the open video
+    const dropVideos = async (e) => {
+      const files = Array.from(e.dataTransfer.files);
+      const filePaths = files
+        .filter(file => file.type.startsWith('video/') || this.isVideoExtension(file.name))
+        .map(file => window.electronAPI.getPathForFile(file));
+      if (filePaths.length > 0) {
+        await this.playlist.enqueue(filePaths);
       }
-    });
+
+      for (const file of files.filter(file => this.subtitleManager.isSubtitleFile(file.name))) {
+        await this.subtitleManager.loadFile(window.electronAPI.getPathForFile(file));
+      }
+    };
+    videoContainer.addEventListener('drop', dropVideos);
+    document.getElementById('playlistPanel').addEventListener('drop', dropVideos);
 
     // Click on drop zone to open file dialog
     dropZoneContent.addEventListener('click', (e) => {
@@ -423,7 +659,8 @@ class Controls {
    * Check if filename has a video extension
    */
   isVideoExtension(filename) {
-    const videoExtensions = ['.mp4', '.mkv', '.avi', '.mov', '.webm', '.wmv', '.flv', '.m4v'];
+    const videoExtensions = ['.mp4', '.mkv', '.avi', '.mov', '.webm', '.wmv', '.flv', '.m4v',
+      '.mxf', '.mpg', '.mpeg', '.ts', '.mts', '.m2ts'];
     const ext = filename.toLowerCase().slice(filename.lastIndexOf('.'));
     return videoExtensions.includes(ext);
   }
@@ -432,9 +669,9 @@ class Controls {
    * Open file dialog
    */
   async openFile() {
-    const filePath = await window.electronAPI.openFileDialog();
-    if (filePath) {
-      await this.vc.loadVideo(filePath);
+    const filePaths = await window.electronAPI.openFileDialog();
+    if (filePaths) {
+      await this.playlist.open(filePaths);
     }
   }
 
@@ -507,12 +744,23 @@ class Controls {
   }
 
   /**
-   * Capture current frame to clipboard
+   * Capture current frame to clipboard (with its annotations, if it has any)
    */
   async captureFrameToClipboard() {
-    await this.vc.captureFrameToClipboard();
+    if (this.vc.isFrameMode && this.annotationManager.hasAnnotations()) {
+      await this.annotationManager.copyToClipboard();
+    } else {
+      await this.vc.captureFrameToClipboard();
+    }
   }
 }
 
+// Mouse gestures listed in the help overlay: [section, text, combo]
+Controls.MOUSE_HELP = [
+  ['Navigation', 'Scrub frames', 'Scroll'],
+  ['Range', 'Select on timeline', 'Shift+Drag'],
+  ['View', 'Zoom (drag to pan)', 'Ctrl+Wheel']
+];
+
 // Export for use in other modules
 window.Controls = Controls;
@@ -1,10 +1,12 @@
 /**
  * LRU Cache for storing extracted video frames
- * Prefetches adjacent frames for faster stepping
+ * Holds the frames the onion skin and difference overlays draw, and prefetches the
+ * ones around them so stepping with an overlay on doesn't wait for ffmpeg
  */
 class FrameCache {
-  constructor(maxSize = 30) {
+  constructor(maxSize = 30, prefetchRadius = 3) {
     this.maxSize = maxSize;
+    this.prefetchRadius = prefetchRadius; // Extra frames fetched either side of those in use
     this.cache = new Map();
     this.pendingRequests = new Map();
   }
@@ -59,6 +61,17 @@ class FrameCache {
     this.pendingRequests.clear();
   }
 
+  /**
+   * Change the capacity, dropping the least recently used frames that no longer fit
+   * @param {number} maxSize
+   */
+  setMaxSize(maxSize) {
+    this.maxSize = maxSize;
+    while (this.cache.size > maxSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
   /**
    * Get cache statistics
    * @returns {Object}
@@ -78,7 +91,7 @@ class FrameCache {
    * @param {Function} extractFn - Async function to extract a frame
    * @param {number} radius - Number of frames to prefetch in each direction
    */
-  async prefetch(currentFrame, totalFrames, extractFn, radius = 3) {
+  async prefetch(currentFrame, totalFrames, extractFn, radius = this.prefetchRadius) {
     const framesToFetch = [];
     
     // Prioritize forward frames, then backward
@@ -0,0 +1,214 @@
+/**
+ * Frame Saver
+ * Saves the current frame to disk at full source resolution (decoded by FFmpegService)
+ * using a configurable image format, folder and filename template
+ */
+class FrameSaver {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.storage = new LocalSettings(FrameSaver.STORAGE_KEY, FrameSaver.DEFAULTS);
+    this.settings = this.storage.load();
+
+    this.dialog = new Modal('saveFrameDialog');
+    this.elements = {
+      format: document.getElementById('saveFrameFormat'),
+      template: document.getElementById('saveFrameTemplate'),
+      folder: document.getElementById('saveFrameFolder'),
+      folderBtn: document.getElementById('saveFrameFolderBtn'),
+      preview: document.getElementById('saveFramePreview')
+    };
+
+    this.setupDialog();
+  }
+
+  /**
+   * Setup settings dialog fields
+   */
+  setupDialog() {
+    const { format, template, folderBtn } = this.elements;
+
+    format.addEventListener('change', () => {
+      this.settings.format = format.value;
+      this.storage.save(this.settings);
+      this.updatePreview();
+    });
+
+    template.addEventListener('input', () => {
+      this.settings.template = template.value.trim() || FrameSaver.DEFAULTS.template;
+      this.storage.save(this.settings);
+      this.updatePreview();
+    });
+
+    folderBtn.addEventListener('click', async () => {
+      await this.chooseDirectory();
+      this.updateDialogFields();
+    });
+  }
+
+  /**
+   * Open the save settings dialog
+   */
+  openSettings() {
+    this.updateDialogFields();
+    this.dialog.open();
+  }
+
+  /**
+   * Sync dialog fields with current settings
+   */
+  updateDialogFields() {
+    this.elements.format.value = this.settings.format;
+    this.elements.template.value = this.settings.template;
+    this.elements.folder.textContent = this.settings.directory || 'Not set (asks on first quick save)';
+    this.elements.folder.title = this.settings.directory || '';
+    this.updatePreview();
+  }
+
+  /**
+   * Show the filename the current frame would be saved as
+   */
+  updatePreview() {
+    const extension = FrameSaver.FORMATS[this.settings.format].extensions[0];
+    this.elements.preview.textContent = this.vc.metadata
+      ? `Preview: ${this.expandTemplate()}.${extension}`
+      : 'Preview: open a video to see the filename';
+  }
+
+  /**
+   * Ask the user for the quick-save folder
+   * @returns {Promise<string|null>} Chosen folder
+   */
+  async chooseDirectory() {
+    const directory = await window.electronAPI.selectDirectory(this.settings.directory || undefined);
+    if (directory) {
+      this.settings.directory = directory;
+      this.storage.save(this.settings);
+    }
+    return directory;
+  }
+
+  /**
+   * Expand a filename template for the current frame
+   * Tokens: {name} {frame} {time} {timecode}; numbers accept zero padding, e.g. {frame:06}
+   * {frame} matches the frame counter overlay (1-based)
+   * @param {string} [template]
+   * @returns {string} Filename without extension
+   */
+  expandTemplate(template = this.settings.template) {
+    const frame = this.vc.currentFrame;
+    const time = this.vc.frameToTime(frame);
+    const fileName = (this.vc.filePath || 'video').split('/').pop().split('\\').pop();
+
+    const values = {
+      name: fileName.replace(/\.[^.]+$/, ''),
+      frame: this.ui.toDisplayFrame(frame),
+      time: time.toFixed(3),
+      timecode: this.ui.formatTimestamp(time).replace(/:/g, '-')
+    };
+
+    const expanded = template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, token, width) => {
+      if (!(token in values)) return match;
+      const value = String(values[token]);
+      return width ? value.padStart(parseInt(width, 10), '0') : value;
+    });
+
+    // Strip characters that aren't valid in filenames on any platform
+    return expanded.replace(/[<>:"/\\|?*\x00-\x1f]/g, '_');
+  }
+
+  /**
+   * Save the current frame to the quick-save folder without prompting
+   */
+  async quickSave() {
+    if (!this.vc.metadata) return;
+
+    const frameNumber = this.vc.currentFrame;
+    const filename = this.expandTemplate();
+
+    if (!this.settings.directory && !(await this.chooseDirectory())) {
+      return;
+    }
+
+    await this.save({
+      directory: this.settings.directory,
+      filename,
+      format: this.settings.format
+    }, frameNumber);
+  }
+
+  /**
+   * Prompt for a destination and save the current frame there
+   */
+  async saveFrameAs() {
+    if (!this.vc.metadata) return;
+
+    // Capture the frame now - playback may move on while the dialog is open
+    const frameNumber = this.vc.currentFrame;
+    const extension = FrameSaver.FORMATS[this.settings.format].extensions[0];
+    const fileName = `${this.expandTemplate()}.${extension}`;
+    const defaultPath = this.settings.directory
+      ? `${this.settings.directory}/${fileName}`
+      : fileName;
+
+    let outputPath = await window.electronAPI.showSaveFrameDialog(defaultPath, this.settings.format);
+    if (!outputPath) return;
+
+    // The chosen extension decides the format
+    const chosenExtension = (outputPath.match(/\.([^./\\]+)$/) || [])[1]?.toLowerCase();
+    let format = Object.keys(FrameSaver.FORMATS)
+      .find(key => FrameSaver.FORMATS[key].extensions.includes(chosenExtension));
+    if (!format) {
+      format = this.settings.format;
+      outputPath = `${outputPath}.${extension}`;
+    }
+
+    // Remember the folder for quick saves
+    this.settings.directory = outputPath.slice(0, Math.max(outputPath.lastIndexOf('/'), outputPath.lastIndexOf('\\')));
+    this.settings.format = format;
+    this.storage.save(this.settings);
+
+    await this.save({ outputPath, format }, frameNumber);
+  }
+
+  /**
+   * Extract and write the frame via the main process
+   * @param {Object} target - { outputPath, format } or { directory, filename, format }
+   * @param {number} [frameNumber] - Defaults to the current frame
+   */
+  async save(target, frameNumber = this.vc.currentFrame) {
+    try {
+      const savedPath = await window.electronAPI.saveFrame(
+        this.vc.filePath,
+        frameNumber,
+        this.vc.metadata.frameRate,
+        target
+      );
+      const savedName = savedPath.split('/').pop().split('\\').pop();
+      this.ui.showToast(`Saved ${savedName}`);
+      return savedPath;
+    } catch (error) {
+      console.error('Failed to save frame:', error);
+      this.ui.showToast('Failed to save frame');
+      return null;
+    }
+  }
+}
+
+FrameSaver.STORAGE_KEY = 'framestep.frameSave';
+
+FrameSaver.FORMATS = {
+  png: { label: 'PNG', extensions: ['png'] },
+  jpeg: { label: 'JPEG', extensions: ['jpg', 'jpeg'] },
+  tiff: { label: 'TIFF', extensions: ['tiff', 'tif'] },
+  webp: { label: 'WebP', extensions: ['webp'] }
+};
+
+FrameSaver.DEFAULTS = {
+  format: 'png',
+  template: '{name}_{frame:06}_{timecode}',
+  directory: null
+};
+
+// Export for use in other modules
+window.FrameSaver = FrameSaver;
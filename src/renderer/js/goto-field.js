@@ -0,0 +1,242 @@
+/**
+ * Go To Field
+ * Jump entry over the frame counter: takes a frame number, timecode, seconds or
+ * a relative offset (+48, -2s) and lands on the exact frame via goToFrame
+ */
+class GoToField {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.lastEntry = '';
+
+    this.elements = {
+      field: document.getElementById('gotoField'),
+      input: document.getElementById('gotoInput'),
+      hint: document.getElementById('gotoHint')
+    };
+
+    const { input } = this.elements;
+    input.addEventListener('input', () => this.updateHint());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.submit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    });
+    input.addEventListener('blur', () => this.close());
+
+    this.vc.on('reset', () => this.close());
+  }
+
+  /**
+   * @returns {boolean} True if the field is showing
+   */
+  get isOpen() {
+    return this.elements.field.classList.contains('visible');
+  }
+
+  /**
+   * Show the field with the previous entry selected
+   */
+  open() {
+    if (!this.vc.metadata) return;
+
+    const { field, input } = this.elements;
+    input.value = this.lastEntry;
+    field.classList.add('visible');
+    input.focus();
+    input.select();
+    this.updateHint();
+  }
+
+  /**
+   * Hide the field
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.elements.field.classList.remove('visible');
+    this.elements.input.blur();
+  }
+
+  /**
+   * Jump to the entered position, or leave the field open showing why it can't
+   */
+  async submit() {
+    const text = this.elements.input.value;
+    let frame;
+    try {
+      frame = this.resolve(text);
+    } catch (error) {
+      this.showHint(error.message, true);
+      return;
+    }
+    if (frame === null) return;
+
+    this.lastEntry = text.trim();
+    this.close();
+    await this.vc.goToFrame(frame);
+  }
+
+  /**
+   * Preview where the entry lands as it is typed
+   */
+  updateHint() {
+    try {
+      const frame = this.resolve(this.elements.input.value);
+      if (frame === null) {
+        this.showHint('Frame, timecode, 12.5s, +48, -2s', false);
+      } else {
+        this.showHint(`Frame ${this.ui.toDisplayFrame(frame).toLocaleString()} · ${this.ui.formatTimecode(frame)}`, false);
+      }
+    } catch (error) {
+      this.showHint(error.message, true);
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @param {boolean} isError
+   */
+  showHint(text, isError) {
+    const { hint } = this.elements;
+    hint.textContent = text;
+    hint.classList.toggle('error', isError);
+  }
+
+  /**
+   * Work out the frame an entry refers to
+   * Absolute: "120" (counter numbering), "01:00:10:05" (timecode), "12.5s", "1:02.5", "12+08" (feet+frames)
+   * Relative to the current frame: "+48", "-2s", "+00:00:01:00"
+   * @param {string} text
+   * @returns {number|null} Frame number (0-indexed), or null for an empty entry
+   * @throws {Error} If the entry can't be read or is outside the video
+   */
+  resolve(text) {
+    const entry = text.trim().toLowerCase();
+    if (!entry) return null;
+
+    const sign = entry[0] === '+' ? 1 : entry[0] === '-' ? -1 : 0;
+    let frame;
+
+    if (sign !== 0) {
+      const amount = entry.slice(1).trim();
+      const seconds = this.parseSeconds(amount);
+      if (seconds !== null) {
+        frame = this.timeToTarget(this.vc.frameToTime(this.vc.currentFrame) + sign * seconds);
+      } else {
+        frame = this.vc.currentFrame + sign * this.parseFrameCount(amount);
+      }
+    } else {
+      frame = this.parseAbsolute(entry);
+    }
+
+    const total = this.vc.metadata.totalFrames;
+    if (frame < 0 || frame >= total) {
+      throw new Error(`Out of range (frames ${this.ui.toDisplayFrame(0).toLocaleString()}-` +
+        `${this.ui.toDisplayFrame(total - 1).toLocaleString()})`);
+    }
+    return frame;
+  }
+
+  /**
+   * Read an absolute position
+   * @param {string} entry
+   * @returns {number} Frame number (0-indexed)
+   */
+  parseAbsolute(entry) {
+    // Frame number as shown by the counter (0- or 1-based)
+    if (/^\d+f?$/.test(entry)) {
+      return parseInt(entry, 10) - this.ui.toDisplayFrame(0);
+    }
+
+    // Timecode includes the file's start timecode
+    if (GoToField.TIMECODE_PATTERN.test(entry)) {
+      return this.parseTimecode(entry) - this.ui.startTimecodeFrames;
+    }
+
+    const feet = /^(\d+)\+(\d{1,2})$/.exec(entry);
+    if (feet) {
+      const frames = Number(feet[2]);
+      if (frames >= UIOverlay.FRAMES_PER_FOOT) {
+        throw new Error(`Feet+frames has ${UIOverlay.FRAMES_PER_FOOT} frames per foot`);
+      }
+      return Number(feet[1]) * UIOverlay.FRAMES_PER_FOOT + frames;
+    }
+
+    const seconds = this.parseSeconds(entry);
+    if (seconds !== null) {
+      return this.timeToTarget(seconds);
+    }
+
+    throw new Error('Not a frame, timecode or time');
+  }
+
+  /**
+   * Read a frame count for a relative jump: "48", "48f" or a timecode duration
+   * @param {string} amount
+   * @returns {number}
+   */
+  parseFrameCount(amount) {
+    if (/^\d+f?$/.test(amount)) {
+      return parseInt(amount, 10);
+    }
+    if (GoToField.TIMECODE_PATTERN.test(amount)) {
+      return this.parseTimecode(amount);
+    }
+    throw new Error('Offset must be frames (+48), seconds (-2s) or timecode');
+  }
+
+  /**
+   * Convert timecode to a frame count in the open video's timebase
+   * @param {string} entry
+   * @returns {number}
+   */
+  parseTimecode(entry) {
+    const frames = Timecode.toFrames(entry, this.ui.timebase);
+    if (frames === null) {
+      throw new Error(`Invalid timecode at ${this.ui.timebase.fps} fps`);
+    }
+    return frames;
+  }
+
+  /**
+   * Read a time: "12.5s", "1:02.5" or "0:01:02.500"
+   * @param {string} entry
+   * @returns {number|null} Seconds, or null if the entry isn't a time
+   */
+  parseSeconds(entry) {
+    const seconds = /^(\d+(?:\.\d*)?|\.\d+)s$/.exec(entry);
+    if (seconds) {
+      return parseFloat(seconds[1]);
+    }
+
+    const clock = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/.exec(entry);
+    if (clock) {
+      const [hours, minutes, secs] = [Number(clock[1] || 0), Number(clock[2]), Number(clock[3])];
+      return hours * 3600 + minutes * 60 + secs;
+    }
+
+    return null;
+  }
+
+  /**
+   * Map a time to the frame shown at it, rejecting times outside the video
+   * @param {number} seconds
+   * @returns {number} Frame number (0-indexed)
+   */
+  timeToTarget(seconds) {
+    if (seconds < 0 || seconds > this.vc.metadata.duration) {
+      throw new Error(`Out of range (0-${this.vc.metadata.duration.toFixed(3)}s)`);
+    }
+    return this.vc.timeToFrame(seconds);
+  }
+}
+
+// Four fields, ';' before the frames for drop-frame
+GoToField.TIMECODE_PATTERN = /^\d{1,2}:\d{2}:\d{2}[:;]\d{2}$/;
+
+// Export for use in other modules
+window.GoToField = GoToField;
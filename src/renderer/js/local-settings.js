@@ -0,0 +1,38 @@
+/**
+ * Local Settings
+ * One feature's settings, kept in localStorage as a JSON object under its own key.
+ * Stored values are laid over the defaults, so a setting added later gets its default,
+ * and an entry that can't be read gives the defaults. App-wide preferences, which the
+ * main process also needs, are kept by the main process instead (see Preferences).
+ */
+class LocalSettings {
+  /**
+   * @param {string} key - localStorage key, e.g. 'framestep.compare'
+   * @param {Object} defaults - Every setting with its default
+   */
+  constructor(key, defaults) {
+    this.key = key;
+    this.defaults = defaults;
+  }
+
+  /**
+   * @returns {Object} The stored settings, defaults filled in
+   */
+  load() {
+    try {
+      return { ...this.defaults, ...JSON.parse(localStorage.getItem(this.key)) };
+    } catch (error) {
+      return { ...this.defaults };
+    }
+  }
+
+  /**
+   * @param {Object} settings
+   */
+  save(settings) {
+    localStorage.setItem(this.key, JSON.stringify(settings));
+  }
+}
+
+// Export for use in other modules
+window.LocalSettings = LocalSettings;
@@ -0,0 +1,259 @@
+/**
+ * Marker Manager
+ * Named, colored markers on frames: drawn as ticks on the timeline, listed in a side panel
+ * and saved per video by the main process so they come back when the file is reopened
+ */
+class MarkerManager {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.markers = []; // { id, frame, name, color }, sorted by frame
+    this.filePath = null;
+    this.panelVisible = false;
+
+    this.elements = {
+      timelineMarkers: document.getElementById('timelineMarkers'),
+      panel: document.getElementById('markerPanel'),
+      list: document.getElementById('markerList'),
+      empty: document.getElementById('markerEmpty'),
+      addBtn: document.getElementById('markerAddBtn'),
+      closeBtn: document.getElementById('markerPanelClose')
+    };
+
+    this.elements.addBtn.addEventListener('click', () => this.addMarker());
+    this.elements.closeBtn.addEventListener('click', () => this.setPanelVisible(false));
+
+    this.vc.on('loaded', (filePath) => this.load(filePath));
+    this.vc.on('indexed', () => this.render());
+    this.vc.on('reset', () => {
+      this.filePath = null;
+      this.markers = [];
+      this.render();
+    });
+  }
+
+  /**
+   * Load the saved markers for a video
+   * @param {string} filePath - Video the markers belong to
+   */
+  async load(filePath) {
+    this.filePath = filePath;
+    this.markers = [];
+    this.render();
+
+    try {
+      const markers = await window.electronAPI.loadMarkers(filePath);
+
+      // Ignore results for a file that is no longer open
+      if (this.filePath !== filePath) return;
+
+      this.markers = markers.sort((a, b) => a.frame - b.frame);
+      this.render();
+    } catch (error) {
+      console.warn('Failed to load markers:', error);
+    }
+  }
+
+  /**
+   * Persist the current markers for the open video
+   */
+  async save() {
+    if (!this.filePath) return;
+
+    try {
+      await window.electronAPI.saveMarkers(this.filePath, this.markers);
+    } catch (error) {
+      console.error('Failed to save markers:', error);
+      this.ui.showToast('Failed to save markers');
+    }
+  }
+
+  /**
+   * Drop a marker on a frame
+   * @param {number} [frame] - Defaults to the current frame
+   */
+  addMarker(frame = this.vc.currentFrame) {
+    if (!this.vc.metadata) return;
+
+    const existing = this.markers.find(marker => marker.frame === frame);
+    if (existing) {
+      this.ui.showToast(`Frame ${this.ui.toDisplayFrame(frame).toLocaleString()} already has a marker`);
+      this.focusMarker(existing.id);
+      return;
+    }
+
+    const marker = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      frame,
+      name: `Marker ${this.markers.length + 1}`,
+      color: MarkerManager.COLORS[this.markers.length % MarkerManager.COLORS.length]
+    };
+
+    this.markers.push(marker);
+    this.markers.sort((a, b) => a.frame - b.frame);
+    this.save();
+    this.render();
+    this.focusMarker(marker.id);
+    this.ui.showToast(`Marker added at frame ${this.ui.toDisplayFrame(frame).toLocaleString()}`);
+  }
+
+  /**
+   * Delete a marker
+   * @param {string} id
+   */
+  removeMarker(id) {
+    this.markers = this.markers.filter(marker => marker.id !== id);
+    this.save();
+    this.render();
+  }
+
+  /**
+   * Jump to the first marker after the current frame
+   */
+  async goToNextMarker() {
+    if (!this.vc.metadata) return;
+    const marker = this.markers.find(m => m.frame > this.vc.currentFrame);
+    if (marker) {
+      await this.vc.goToFrame(marker.frame);
+    } else {
+      this.ui.showToast('No next marker');
+    }
+  }
+
+  /**
+   * Jump to the last marker before the current frame
+   */
+  async goToPreviousMarker() {
+    if (!this.vc.metadata) return;
+    const marker = [...this.markers].reverse().find(m => m.frame < this.vc.currentFrame);
+    if (marker) {
+      await this.vc.goToFrame(marker.frame);
+    } else {
+      this.ui.showToast('No previous marker');
+    }
+  }
+
+  /**
+   * Toggle the marker list panel
+   */
+  togglePanel() {
+    this.setPanelVisible(!this.panelVisible);
+  }
+
+  /**
+   * Show or hide the marker list panel
+   * @param {boolean} visible
+   */
+  setPanelVisible(visible) {
+    this.panelVisible = visible;
+    this.elements.panel.classList.toggle('visible', visible);
+    if (!visible && this.elements.panel.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+  }
+
+  /**
+   * Select a marker's name for editing if the panel is open
+   * @param {string} id
+   */
+  focusMarker(id) {
+    if (!this.panelVisible) return;
+    const input = this.elements.list.querySelector(`[data-id="${id}"] .marker-name`);
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  /**
+   * Redraw timeline ticks and the marker list
+   */
+  render() {
+    this.renderTimeline();
+    this.renderList();
+  }
+
+  /**
+   * Draw a tick on the timeline for each marker
+   */
+  renderTimeline() {
+    const container = this.elements.timelineMarkers;
+    container.replaceChildren();
+    if (!this.vc.metadata) return;
+
+    const duration = this.vc.metadata.duration || 1;
+    this.markers.forEach(marker => {
+      const tick = document.createElement('div');
+      tick.className = 'timeline-marker';
+      tick.style.left = `${Math.min(1, this.vc.frameToTime(marker.frame) / duration) * 100}%`;
+      tick.style.background = marker.color;
+      container.appendChild(tick);
+    });
+  }
+
+  /**
+   * Rebuild the marker list panel
+   */
+  renderList() {
+    const { list, empty } = this.elements;
+    list.replaceChildren();
+    empty.style.display = this.markers.length === 0 ? '' : 'none';
+
+    this.markers.forEach(marker => {
+      const item = document.createElement('div');
+      item.className = 'marker-item';
+      item.dataset.id = marker.id;
+
+      // Click the swatch to cycle through the palette
+      const swatch = document.createElement('button');
+      swatch.className = 'marker-color';
+      swatch.style.background = marker.color;
+      swatch.title = 'Change color';
+      swatch.addEventListener('click', () => {
+        const colors = MarkerManager.COLORS;
+        marker.color = colors[(colors.indexOf(marker.color) + 1) % colors.length];
+        this.save();
+        this.render();
+      });
+
+      const name = document.createElement('input');
+      name.className = 'marker-name';
+      name.type = 'text';
+      name.spellcheck = false;
+      name.value = marker.name;
+      // Renaming doesn't rebuild the list, so focus can move straight to another row
+      name.addEventListener('change', () => {
+        marker.name = name.value.trim() || marker.name;
+        name.value = marker.name;
+        this.save();
+      });
+      name.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === 'Escape') {
+          name.blur();
+        }
+      });
+
+      const time = this.vc.metadata ? this.vc.frameToTime(marker.frame) : 0;
+      const position = document.createElement('button');
+      position.className = 'marker-position';
+      position.textContent = this.ui.toDisplayFrame(marker.frame).toLocaleString();
+      position.title = `Go to marker (${this.ui.formatTimestamp(time)})`;
+      position.addEventListener('click', () => this.vc.goToFrame(marker.frame));
+
+      const remove = document.createElement('button');
+      remove.className = 'titlebar-btn marker-delete';
+      remove.title = 'Delete marker';
+      remove.innerHTML = '<svg width="10" height="10" viewBox="0 0 10 10"><path fill="currentColor" ' +
+        'd="M1.41 0L5 3.59 8.59 0 10 1.41 6.41 5 10 8.59 8.59 10 5 6.41 1.41 10 0 8.59 3.59 5 0 1.41z" /></svg>';
+      remove.addEventListener('click', () => this.removeMarker(marker.id));
+
+      item.append(swatch, name, position, remove);
+      list.appendChild(item);
+    });
+  }
+}
+
+MarkerManager.COLORS = ['#f14c4c', '#cca700', '#89d185', '#0078d4', '#b180d7', '#ffffff'];
+
+// Export for use in other modules
+window.MarkerManager = MarkerManager;
@@ -0,0 +1,280 @@
+/**
+ * Media Info
+ * Shows everything ffprobe reports about the open file (container format, every video,
+ * audio, subtitle and data stream, side data and chapters) as a collapsible tree, with
+ * copy as text and export as JSON.
+ */
+class MediaInfo {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.info = null;      // ffprobe report for infoPath
+    this.infoPath = null;
+
+    this.dialog = new Modal('mediaInfoDialog');
+    this.elements = {
+      fileName: document.getElementById('mediaInfoFile'),
+      tree: document.getElementById('mediaInfoTree'),
+      copyBtn: document.getElementById('mediaInfoCopy'),
+      exportBtn: document.getElementById('mediaInfoExport')
+    };
+
+    this.elements.copyBtn.addEventListener('click', () => this.copyAsText());
+    this.elements.exportBtn.addEventListener('click', () => this.exportJson());
+
+    this.vc.on('reset', () => {
+      this.info = null;
+      this.infoPath = null;
+      this.dialog.close();
+    });
+  }
+
+  /**
+   * Probe the open file (once per file) and show the dialog
+   */
+  async open() {
+    const { filePath } = this.vc;
+    if (!filePath) {
+      this.ui.showToast('Open a video first');
+      return;
+    }
+
+    const { fileName, tree, copyBtn, exportBtn } = this.elements;
+    fileName.textContent = filePath.split('/').pop().split('\\').pop();
+    fileName.title = filePath;
+    this.dialog.open();
+
+    if (this.infoPath === filePath) return;
+
+    this.info = null;
+    copyBtn.disabled = true;
+    exportBtn.disabled = true;
+    tree.textContent = 'Reading media information...';
+
+    try {
+      const info = await window.electronAPI.getMediaInfo(filePath);
+      if (this.vc.filePath !== filePath) return;
+      this.info = info;
+      this.infoPath = filePath;
+      this.render();
+      copyBtn.disabled = false;
+      exportBtn.disabled = false;
+    } catch (error) {
+      console.error('Failed to read media info:', error);
+      tree.textContent = 'Could not read media information';
+    }
+  }
+
+  /**
+   * Build the readable tree: one group for the container, one per stream and chapter
+   * @returns {Object[]} Nodes: { label, value } or { label, children }
+   */
+  buildTree() {
+    const { format, streams, chapters } = this.info;
+    const nodes = [{
+      label: `Format: ${format.format_long_name || format.format_name}`,
+      children: this.toNodes(format, ['filename', 'format_long_name'])
+    }];
+
+    streams.forEach(stream => {
+      const type = stream.codec_type || 'unknown';
+      const codec = [stream.codec_name, stream.profile].filter(value => value && value !== 'unknown').join(', ');
+      const language = stream.tags && stream.tags.language;
+      nodes.push({
+        label: `Stream #${stream.index}: ${type.charAt(0).toUpperCase()}${type.slice(1)}` +
+          `${codec ? ` (${codec})` : ''}${language && language !== 'und' ? ` [${language}]` : ''}`,
+        children: this.toNodes(stream, ['index', 'codec_type'])
+      });
+    });
+
+    if (chapters.length > 0) {
+      nodes.push({
+        label: `Chapters (${chapters.length})`,
+        children: chapters.map((chapter, i) => ({
+          label: `${i + 1}. ${(chapter.tags && chapter.tags.title) || 'Chapter'}`,
+          value: `${this.formatDuration(chapter.start_time)} - ${this.formatDuration(chapter.end_time)}`
+        }))
+      });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Turn one ffprobe object into nodes, leaving out empty and unknown values
+   * @param {Object} object
+   * @param {string[]} [skip] - Keys already shown in the group label
+   * @returns {Object[]}
+   */
+  toNodes(object, skip = []) {
+    const nodes = [];
+
+    Object.entries(object).forEach(([key, value]) => {
+      if (skip.includes(key) || MediaInfo.isEmpty(value)) return;
+      const label = key.replace(/_/g, ' ');
+
+      if (key === 'disposition') {
+        // Only the flags that are set
+        const flags = Object.keys(value).filter(flag => value[flag] === 1 || value[flag] === true);
+        if (flags.length > 0) {
+          nodes.push({ label, value: flags.join(', ') });
+        }
+      } else if (Array.isArray(value)) {
+        const children = value.map((item, i) => (item && typeof item === 'object'
+          ? { label: item.side_data_type || `${i + 1}`, children: this.toNodes(item, ['side_data_type']) }
+          : { label: `${i + 1}`, value: String(item) }));
+        nodes.push({ label, children });
+      } else if (typeof value === 'object') {
+        const children = this.toNodes(value);
+        if (children.length > 0) {
+          nodes.push({ label, children });
+        }
+      } else {
+        nodes.push({ label, value: this.formatValue(key, value) });
+      }
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Add units to the values ffprobe gives as bare numbers
+   * @param {string} key - ffprobe field name
+   * @param {*} value
+   * @returns {string}
+   */
+  formatValue(key, value) {
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+      if (key === 'bit_rate' || key === 'max_bit_rate') {
+        return number >= 1e6 ? `${(number / 1e6).toFixed(2)} Mb/s` : `${Math.round(number / 1e3)} kb/s`;
+      }
+      if (key === 'size') {
+        return `${(number / (1024 * 1024)).toFixed(1)} MB (${number.toLocaleString()} bytes)`;
+      }
+      if (key === 'duration' || key === 'start_time') {
+        return `${number.toFixed(3)} s (${this.formatDuration(number)})`;
+      }
+      if (key === 'sample_rate') {
+        return `${number.toLocaleString()} Hz`;
+      }
+    }
+    return String(value);
+  }
+
+  /**
+   * @param {number|string} seconds
+   * @returns {string} h:mm:ss.mmm
+   */
+  formatDuration(seconds) {
+    const total = Math.max(0, Number(seconds) || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = (total % 60).toFixed(3).padStart(6, '0');
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  }
+
+  /**
+   * Render the tree into the dialog (groups are collapsible, streams start expanded)
+   */
+  render() {
+    const { tree } = this.elements;
+    tree.innerHTML = '';
+
+    const renderNodes = (nodes, parent) => {
+      nodes.forEach(node => {
+        if (node.children) {
+          const group = document.createElement('details');
+          group.className = 'media-info-group';
+          group.open = parent === tree;
+          const summary = document.createElement('summary');
+          summary.textContent = node.label;
+          group.appendChild(summary);
+          renderNodes(node.children, group);
+          parent.appendChild(group);
+        } else {
+          const row = document.createElement('div');
+          row.className = 'media-info-row';
+          const label = document.createElement('span');
+          label.className = 'media-info-label';
+          label.textContent = node.label;
+          const value = document.createElement('span');
+          value.className = 'media-info-value';
+          value.textContent = node.value;
+          row.append(label, value);
+          parent.appendChild(row);
+        }
+      });
+    };
+
+    renderNodes(this.buildTree(), tree);
+  }
+
+  /**
+   * The tree as indented plain text
+   * @returns {string}
+   */
+  toText() {
+    const lines = [this.infoPath, ''];
+    const addNodes = (nodes, depth) => {
+      nodes.forEach(node => {
+        const indent = '  '.repeat(depth);
+        if (node.children) {
+          lines.push(`${indent}${node.label}`);
+          addNodes(node.children, depth + 1);
+          if (depth === 0) lines.push('');
+        } else {
+          lines.push(`${indent}${node.label}: ${node.value}`);
+        }
+      });
+    };
+    addNodes(this.buildTree(), 0);
+    return lines.join('\n').trimEnd() + '\n';
+  }
+
+  /**
+   * Copy the tree as text
+   */
+  async copyAsText() {
+    if (!this.info) return;
+    try {
+      await window.electronAPI.copyTextToClipboard(this.toText());
+      this.ui.showToast('Copied media info');
+    } catch (error) {
+      console.error('Failed to copy media info:', error);
+      this.ui.showToast('Failed to copy media info');
+    }
+  }
+
+  /**
+   * Save the full ffprobe report as JSON, next to the video by default
+   */
+  async exportJson() {
+    if (!this.info) return;
+
+    const defaultPath = `${this.infoPath.replace(/\.[^./\\]+$/, '')}.mediainfo.json`;
+    const outputPath = await window.electronAPI.showSaveJsonDialog(defaultPath, 'Export Media Info');
+    if (!outputPath) return;
+
+    try {
+      const json = JSON.stringify({ filePath: this.infoPath, ...this.info }, null, 2);
+      await window.electronAPI.saveTextFile(outputPath, `${json}\n`);
+      this.ui.showToast(`Saved ${outputPath.split('/').pop().split('\\').pop()}`);
+    } catch (error) {
+      console.error('Failed to export media info:', error);
+      this.ui.showToast('Failed to export media info');
+    }
+  }
+
+  /**
+   * @param {*} value - An ffprobe field
+   * @returns {boolean} True for values ffprobe uses to mean "not set"
+   */
+  static isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+      value === 'N/A' || value === 'unknown' || value === '0/0';
+  }
+}
+
+// Export for use in other modules
+window.MediaInfo = MediaInfo;
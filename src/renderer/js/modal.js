@@ -0,0 +1,83 @@
+/**
+ * Modal Dialog
+ * Shows and hides a .modal element; closes on backdrop click or [data-modal-close] buttons
+ */
+class Modal {
+  constructor(elementId) {
+    this.element = document.getElementById(elementId);
+    this.onClose = null;
+    Modal.instances.set(this.element, this);
+
+    this.element.querySelectorAll('[data-modal-close]').forEach(button => {
+      button.addEventListener('click', () => this.close());
+    });
+
+    // Click on the backdrop (outside the dialog) closes it
+    this.element.addEventListener('mousedown', (e) => {
+      if (e.target === this.element) {
+        this.close();
+      }
+    });
+  }
+
+  /**
+   * @returns {boolean} True if the dialog is showing
+   */
+  get isOpen() {
+    return this.element.classList.contains('visible');
+  }
+
+  /**
+   * Show the dialog and focus its first field
+   */
+  open() {
+    this.element.classList.add('visible');
+    const firstField = this.element.querySelector('input, select, textarea');
+    if (firstField) {
+      firstField.focus();
+    }
+  }
+
+  /**
+   * Hide the dialog
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.element.classList.remove('visible');
+    if (document.activeElement && this.element.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+    if (this.onClose) {
+      this.onClose();
+    }
+  }
+
+  /**
+   * Check whether any modal dialog is showing
+   * @returns {boolean}
+   */
+  static isAnyOpen() {
+    return document.querySelector('.modal.visible') !== null;
+  }
+
+  /**
+   * Close the most recently opened (last in DOM order) visible dialog
+   */
+  static closeTopmost() {
+    const open = document.querySelectorAll('.modal.visible');
+    if (open.length > 0) {
+      const element = open[open.length - 1];
+      const modal = Modal.instances.get(element);
+      if (modal) {
+        modal.close();
+      } else {
+        element.classList.remove('visible');
+      }
+    }
+  }
+}
+
+Modal.instances = new WeakMap();
+
+// Export for use in other modules
+window.Modal = Modal;
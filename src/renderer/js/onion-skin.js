@@ -0,0 +1,373 @@
+/**
+ * Onion Skin
+ * Ghosts the previous/next frames over the paused frame with adjustable opacity and tint,
+ * or shows the absolute pixel difference against the previous frame. Neighbouring frames
+ * come from the controller's FrameCache prefetch rather than seeking the video element.
+ */
+class OnionSkin {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.storage = new LocalSettings(OnionSkin.STORAGE_KEY, OnionSkin.DEFAULTS);
+    this.settings = this.storage.load();
+    this.images = new Map();   // frameNumber -> decoded HTMLImageElement, frames around the current one
+    this.loading = new Set();  // Frames being fetched or decoded
+    this.scratch = document.createElement('canvas'); // Tinting buffer
+
+    this.dialog = new Modal('onionSkinDialog');
+    this.elements = {
+      before: document.getElementById('onionSkinBefore'),
+      after: document.getElementById('onionSkinAfter'),
+      opacity: document.getElementById('onionSkinOpacity'),
+      opacityValue: document.getElementById('onionSkinOpacityValue'),
+      tint: document.getElementById('onionSkinTint'),
+      tintBefore: document.getElementById('onionSkinTintBefore'),
+      tintAfter: document.getElementById('onionSkinTintAfter')
+    };
+
+    this.setupDialog();
+
+    // The overlay is drawn over exact frames only; playback shows the plain video
+    this.vc.on('frame', () => {
+      if (this.vc.isFrameMode) {
+        this.render();
+      }
+    });
+    this.vc.on('reset', () => this.clearImages());
+
+    this.updateIndicator();
+    this.updateMenu();
+  }
+
+  /**
+   * Setup settings dialog fields (changes apply to the frame on screen straight away)
+   */
+  setupDialog() {
+    const { before, after, opacity, opacityValue, tint, tintBefore, tintAfter } = this.elements;
+    const clampCount = (value) => Math.max(0, Math.min(OnionSkin.MAX_FRAMES, parseInt(value, 10) || 0));
+
+    const apply = () => {
+      this.storage.save(this.settings);
+      this.updateIndicator();
+      this.render();
+    };
+
+    before.addEventListener('change', () => {
+      this.settings.before = clampCount(before.value);
+      before.value = this.settings.before;
+      apply();
+    });
+
+    after.addEventListener('change', () => {
+      this.settings.after = clampCount(after.value);
+      after.value = this.settings.after;
+      apply();
+    });
+
+    opacity.addEventListener('input', () => {
+      this.settings.opacity = Number(opacity.value) / 100;
+      opacityValue.textContent = `${opacity.value}%`;
+      apply();
+    });
+
+    tint.addEventListener('change', () => {
+      this.settings.tint = tint.checked;
+      apply();
+    });
+
+    tintBefore.addEventListener('input', () => {
+      this.settings.tintBefore = tintBefore.value;
+      apply();
+    });
+
+    tintAfter.addEventListener('input', () => {
+      this.settings.tintAfter = tintAfter.value;
+      apply();
+    });
+  }
+
+  /**
+   * Show the settings dialog
+   */
+  openSettings() {
+    const { before, after, opacity, opacityValue, tint, tintBefore, tintAfter } = this.elements;
+    before.value = this.settings.before;
+    after.value = this.settings.after;
+    opacity.value = Math.round(this.settings.opacity * 100);
+    opacityValue.textContent = `${opacity.value}%`;
+    tint.checked = this.settings.tint;
+    tintBefore.value = this.settings.tintBefore;
+    tintAfter.value = this.settings.tintAfter;
+    this.dialog.open();
+  }
+
+  /**
+   * Switch overlay mode
+   * @param {string} mode - 'off', 'onion' or 'difference'
+   */
+  setMode(mode) {
+    this.settings.mode = mode;
+    this.storage.save(this.settings);
+    this.updateIndicator();
+    this.updateMenu();
+
+    const labels = { off: 'Overlay off', onion: 'Onion skin on', difference: 'Frame difference on' };
+    this.ui.showToast(labels[mode]);
+
+    if (this.vc.isFrameMode) {
+      this.render();
+    } else if (mode !== 'off' && this.vc.isPlaying) {
+      this.ui.showToast(`${labels[mode]} (shown when paused)`);
+    }
+  }
+
+  /**
+   * Toggle the onion skin
+   */
+  toggleOnion() {
+    this.setMode(this.settings.mode === 'onion' ? 'off' : 'onion');
+  }
+
+  /**
+   * Toggle the difference view
+   */
+  toggleDifference() {
+    this.setMode(this.settings.mode === 'difference' ? 'off' : 'difference');
+  }
+
+  /**
+   * Show the active mode in the frame overlay
+   */
+  updateIndicator() {
+    const { mode, before, after } = this.settings;
+    if (mode === 'onion') {
+      this.ui.setOnionIndicator(`ONION -${before}/+${after}`);
+    } else if (mode === 'difference') {
+      this.ui.setOnionIndicator('DIFF');
+    } else {
+      this.ui.setOnionIndicator(null);
+    }
+  }
+
+  /**
+   * Tick the active mode in the View menu
+   */
+  updateMenu() {
+    document.querySelectorAll('[data-onion-mode]').forEach(option => {
+      option.classList.toggle('checked', option.dataset.onionMode === this.settings.mode);
+    });
+  }
+
+  /**
+   * Frames the current mode needs on screen
+   * @param {number} frame - Current frame
+   * @returns {number[]}
+   */
+  getNeededFrames(frame) {
+    const total = this.vc.metadata.totalFrames;
+    const frames = [];
+
+    if (this.settings.mode === 'difference') {
+      // Both sides come from the decoder so the difference isn't just decoder noise
+      frames.push(frame - 1, frame);
+    } else if (this.settings.mode === 'onion') {
+      for (let k = 1; k <= this.settings.before; k++) frames.push(frame - k);
+      for (let k = 1; k <= this.settings.after; k++) frames.push(frame + k);
+    }
+
+    return frames.filter(n => n >= 0 && n < total);
+  }
+
+  /**
+   * Redraw the paused frame with the overlay for the current mode
+   */
+  render() {
+    if (!this.vc.metadata || !this.vc.isFrameMode) return;
+
+    const frame = this.vc.currentFrame;
+    const needed = this.getNeededFrames(frame);
+    this.pruneImages(needed);
+
+    this.vc.drawVideoToCanvas();
+    if (this.settings.mode === 'off') return;
+
+    const missing = needed.filter(n => !this.images.has(n) && !this.loading.has(n));
+    if (missing.length > 0) {
+      this.load(missing);
+    }
+
+    if (this.settings.mode === 'onion') {
+      this.drawOnion(frame);
+    } else {
+      this.drawDifference(frame);
+    }
+  }
+
+  /**
+   * Draw neighbouring frames over the current one, farthest (faintest) first
+   * @param {number} frame - Current frame
+   */
+  drawOnion(frame) {
+    const { ctx, canvas } = this.vc;
+    const { before, after, opacity, tint, tintBefore, tintAfter } = this.settings;
+
+    for (let k = Math.max(before, after); k >= 1; k--) {
+      const layers = [];
+      if (k <= before) layers.push({ frame: frame - k, count: before, color: tintBefore });
+      if (k <= after) layers.push({ frame: frame + k, count: after, color: tintAfter });
+
+      layers.forEach(layer => {
+        const image = this.images.get(layer.frame);
+        if (!image) return;
+
+        ctx.save();
+        ctx.globalAlpha = opacity * (layer.count - k + 1) / layer.count;
+        ctx.drawImage(tint ? this.tintImage(image, layer.color) : image, 0, 0, canvas.width, canvas.height);
+        ctx.restore();
+      });
+    }
+  }
+
+  /**
+   * Replace the frame with |current - previous| per channel (black where nothing changed)
+   * @param {number} frame - Current frame
+   */
+  drawDifference(frame) {
+    const { ctx, canvas } = this.vc;
+
+    if (frame === 0) {
+      ctx.fillStyle = '#000000';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      return;
+    }
+
+    const current = this.images.get(frame);
+    const previous = this.images.get(frame - 1);
+    if (!current || !previous) return;
+
+    ctx.save();
+    ctx.drawImage(current, 0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'difference';
+    ctx.drawImage(previous, 0, 0, canvas.width, canvas.height);
+    ctx.restore();
+  }
+
+  /**
+   * Multiply a frame by a tint color
+   * @param {HTMLImageElement} image
+   * @param {string} color - CSS color
+   * @returns {HTMLCanvasElement} The tinted frame (valid until the next call)
+   */
+  tintImage(image, color) {
+    const { canvas } = this.vc;
+    const scratch = this.scratch;
+    if (scratch.width !== canvas.width || scratch.height !== canvas.height) {
+      scratch.width = canvas.width;
+      scratch.height = canvas.height;
+    }
+
+    const ctx = scratch.getContext('2d');
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.drawImage(image, 0, 0, scratch.width, scratch.height);
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, scratch.width, scratch.height);
+    ctx.globalCompositeOperation = 'source-over';
+    return scratch;
+  }
+
+  /**
+   * Fetch frames (through the FrameCache prefetch where possible) and redraw once they arrive
+   * @param {number[]} frames
+   */
+  async load(frames) {
+    const { filePath, metadata, frameCache } = this.vc;
+    const extractFrame = (n) => window.electronAPI.extractFrame(filePath, n, metadata.frameRate);
+
+    // Warm the cache around the current frame: the frames drawn now, plus the preferred
+    // prefetch beyond them for the next steps (the current frame itself isn't prefetched)
+    const needed = this.settings.mode === 'difference' ? 1 : Math.max(this.settings.before, this.settings.after);
+    const radius = needed + frameCache.prefetchRadius;
+    frameCache.prefetch(this.vc.currentFrame, metadata.totalFrames, extractFrame, radius);
+
+    let added = 0;
+    await Promise.all(frames.map(async (n) => {
+      this.loading.add(n);
+      try {
+        let data = frameCache.get(n);
+        if (!data) {
+          await frameCache.getPendingRequest(n);
+          data = frameCache.get(n);
+        }
+        if (!data) {
+          data = await extractFrame(n);
+          frameCache.set(n, data);
+        }
+
+        const image = await this.decode(data);
+        if (this.vc.filePath !== filePath) return;
+        this.images.set(n, image);
+        added++;
+      } catch (error) {
+        console.warn(`Failed to load frame ${n} for overlay:`, error);
+      } finally {
+        this.loading.delete(n);
+      }
+    }));
+
+    // Only redraw when something new arrived, so failures can't loop
+    if (added > 0 && this.vc.filePath === filePath) {
+      this.render();
+    }
+  }
+
+  /**
+   * Decode cached frame data into an image
+   * @param {Object} frameData - { data (base64), format }
+   * @returns {Promise<HTMLImageElement>}
+   */
+  async decode(frameData) {
+    const image = new Image();
+    image.src = `data:image/${frameData.format === 'jpeg' ? 'jpeg' : 'png'};base64,${frameData.data}`;
+    await image.decode();
+    return image;
+  }
+
+  /**
+   * Drop decoded frames that are no longer needed
+   * @param {number[]} keep
+   */
+  pruneImages(keep) {
+    const wanted = new Set(keep);
+    for (const frame of this.images.keys()) {
+      if (!wanted.has(frame)) {
+        this.images.delete(frame);
+      }
+    }
+  }
+
+  /**
+   * Forget all decoded frames (the video was closed)
+   */
+  clearImages() {
+    this.images.clear();
+    this.loading.clear();
+  }
+}
+
+OnionSkin.STORAGE_KEY = 'framestep.onionSkin';
+
+OnionSkin.MAX_FRAMES = 5;
+
+OnionSkin.DEFAULTS = {
+  mode: 'off',
+  before: 2,
+  after: 2,
+  opacity: 0.35,
+  tint: true,
+  tintBefore: '#ff5050',
+  tintAfter: '#50ff78'
+};
+
+// Export for use in other modules
+window.OnionSkin = OnionSkin;
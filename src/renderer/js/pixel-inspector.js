@@ -0,0 +1,428 @@
+/**
+ * Pixel Inspector
+ * While paused, hovering the frame shows the pixel under the cursor in source resolution
+ * with its RGB, hex and YUV values, read from a full-resolution decode of the frame
+ * (not the display-scaled canvas). Clicking pins a sample point; pinned points are
+ * re-read whenever the frame changes, e.g. when stepping.
+ */
+class PixelInspector {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.isActive = false;
+    this.pins = [];            // { id, x, y, sample } in source pixels
+    this.hoverPoint = null;    // Source pixel under the cursor
+    this.hoverSample = null;
+    this.isSampling = false;   // A hover request is in flight
+    this.hoverPending = false; // The cursor moved while it was
+    this.isRefreshing = false; // A pinned point refresh is in flight
+    this.refreshPending = false;
+    this.nextPinId = 1;
+
+    this.elements = {
+      container: document.getElementById('videoContainer'),
+      readout: document.getElementById('inspectorReadout'),
+      markers: document.getElementById('inspectorMarkers'),
+      panel: document.getElementById('inspectorPanel'),
+      list: document.getElementById('inspectorList'),
+      empty: document.getElementById('inspectorEmpty'),
+      clearBtn: document.getElementById('inspectorClear'),
+      closeBtn: document.getElementById('inspectorClose')
+    };
+
+    this.setupMouse();
+    this.elements.clearBtn.addEventListener('click', () => this.clearPins());
+    this.elements.closeBtn.addEventListener('click', () => this.setActive(false));
+
+    this.vc.on('frame', () => {
+      if (!this.isActive) return;
+      if (this.vc.isFrameMode) {
+        this.refreshPins();
+        this.requestHoverSample();
+      }
+    });
+    this.vc.on('loaded', () => this.clearPins());
+    this.vc.on('reset', () => this.setActive(false));
+    this.vc.videoElement.addEventListener('play', () => this.setActive(false));
+    this.vc.on('reverse', (isReversing) => {
+      if (isReversing) this.setActive(false);
+    });
+    window.addEventListener('resize', () => this.renderMarkers());
+  }
+
+  /**
+   * Follow the cursor over the frame and pin on click
+   */
+  setupMouse() {
+    const { container } = this.elements;
+
+    container.addEventListener('mousemove', (e) => {
+      if (!this.isActive) return;
+
+      const point = this.toSourcePoint(e);
+      if (!point) {
+        this.hideReadout();
+        return;
+      }
+
+      this.positionReadout(e);
+      if (!this.hoverPoint || point[0] !== this.hoverPoint[0] || point[1] !== this.hoverPoint[1]) {
+        this.hoverPoint = point;
+        this.requestHoverSample();
+      }
+    });
+
+    container.addEventListener('mouseleave', () => this.hideReadout());
+
+    container.addEventListener('click', (e) => {
+      if (!this.isActive || !this.isOverFrame(e)) return;
+      const point = this.toSourcePoint(e);
+      if (point) {
+        this.addPin(point);
+      }
+    });
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @returns {boolean} True if the event targets the frame itself (not a bar or panel on top of it)
+   */
+  isOverFrame(e) {
+    return e.target === this.vc.canvas || e.target.classList.contains('annotation-canvas');
+  }
+
+  /**
+   * Turn the inspector on or off
+   * Values come from the exact frame, so playback is stopped on the current one
+   * @param {boolean} active
+   */
+  async setActive(active) {
+    if (active && !this.vc.metadata) {
+      this.ui.showToast('Open a video first');
+      return;
+    }
+
+    this.isActive = active;
+    this.elements.container.classList.toggle('inspecting', active);
+    this.elements.panel.classList.toggle('visible', active);
+    if (!active) {
+      this.hideReadout();
+    }
+    this.renderMarkers();
+
+    if (active) {
+      if (!this.vc.isFrameMode) {
+        await this.vc.goToFrame(this.vc.currentFrame);
+      } else {
+        this.refreshPins();
+      }
+    }
+  }
+
+  /**
+   * Toggle the inspector
+   */
+  toggle() {
+    this.setActive(!this.isActive);
+  }
+
+  /**
+   * Size of the decoded frame, turned like the picture on screen
+   * @returns {{width: number, height: number}}
+   */
+  getSourceSize() {
+    const { width, height, rotation } = this.vc.metadata;
+    return rotation === 90 || rotation === 270 ? { width: height, height: width } : { width, height };
+  }
+
+  /**
+   * Screen rectangle the frame is drawn in (the canvas is letterboxed with object-fit: contain)
+   * @returns {{left: number, top: number, width: number, height: number}}
+   */
+  getFrameRect() {
+    const { canvas } = this.vc;
+    const rect = canvas.getBoundingClientRect();
+    const scale = Math.min(rect.width / canvas.width, rect.height / canvas.height);
+    const width = canvas.width * scale;
+    const height = canvas.height * scale;
+    return {
+      left: rect.left + (rect.width - width) / 2,
+      top: rect.top + (rect.height - height) / 2,
+      width,
+      height
+    };
+  }
+
+  /**
+   * Map a mouse position to a source pixel
+   * @param {MouseEvent} e
+   * @returns {number[]|null} [x, y], or null outside the frame
+   */
+  toSourcePoint(e) {
+    if (!this.vc.metadata || !this.vc.isFrameMode) return null;
+
+    const frame = this.getFrameRect();
+    const u = (e.clientX - frame.left) / frame.width;
+    const v = (e.clientY - frame.top) / frame.height;
+    if (u < 0 || u >= 1 || v < 0 || v >= 1) return null;
+
+    const { width, height } = this.getSourceSize();
+    return [Math.floor(u * width), Math.floor(v * height)];
+  }
+
+  /**
+   * Read pixel values of the current frame
+   * @param {number[][]} points - Source pixel positions
+   * @returns {Promise<Object>} { bitDepth, samples }
+   */
+  sample(points) {
+    return window.electronAPI.samplePixels(
+      this.vc.filePath,
+      this.vc.currentFrame,
+      this.vc.metadata.frameRate,
+      points
+    );
+  }
+
+  /**
+   * Sample the pixel under the cursor; moves during a request are coalesced into one follow-up
+   */
+  async requestHoverSample() {
+    if (!this.hoverPoint) return;
+    if (this.isSampling) {
+      this.hoverPending = true;
+      return;
+    }
+
+    this.isSampling = true;
+    try {
+      do {
+        this.hoverPending = false;
+        const point = this.hoverPoint;
+        const result = await this.sample([point]);
+        if (this.hoverPoint === point) {
+          this.hoverSample = { ...result.samples[0], bitDepth: result.bitDepth };
+          this.renderReadout();
+        }
+      } while (this.hoverPending && this.isActive && this.hoverPoint);
+    } catch (error) {
+      console.warn('Failed to sample pixel:', error);
+    } finally {
+      this.isSampling = false;
+    }
+  }
+
+  /**
+   * Re-read all pinned points for the frame on screen
+   * Steps made during a refresh are coalesced into one follow-up, so fast stepping
+   * doesn't queue a decode per frame
+   */
+  async refreshPins() {
+    if (this.isRefreshing) {
+      this.refreshPending = true;
+      return;
+    }
+
+    this.isRefreshing = true;
+    try {
+      do {
+        this.refreshPending = false;
+        if (this.pins.length === 0 || !this.vc.metadata) break;
+
+        const pins = this.pins;
+        const result = await this.sample(pins.map(pin => [pin.x, pin.y]));
+        pins.forEach((pin, i) => {
+          pin.sample = { ...result.samples[i], bitDepth: result.bitDepth };
+        });
+      } while (this.refreshPending);
+    } catch (error) {
+      console.warn('Failed to sample pinned points:', error);
+    } finally {
+      this.isRefreshing = false;
+    }
+    this.renderPins();
+  }
+
+  /**
+   * Pin a sample point
+   * @param {number[]} point - [x, y] source pixel
+   */
+  addPin([x, y]) {
+    if (this.pins.length >= PixelInspector.MAX_PINS) {
+      this.ui.showToast(`Up to ${PixelInspector.MAX_PINS} points can be pinned`);
+      return;
+    }
+    this.pins.push({ id: this.nextPinId++, x, y, sample: null });
+    this.renderMarkers();
+    this.refreshPins();
+  }
+
+  /**
+   * Remove a pinned point
+   * @param {number} id
+   */
+  removePin(id) {
+    this.pins = this.pins.filter(pin => pin.id !== id);
+    this.renderMarkers();
+    this.renderPins();
+  }
+
+  /**
+   * Remove all pinned points
+   */
+  clearPins() {
+    this.pins = [];
+    this.nextPinId = 1;
+    this.renderMarkers();
+    this.renderPins();
+  }
+
+  /**
+   * Format a sample for display
+   * @param {Object} sample - { x, y, rgb, yuv, bitDepth }
+   * @returns {{position: string, rgb: string, hex: string, yuv: string}}
+   */
+  formatSample(sample) {
+    const { rgb, yuv, bitDepth } = sample;
+    // Hex is always 8 bits per channel
+    const to8 = (value) => Math.round(value * 255 / ((1 << bitDepth) - 1));
+    return {
+      position: `${sample.x}, ${sample.y}`,
+      rgb: rgb.join(' '),
+      hex: `#${rgb.map(value => to8(value).toString(16).padStart(2, '0')).join('').toUpperCase()}`,
+      yuv: yuv.join(' ')
+    };
+  }
+
+  /**
+   * Place the readout next to the cursor, flipping it to stay inside the view
+   * @param {MouseEvent} e
+   */
+  positionReadout(e) {
+    const { container, readout } = this.elements;
+    const rect = container.getBoundingClientRect();
+    let left = e.clientX - rect.left + 16;
+    let top = e.clientY - rect.top + 16;
+    if (left + readout.offsetWidth > rect.width) {
+      left -= readout.offsetWidth + 32;
+    }
+    if (top + readout.offsetHeight > rect.height) {
+      top -= readout.offsetHeight + 32;
+    }
+    readout.style.left = `${left}px`;
+    readout.style.top = `${top}px`;
+  }
+
+  /**
+   * Show the values under the cursor
+   */
+  renderReadout() {
+    const { readout } = this.elements;
+    if (!this.hoverSample || !this.isActive) return;
+
+    const text = this.formatSample(this.hoverSample);
+    const depth = this.hoverSample.bitDepth > 8 ? ` (${this.hoverSample.bitDepth}-bit)` : '';
+    readout.replaceChildren();
+
+    const swatch = document.createElement('span');
+    swatch.className = 'inspector-swatch';
+    swatch.style.background = text.hex;
+
+    const rows = [
+      ['XY', text.position],
+      ['RGB', `${text.rgb}${depth}`],
+      ['Hex', text.hex],
+      ['YUV', text.yuv]
+    ].map(([label, value]) => {
+      const row = document.createElement('div');
+      row.className = 'inspector-row';
+      const name = document.createElement('span');
+      name.className = 'inspector-label';
+      name.textContent = label;
+      const data = document.createElement('span');
+      data.textContent = value;
+      row.append(name, data);
+      return row;
+    });
+
+    rows[2].prepend(swatch);
+    readout.append(...rows);
+    readout.classList.add('visible');
+  }
+
+  /**
+   * Hide the hover readout
+   */
+  hideReadout() {
+    this.hoverPoint = null;
+    this.hoverSample = null;
+    this.elements.readout.classList.remove('visible');
+  }
+
+  /**
+   * Draw numbered markers over the pinned pixels
+   */
+  renderMarkers() {
+    const { container, markers } = this.elements;
+    markers.replaceChildren();
+    if (!this.isActive || !this.vc.metadata || this.pins.length === 0) return;
+
+    const frame = this.getFrameRect();
+    const box = container.getBoundingClientRect();
+    const { width, height } = this.getSourceSize();
+
+    this.pins.forEach((pin, index) => {
+      const marker = document.createElement('span');
+      marker.className = 'inspector-marker';
+      marker.textContent = index + 1;
+      marker.style.left = `${frame.left - box.left + (pin.x + 0.5) / width * frame.width}px`;
+      marker.style.top = `${frame.top - box.top + (pin.y + 0.5) / height * frame.height}px`;
+      markers.appendChild(marker);
+    });
+  }
+
+  /**
+   * Rebuild the pinned point list
+   */
+  renderPins() {
+    const { list, empty } = this.elements;
+    list.replaceChildren();
+    empty.style.display = this.pins.length === 0 ? '' : 'none';
+
+    this.pins.forEach((pin, index) => {
+      const item = document.createElement('div');
+      item.className = 'inspector-item';
+
+      const number = document.createElement('span');
+      number.className = 'inspector-index';
+      number.textContent = index + 1;
+
+      const values = document.createElement('span');
+      values.className = 'inspector-values';
+      if (pin.sample) {
+        const text = this.formatSample(pin.sample);
+        const swatch = document.createElement('span');
+        swatch.className = 'inspector-swatch';
+        swatch.style.background = text.hex;
+        values.append(swatch, `${text.position}  RGB ${text.rgb}  ${text.hex}  YUV ${text.yuv}`);
+      } else {
+        values.textContent = `${pin.x}, ${pin.y}  ...`;
+      }
+
+      const remove = document.createElement('button');
+      remove.className = 'titlebar-btn inspector-remove';
+      remove.title = 'Remove point';
+      remove.innerHTML = '<svg width="10" height="10" viewBox="0 0 10 10"><path fill="currentColor" ' +
+        'd="M1.41 0L5 3.59 8.59 0 10 1.41 6.41 5 10 8.59 8.59 10 5 6.41 1.41 10 0 8.59 3.59 5 0 1.41z" /></svg>';
+      remove.addEventListener('click', () => this.removePin(pin.id));
+
+      item.append(number, values, remove);
+      list.appendChild(item);
+    });
+  }
+}
+
+PixelInspector.MAX_PINS = 8;
+
+// Export for use in other modules
+window.PixelInspector = PixelInspector;
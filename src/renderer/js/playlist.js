@@ -0,0 +1,279 @@
+/**
+ * Playlist
+ * Queue of opened files shown in a sidebar: step to the next/previous file,
+ * drag entries to reorder them, and drop or multi-select files to add to the queue
+ */
+class Playlist {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.items = [];        // { id, filePath, name }
+    this.currentIndex = -1; // Entry loaded in the player, -1 if none
+    this.isLoading = false;
+    this.dragIndex = null;  // Entry being dragged to a new position
+    this.panelVisible = false;
+
+    this.elements = {
+      panel: document.getElementById('playlistPanel'),
+      list: document.getElementById('playlistList'),
+      empty: document.getElementById('playlistEmpty'),
+      addBtn: document.getElementById('playlistAddBtn'),
+      closeBtn: document.getElementById('playlistPanelClose')
+    };
+
+    this.elements.addBtn.addEventListener('click', () => this.addFromDialog());
+    this.elements.closeBtn.addEventListener('click', () => this.setPanelVisible(false));
+
+    // Keep the highlight on whatever the player has open
+    this.vc.on('loaded', (filePath) => {
+      let index = this.indexOf(filePath);
+      if (index === -1) {
+        this.add([filePath]);
+        index = this.indexOf(filePath);
+      }
+      this.currentIndex = index;
+      this.render();
+    });
+
+    this.render();
+  }
+
+  /**
+   * Find a queued file
+   * @param {string} filePath
+   * @returns {number} Index in the queue, or -1
+   */
+  indexOf(filePath) {
+    return this.items.findIndex(item => item.filePath === filePath);
+  }
+
+  /**
+   * Append files to the queue, skipping ones already queued
+   * @param {string[]} filePaths
+   * @returns {number} Number of files added
+   */
+  add(filePaths) {
+    let added = 0;
+    filePaths.forEach(filePath => {
+      if (!filePath || this.indexOf(filePath) !== -1) return;
+      this.items.push({
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        filePath,
+        name: filePath.split('/').pop().split('\\').pop()
+      });
+      added++;
+    });
+
+    if (added > 0) {
+      this.render();
+    }
+    return added;
+  }
+
+  /**
+   * Queue files and play the first of them
+   * @param {string[]} filePaths
+   */
+  async open(filePaths) {
+    if (filePaths.length === 0) return;
+    this.add(filePaths);
+    await this.play(this.indexOf(filePaths[0]));
+  }
+
+  /**
+   * Queue files, starting playback only if nothing is open yet
+   * Used for drag and drop, which adds to the queue instead of replacing the video
+   * @param {string[]} filePaths
+   */
+  async enqueue(filePaths) {
+    const added = this.add(filePaths);
+    if (!this.vc.metadata && filePaths.length > 0) {
+      await this.play(this.indexOf(filePaths[0]));
+    } else if (added > 0) {
+      this.ui.showToast(`Added ${added} file${added === 1 ? '' : 's'} to playlist`);
+    }
+  }
+
+  /**
+   * Pick files with the open dialog and add them to the queue
+   */
+  async addFromDialog() {
+    const filePaths = await window.electronAPI.openFileDialog();
+    if (filePaths) {
+      await this.enqueue(filePaths);
+    }
+  }
+
+  /**
+   * Load a queued file
+   * @param {number} index
+   */
+  async play(index) {
+    const item = this.items[index];
+    if (!item || this.isLoading) return;
+
+    this.isLoading = true;
+    try {
+      await this.vc.loadVideo(item.filePath);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  /**
+   * Load the next file in the queue
+   */
+  async next() {
+    if (this.currentIndex + 1 < this.items.length) {
+      await this.play(this.currentIndex + 1);
+    } else if (this.items.length > 0) {
+      this.ui.showToast('Last file in playlist');
+    }
+  }
+
+  /**
+   * Load the previous file in the queue
+   */
+  async previous() {
+    if (this.currentIndex > 0) {
+      await this.play(this.currentIndex - 1);
+    } else if (this.items.length > 0) {
+      this.ui.showToast('First file in playlist');
+    }
+  }
+
+  /**
+   * Take a file out of the queue (the player keeps it open if it's the current one)
+   * @param {string} id
+   */
+  remove(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index === -1) return;
+
+    this.items.splice(index, 1);
+    if (index === this.currentIndex) {
+      this.currentIndex = -1;
+    } else if (index < this.currentIndex) {
+      this.currentIndex--;
+    }
+    this.render();
+  }
+
+  /**
+   * Move an entry to a new position, keeping track of the current file
+   * @param {number} from - Index of the entry
+   * @param {number} to - Index to insert it before (in the queue as it was before the move)
+   */
+  move(from, to) {
+    const target = to > from ? to - 1 : to;
+    if (target === from) return;
+
+    const current = this.items[this.currentIndex];
+    const [item] = this.items.splice(from, 1);
+    this.items.splice(target, 0, item);
+    this.currentIndex = current ? this.items.indexOf(current) : -1;
+    this.render();
+  }
+
+  /**
+   * Toggle the playlist panel
+   */
+  togglePanel() {
+    this.setPanelVisible(!this.panelVisible);
+  }
+
+  /**
+   * Show or hide the playlist panel
+   * @param {boolean} visible
+   */
+  setPanelVisible(visible) {
+    this.panelVisible = visible;
+    this.elements.panel.classList.toggle('visible', visible);
+    if (!visible && this.elements.panel.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+  }
+
+  /**
+   * Rebuild the playlist panel
+   */
+  render() {
+    const { list, empty } = this.elements;
+    list.replaceChildren();
+    empty.style.display = this.items.length === 0 ? '' : 'none';
+
+    this.items.forEach((entry, index) => {
+      const item = document.createElement('div');
+      item.className = 'playlist-item';
+      item.classList.toggle('current', index === this.currentIndex);
+      item.dataset.id = entry.id;
+      item.title = entry.filePath;
+      item.draggable = true;
+
+      const number = document.createElement('span');
+      number.className = 'playlist-index';
+      number.textContent = index + 1;
+
+      const name = document.createElement('span');
+      name.className = 'playlist-name';
+      name.textContent = entry.name;
+
+      const remove = document.createElement('button');
+      remove.className = 'titlebar-btn playlist-remove';
+      remove.title = 'Remove from playlist';
+      remove.innerHTML = '<svg width="10" height="10" viewBox="0 0 10 10"><path fill="currentColor" ' +
+        'd="M1.41 0L5 3.59 8.59 0 10 1.41 6.41 5 10 8.59 8.59 10 5 6.41 1.41 10 0 8.59 3.59 5 0 1.41z" /></svg>';
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.remove(entry.id);
+      });
+
+      item.addEventListener('click', () => this.play(index));
+
+      // Reorder: drop above or below the hovered entry depending on which half the cursor is in
+      const dropIndex = (e) => {
+        const rect = item.getBoundingClientRect();
+        return e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+      };
+
+      item.addEventListener('dragstart', (e) => {
+        this.dragIndex = index;
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+      });
+
+      item.addEventListener('dragend', () => {
+        this.dragIndex = null;
+        item.classList.remove('dragging');
+        list.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+          el.classList.remove('drop-before', 'drop-after');
+        });
+      });
+
+      item.addEventListener('dragover', (e) => {
+        if (this.dragIndex === null) return;
+        const before = dropIndex(e) === index;
+        item.classList.toggle('drop-before', before);
+        item.classList.toggle('drop-after', !before);
+      });
+
+      item.addEventListener('dragleave', () => {
+        item.classList.remove('drop-before', 'drop-after');
+      });
+
+      item.addEventListener('drop', (e) => {
+        if (this.dragIndex === null) return;
+        const from = this.dragIndex;
+        // The list is rebuilt, so dragend may not reach the dragged element
+        this.dragIndex = null;
+        this.move(from, dropIndex(e));
+      });
+
+      item.append(number, name, remove);
+      list.appendChild(item);
+    });
+  }
+}
+
+// Export for use in other modules
+window.Playlist = Playlist;
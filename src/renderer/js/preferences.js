@@ -0,0 +1,133 @@
+/**
+ * Preferences
+ * Dialog for the app-wide settings the main process keeps in userData (see SettingsStore):
+ * playback on open, speed range, control auto-hide and frame extraction. Each field names
+ * its setting in data-setting; a change is saved at once, and the stored values (checked
+ * and clamped by the main process) go to the onChange listeners, which apply them live.
+ */
+class Preferences {
+  constructor(uiOverlay, shortcutSettings) {
+    this.ui = uiOverlay;
+    this.shortcutSettings = shortcutSettings;
+    this.settings = null;   // As last stored by the main process
+    this.listeners = [];
+
+    this.dialog = new Modal('preferencesDialog');
+    this.fields = Array.from(this.dialog.element.querySelectorAll('[data-setting]'));
+    this.elements = {
+      resetBtn: document.getElementById('preferencesReset'),
+      shortcutsBtn: document.getElementById('preferencesShortcuts')
+    };
+
+    this.fields.forEach(field => {
+      field.addEventListener('change', () => this.onFieldChange(field));
+    });
+
+    this.elements.resetBtn.addEventListener('click', () => this.reset());
+
+    this.elements.shortcutsBtn.addEventListener('click', () => {
+      this.dialog.close();
+      this.shortcutSettings.open();
+    });
+  }
+
+  /**
+   * Register a callback for the settings, once loaded and after every change
+   * @param {Function} callback - (settings) => void
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Fetch the stored settings and apply them
+   */
+  async load() {
+    try {
+      this.apply(await window.electronAPI.getSettings());
+    } catch (error) {
+      console.error('Failed to load preferences:', error);
+    }
+  }
+
+  /**
+   * Show the dialog
+   */
+  open() {
+    this.render();
+    this.dialog.open();
+  }
+
+  /**
+   * Fill the fields from the current settings
+   */
+  render() {
+    if (!this.settings) return;
+    this.fields.forEach(field => {
+      const value = this.settings[field.dataset.setting];
+      if (field.type === 'checkbox') {
+        field.checked = value;
+      } else {
+        field.value = value;
+      }
+    });
+  }
+
+  /**
+   * Save an edited field (an emptied number field goes back to the stored value)
+   * @param {HTMLInputElement} field
+   */
+  async onFieldChange(field) {
+    const value = field.type === 'checkbox' ? field.checked : parseFloat(field.value);
+    if (Number.isNaN(value)) {
+      this.render();
+      return;
+    }
+    await this.save(() => window.electronAPI.updateSettings({ [field.dataset.setting]: value }));
+  }
+
+  /**
+   * Put every setting back to its default
+   */
+  async reset() {
+    if (await this.save(() => window.electronAPI.resetSettings())) {
+      this.ui.showToast('Preferences reset to defaults');
+    }
+  }
+
+  /**
+   * Store settings through the main process, then apply and show what it kept
+   * @param {Function} request - Returns a Promise of all settings
+   * @returns {Promise<boolean>} True if saved
+   */
+  async save(request) {
+    let saved = false;
+    try {
+      this.apply(await request());
+      saved = true;
+    } catch (error) {
+      console.error('Failed to save preferences:', error);
+      this.ui.showToast('Could not save preferences');
+    }
+    this.render();
+    return saved;
+  }
+
+  /**
+   * Hand settings to the listeners
+   * @param {Object} settings
+   */
+  apply(settings) {
+    this.settings = settings;
+    this.listeners.forEach(callback => {
+      try {
+        callback(settings);
+      } catch (error) {
+        console.error('Error applying preferences:', error);
+      }
+    });
+  }
+}
+
+// Export for use in other modules
+window.Preferences = Preferences;
@@ -0,0 +1,223 @@
+/**
+ * Reverse Player
+ * Plays a video backwards on the frame canvas. Video can only be decoded forwards, so
+ * ffmpeg decodes short segments (starting at a keyframe where the GOP allows) ahead of
+ * the playhead, and the frames are shown last to first at their own timestamps, scaled
+ * by the playback speed. Used through VideoController.playReverse() / stopReverse().
+ */
+class ReversePlayer {
+  /**
+   * @param {VideoController} videoController
+   */
+  constructor(videoController) {
+    this.vc = videoController;
+    this.isActive = false;
+    this.session = 0;          // Bumped on start/stop so late decodes are dropped
+    this.frames = new Map();   // frameNumber -> JPEG Blob, decoded but not yet shown
+    this.bitmaps = new Map();  // frameNumber -> { promise, bitmap } for the next frames to show
+    this.nextSegmentEnd = 0;   // Last frame of the next segment to decode
+    this.decodedDown = 0;      // Lowest frame whose segment has been decoded
+    this.jobId = null;         // Segment being decoded
+    this.jobCount = 0;
+    this.startFrame = 0;
+    this.shownFrame = null;
+    this.clock = null;         // { frame, time, now, rate } the cadence is measured from
+    this.rafId = null;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Start playing backwards from a frame
+   * @param {number} frame - First frame shown (0-indexed)
+   */
+  start(frame) {
+    this.stop();
+    this.isActive = true;
+    this.session++;
+    this.startFrame = frame;
+    this.nextSegmentEnd = frame;
+    this.decodedDown = frame + 1;
+    this.shownFrame = null;
+    this.clock = null;
+    this.fill();
+    this.rafId = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Stop playing and drop the buffered frames
+   */
+  stop() {
+    this.isActive = false;
+    this.session++;
+    if (this.rafId) {
+      cancelAnimationFrame(this.rafId);
+      this.rafId = null;
+    }
+    if (this.jobId) {
+      window.electronAPI.cancelExport(this.jobId);
+      this.jobId = null;
+    }
+    this.discardAbove(-1);
+  }
+
+  /**
+   * First frame of the played range: the loop start when the A/B loop is on
+   * @returns {number}
+   */
+  getFirstFrame() {
+    return this.vc.isLoopActive() ? this.vc.getLoopRange().start : 0;
+  }
+
+  /**
+   * Decode segments until BUFFER_FRAMES frames below the playhead are on their way
+   */
+  async fill() {
+    const session = this.session;
+    const first = this.getFirstFrame();
+    const playhead = this.shownFrame === null ? this.startFrame : this.shownFrame;
+
+    if (this.jobId || this.nextSegmentEnd < first ||
+      playhead - this.nextSegmentEnd > ReversePlayer.BUFFER_FRAMES) {
+      return;
+    }
+
+    // End on the frame before the previous segment; start at its GOP's keyframe
+    // unless that's very close (or too far back for one segment)
+    const end = this.nextSegmentEnd;
+    let start = end - ReversePlayer.SEGMENT_FRAMES + 1;
+    const keyframe = this.vc.getPreviousKeyframe(end);
+    if (keyframe !== null && keyframe > start && end - keyframe >= ReversePlayer.MIN_SEGMENT_FRAMES) {
+      start = keyframe;
+    }
+    start = Math.max(first, start);
+    this.nextSegmentEnd = start - 1;
+
+    const { filePath, metadata, canvas } = this.vc;
+    const displayWidth = Math.round(canvas.getBoundingClientRect().width * (window.devicePixelRatio || 1));
+    const jobId = `reverse-${Date.now()}-${++this.jobCount}`;
+    this.jobId = jobId;
+
+    try {
+      const images = await window.electronAPI.decodeFrameRange(jobId, filePath, metadata.frameRate,
+        start, end - start + 1, { width: Math.min(canvas.width, displayWidth || canvas.width) });
+      if (session !== this.session) return;
+
+      images.forEach((data, i) => {
+        this.frames.set(start + i, new Blob([data], { type: 'image/jpeg' }));
+      });
+      this.decodedDown = start;
+      this.jobId = null;
+      this.fill();
+    } catch (error) {
+      if (session !== this.session) return;
+      console.error('Failed to decode frames for reverse playback:', error);
+      this.jobId = null;
+      this.vc.ui.showToast('Reverse playback failed');
+      this.vc.stopReverse();
+    }
+  }
+
+  /**
+   * Show whichever frame is due, holding the clock while frames are still decoding
+   * @param {number} now - requestAnimationFrame timestamp
+   */
+  tick(now) {
+    if (!this.isActive) return;
+    this.rafId = requestAnimationFrame(this.tick);
+
+    const rate = this.vc.playbackRate;
+    const first = this.getFirstFrame();
+    if (!this.clock || this.clock.rate !== rate) {
+      const frame = this.shownFrame === null ? this.startFrame : this.shownFrame;
+      this.clock = { frame, time: this.vc.frameToTime(frame), now, rate };
+    }
+
+    const time = this.clock.time - (now - this.clock.now) / 1000 * rate;
+    if (time < this.vc.frameToTime(first) && this.shownFrame === first) {
+      // The first frame has had its full duration
+      if (this.vc.isLoopActive()) {
+        this.start(this.vc.getLoopRange().end);
+      } else {
+        this.vc.stopReverse();
+      }
+      return;
+    }
+
+    // Frames the decoder didn't produce (e.g. past the end of the stream) are skipped
+    let frame = Math.max(first, Math.min(this.clock.frame, this.vc.timeToFrame(time)));
+    while (frame > first && frame >= this.decodedDown && !this.frames.has(frame)) {
+      frame--;
+    }
+    if (frame === this.shownFrame) return;
+
+    const entry = this.getBitmap(frame);
+    if (!entry || !entry.bitmap) {
+      // Not decoded yet: hold the current frame and restart the cadence from it
+      this.clock = null;
+      return;
+    }
+
+    this.shownFrame = frame;
+    this.vc.showReverseFrame(frame, entry.bitmap);
+    this.discardAbove(frame);
+    for (let n = frame - 1; n >= Math.max(first, frame - ReversePlayer.PREDECODE_FRAMES); n--) {
+      this.getBitmap(n);
+    }
+    this.fill();
+  }
+
+  /**
+   * Start turning a frame's JPEG into a bitmap (once)
+   * @param {number} frame
+   * @returns {Object|null} { promise, bitmap } - bitmap is set once decoded
+   */
+  getBitmap(frame) {
+    if (this.bitmaps.has(frame)) return this.bitmaps.get(frame);
+
+    const blob = this.frames.get(frame);
+    if (!blob) return null;
+
+    const entry = { promise: null, bitmap: null };
+    entry.promise = createImageBitmap(blob).then(bitmap => {
+      if (this.bitmaps.get(frame) === entry) {
+        entry.bitmap = bitmap;
+      } else {
+        bitmap.close();
+      }
+    }).catch(error => console.warn(`Failed to decode frame ${frame}:`, error));
+    this.bitmaps.set(frame, entry);
+    return entry;
+  }
+
+  /**
+   * Free the frames above the playhead (already shown)
+   * @param {number} frame - Keep this frame and the ones below it
+   */
+  discardAbove(frame) {
+    this.frames.forEach((blob, n) => {
+      if (n > frame) this.frames.delete(n);
+    });
+    this.bitmaps.forEach((entry, n) => {
+      if (n > frame) {
+        if (entry.bitmap) entry.bitmap.close();
+        this.bitmaps.delete(n);
+      }
+    });
+  }
+}
+
+// Frames decoded per ffmpeg run (a shorter GOP is decoded from its keyframe instead)
+ReversePlayer.SEGMENT_FRAMES = 48;
+
+// Shortest segment worth starting at a keyframe
+ReversePlayer.MIN_SEGMENT_FRAMES = 8;
+
+// How far below the playhead to keep decoding
+ReversePlayer.BUFFER_FRAMES = 96;
+
+// Frames turned into bitmaps ahead of being shown
+ReversePlayer.PREDECODE_FRAMES = 6;
+
+// Export for use in other modules
+window.ReversePlayer = ReversePlayer;
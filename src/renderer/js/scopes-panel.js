@@ -0,0 +1,571 @@
+/**
+ * Scopes Panel
+ * Histogram (RGB or luma), waveform (luma or RGB parade) and vectorscope for the frame on
+ * screen. Updates when the controller steps or pauses, and at a throttled rate during
+ * playback. Reads the video's pixels through a canvas, or (when paused) a full-resolution
+ * ffmpeg decode with the source's own Y'CbCr values.
+ */
+class ScopesPanel {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.storage = new LocalSettings(ScopesPanel.STORAGE_KEY, ScopesPanel.DEFAULTS);
+    this.settings = this.storage.load();
+    this.isVisible = false;
+    this.analysis = null;       // Last accumulated frame, redrawn when a scope mode changes
+    this.lastUpdate = 0;
+    this.throttleTimer = null;
+    this.isDecoding = false;
+    this.decodePending = false;
+    this.scratch = document.createElement('canvas');    // Video drawn at analysis size
+    this.vectorPlot = document.createElement('canvas'); // Vectorscope points at 256x256
+    this.vectorPlot.width = 256;
+    this.vectorPlot.height = 256;
+
+    this.elements = {
+      panel: document.getElementById('scopesPanel'),
+      closeBtn: document.getElementById('scopesClose'),
+      source: document.getElementById('scopesSource'),
+      status: document.getElementById('scopesStatus'),
+      histogramMode: document.getElementById('scopesHistogramMode'),
+      waveformMode: document.getElementById('scopesWaveformMode'),
+      histogram: document.getElementById('scopesHistogram'),
+      waveform: document.getElementById('scopesWaveform'),
+      vectorscope: document.getElementById('scopesVectorscope')
+    };
+
+    this.setupPanel();
+
+    this.vc.on('frame', () => this.scheduleUpdate());
+    this.vc.on('reset', () => {
+      this.analysis = null;
+      this.draw();
+    });
+    this.vc.videoElement.addEventListener('pause', () => this.scheduleUpdate());
+    this.vc.videoElement.addEventListener('loadeddata', () => this.scheduleUpdate());
+
+    this.draw();
+  }
+
+  /**
+   * Setup the panel's mode selects and close button
+   */
+  setupPanel() {
+    const { closeBtn, source, histogramMode, waveformMode } = this.elements;
+
+    source.value = this.settings.source;
+    histogramMode.value = this.settings.histogram;
+    waveformMode.value = this.settings.waveform;
+
+    source.addEventListener('change', () => {
+      this.settings.source = source.value;
+      this.storage.save(this.settings);
+      this.update();
+    });
+
+    // Mode changes only replot the frame already accumulated
+    histogramMode.addEventListener('change', () => {
+      this.settings.histogram = histogramMode.value;
+      this.storage.save(this.settings);
+      this.draw();
+    });
+
+    waveformMode.addEventListener('change', () => {
+      this.settings.waveform = waveformMode.value;
+      this.storage.save(this.settings);
+      this.draw();
+    });
+
+    closeBtn.addEventListener('click', () => this.setVisible(false));
+  }
+
+  /**
+   * Toggle the panel
+   */
+  toggle() {
+    this.setVisible(!this.isVisible);
+  }
+
+  /**
+   * Show or hide the panel (nothing is computed while it's hidden)
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.isVisible = visible;
+    this.elements.panel.classList.toggle('visible', visible);
+    if (visible) {
+      this.update();
+    } else {
+      clearTimeout(this.throttleTimer);
+      this.throttleTimer = null;
+      if (this.elements.panel.contains(document.activeElement)) {
+        document.activeElement.blur();
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} True during forward or reverse playback
+   */
+  isPlaying() {
+    return this.vc.isPlaying || this.vc.isReversing;
+  }
+
+  /**
+   * Update now when paused or stepping; at most every UPDATE_INTERVAL ms during playback
+   */
+  scheduleUpdate() {
+    if (!this.isVisible) return;
+
+    if (!this.isPlaying()) {
+      clearTimeout(this.throttleTimer);
+      this.throttleTimer = null;
+      this.update();
+      return;
+    }
+
+    const wait = ScopesPanel.UPDATE_INTERVAL - (performance.now() - this.lastUpdate);
+    if (wait <= 0) {
+      this.update();
+    } else if (!this.throttleTimer) {
+      this.throttleTimer = setTimeout(() => {
+        this.throttleTimer = null;
+        this.update();
+      }, wait);
+    }
+  }
+
+  /**
+   * Analyze the frame on screen and redraw the scopes
+   */
+  update() {
+    if (!this.isVisible) return;
+    this.lastUpdate = performance.now();
+
+    if (!this.vc.metadata) {
+      this.analysis = null;
+      this.draw();
+      return;
+    }
+
+    // The canvas reading is instant, so it's shown while the full-resolution decode runs
+    this.analyzeVideo();
+    if (this.settings.source === 'full' && !this.isPlaying()) {
+      this.updateFullRes();
+    }
+  }
+
+  /**
+   * Accumulate the video element's pixels, drawn to a canvas at analysis size
+   */
+  analyzeVideo() {
+    const video = this.vc.videoElement;
+    if (!video.videoWidth || video.readyState < 2) return;
+
+    // Reverse playback is drawn on the canvas; the video element stays where it started
+    const source = this.vc.isReversing ? this.vc.canvas : video;
+    const width = Math.min(ScopesPanel.ANALYSIS_WIDTH, video.videoWidth);
+    const height = Math.max(1, Math.round(video.videoHeight * width / video.videoWidth));
+    const { scratch } = this;
+    if (scratch.width !== width || scratch.height !== height) {
+      scratch.width = width;
+      scratch.height = height;
+    }
+
+    const ctx = scratch.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    this.analysis = this.analyze({ width, height, rgb: data, channels: 4 });
+    this.analysis.label = `Canvas ${width}×${height}`;
+    if (this.settings.source === 'full' && this.isPlaying()) {
+      this.analysis.label += ' (full res when paused)';
+    }
+    this.draw();
+  }
+
+  /**
+   * Decode the current frame at full resolution and analyze it
+   * Requests made while a decode is in flight are coalesced into one follow-up decode
+   */
+  async updateFullRes() {
+    if (this.isDecoding) {
+      this.decodePending = true;
+      return;
+    }
+
+    this.isDecoding = true;
+    try {
+      do {
+        this.decodePending = false;
+        const { filePath, metadata } = this.vc;
+        if (!metadata) break;
+        const frame = this.vc.currentFrame;
+        this.elements.status.textContent = 'Decoding full resolution…';
+
+        const result = await window.electronAPI.getScopeFrame(filePath, frame, metadata.frameRate);
+
+        // Drop the result if the view moved on in the meantime
+        const isCurrent = this.vc.filePath === filePath && this.vc.currentFrame === frame && !this.isPlaying();
+        if (isCurrent && this.isVisible && this.settings.source === 'full') {
+          const { width, height, bitDepth, rgb, yuv } = result;
+          this.analysis = this.analyze({ width, height, rgb, channels: 3, yuv });
+          this.analysis.label = `Full res ${width}×${height}, ${bitDepth}-bit`;
+          this.draw();
+        }
+      } while (this.decodePending && this.isVisible);
+    } catch (error) {
+      console.error('Failed to decode frame for scopes:', error);
+      this.elements.status.textContent = 'Full-resolution decode failed';
+    } finally {
+      this.isDecoding = false;
+    }
+  }
+
+  /**
+   * Luma coefficients for the video's color matrix (BT.601 for SD, BT.709 for HD when untagged)
+   * @returns {Object} { kr, kb }
+   */
+  getMatrix() {
+    const { colorSpace, height } = this.vc.metadata || {};
+    if (colorSpace && colorSpace.startsWith('bt2020')) return ScopesPanel.MATRICES.bt2020;
+    if (colorSpace === 'bt709' || (!colorSpace && height > 576)) return ScopesPanel.MATRICES.bt709;
+    return ScopesPanel.MATRICES.bt601;
+  }
+
+  /**
+   * Accumulate a frame into histogram, waveform and vectorscope counts
+   * Without decoded YUV, Y'CbCr is computed from RGB as limited-range (16-235/240) code values,
+   * the same scale the decoded planes use.
+   * @param {Object} frame
+   * @param {number} frame.width
+   * @param {number} frame.height
+   * @param {Uint8Array|Uint8ClampedArray} frame.rgb - Packed RGB(A)
+   * @param {number} frame.channels - 3 for RGB, 4 for RGBA
+   * @param {Uint8Array} [frame.yuv] - Planar Y, Cb, Cr at the same size
+   * @returns {Object} { width, height, histogram, waveform, vectorscope }
+   */
+  analyze({ width, height, rgb, channels, yuv }) {
+    const columns = ScopesPanel.WAVEFORM_COLUMNS;
+    const channelSize = columns * 256;
+    const histogram = new Uint32Array(4 * 256);     // R, G, B, Y' by level
+    const waveform = new Uint32Array(4 * channelSize); // R, G, B, Y' by column, then level
+    const vectorscope = new Uint32Array(256 * 256);  // Cr (top = high) by Cb
+
+    const { kr, kb } = this.getMatrix();
+    const kg = 1 - kr - kb;
+    const plane = width * height;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const offset = pixel * channels;
+        const r = rgb[offset];
+        const g = rgb[offset + 1];
+        const b = rgb[offset + 2];
+
+        let luma, cb, cr;
+        if (yuv) {
+          luma = yuv[pixel];
+          cb = yuv[plane + pixel];
+          cr = yuv[2 * plane + pixel];
+        } else {
+          const full = kr * r + kg * g + kb * b;
+          luma = Math.round(16 + full * 219 / 255);
+          cb = Math.round(128 + (b - full) * 112 / 255 / (1 - kb));
+          cr = Math.round(128 + (r - full) * 112 / 255 / (1 - kr));
+        }
+
+        histogram[r]++;
+        histogram[256 + g]++;
+        histogram[512 + b]++;
+        histogram[768 + luma]++;
+
+        const column = Math.floor(x * columns / width) * 256;
+        waveform[column + r]++;
+        waveform[channelSize + column + g]++;
+        waveform[2 * channelSize + column + b]++;
+        waveform[3 * channelSize + column + luma]++;
+
+        vectorscope[(255 - cr) * 256 + cb]++;
+      }
+    }
+
+    return { width, height, histogram, waveform, vectorscope };
+  }
+
+  /**
+   * Redraw all scopes from the last analysis
+   */
+  draw() {
+    this.elements.status.textContent = this.analysis ? this.analysis.label : 'No video';
+    this.drawHistogram();
+    this.drawWaveform();
+    this.drawVectorscope();
+  }
+
+  /**
+   * Histogram: RGB channels blended additively, or luma alone
+   */
+  drawHistogram() {
+    const canvas = this.elements.histogram;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (!this.analysis) return;
+
+    const { histogram } = this.analysis;
+    const channels = this.settings.histogram === 'luma'
+      ? [{ index: 3, color: 'rgba(230, 230, 230, 0.85)' }]
+      : [
+        { index: 0, color: 'rgba(255, 60, 60, 0.75)' },
+        { index: 1, color: 'rgba(60, 255, 90, 0.75)' },
+        { index: 2, color: 'rgba(70, 110, 255, 0.75)' }
+      ];
+
+    // Scale to the tallest level inside the range, so clipped black or white doesn't flatten the rest
+    let peak = 1;
+    channels.forEach(({ index }) => {
+      for (let level = 1; level < 255; level++) {
+        peak = Math.max(peak, histogram[index * 256 + level]);
+      }
+    });
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    channels.forEach(({ index, color }) => {
+      ctx.beginPath();
+      ctx.moveTo(0, height);
+      for (let level = 0; level < 256; level++) {
+        const value = Math.min(1, histogram[index * 256 + level] / peak);
+        const x = level * width / 256;
+        ctx.lineTo(x, height - value * height);
+        ctx.lineTo(x + width / 256, height - value * height);
+      }
+      ctx.lineTo(width, height);
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Waveform: level (bottom = 0, top = 255) against horizontal position, as luma or as an RGB parade
+   */
+  drawWaveform() {
+    const canvas = this.elements.waveform;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (!this.analysis) return;
+
+    const image = ctx.createImageData(width, height);
+    const isParade = this.settings.waveform === 'parade';
+    const panes = isParade
+      ? [{ index: 0, color: [255, 70, 70] }, { index: 1, color: [70, 255, 100] }, { index: 2, color: [90, 130, 255] }]
+      : [{ index: 3, color: [220, 255, 220] }];
+    const paneWidth = Math.floor(width / panes.length);
+
+    panes.forEach(({ index, color }, pane) => {
+      this.plotWaveform(image, index, pane * paneWidth, paneWidth, color);
+    });
+    ctx.putImageData(image, 0, 0);
+
+    // Graticule: legal range for luma (16 and 235), quarter lines for RGB
+    const levels = isParade ? [0, 64, 128, 191, 255] : [16, 128, 235];
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.18)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    levels.forEach(level => {
+      const y = Math.round((255 - level) * (height - 1) / 255) + 0.5;
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    });
+    for (let pane = 1; pane < panes.length; pane++) {
+      ctx.moveTo(pane * paneWidth + 0.5, 0);
+      ctx.lineTo(pane * paneWidth + 0.5, height);
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * Plot one channel's waveform into a horizontal slice of the image
+   * @param {ImageData} image
+   * @param {number} index - Channel (0-2 = R, G, B, 3 = Y')
+   * @param {number} left - First image column of the slice
+   * @param {number} paneWidth - Slice width in image columns
+   * @param {number[]} color - [r, g, b] at full brightness
+   */
+  plotWaveform(image, index, left, paneWidth, color) {
+    const { waveform, width: frameWidth, height: frameHeight } = this.analysis;
+    const columns = ScopesPanel.WAVEFORM_COLUMNS;
+    const { width, height, data } = image;
+
+    // A column's pixels spread over WAVEFORM_SPREAD levels show at full brightness
+    const pixelsPerColumn = frameWidth * frameHeight / paneWidth;
+    const reference = Math.log1p(pixelsPerColumn / ScopesPanel.WAVEFORM_SPREAD);
+
+    for (let x = 0; x < paneWidth; x++) {
+      const first = Math.floor(x * columns / paneWidth);
+      const last = Math.max(first + 1, Math.floor((x + 1) * columns / paneWidth));
+
+      for (let level = 0; level < 256; level++) {
+        let count = 0;
+        for (let column = first; column < last; column++) {
+          count += waveform[(index * columns + column) * 256 + level];
+        }
+        if (count === 0) continue;
+
+        const intensity = Math.min(1, Math.log1p(count) / reference);
+        const y = Math.round((255 - level) * (height - 1) / 255);
+        const offset = (y * width + left + x) * 4;
+        data[offset] = color[0] * intensity;
+        data[offset + 1] = color[1] * intensity;
+        data[offset + 2] = color[2] * intensity;
+        data[offset + 3] = 255;
+      }
+    }
+  }
+
+  /**
+   * Vectorscope: Cb to the right, Cr up, each point in its own hue, with 75% color bar targets
+   */
+  drawVectorscope() {
+    const canvas = this.elements.vectorscope;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    this.drawVectorscopeGraticule(ctx);
+    if (!this.analysis) return;
+
+    const { vectorscope, width: frameWidth, height: frameHeight } = this.analysis;
+    const { kr, kb } = this.getMatrix();
+    const kg = 1 - kr - kb;
+    const reference = Math.log1p(frameWidth * frameHeight / ScopesPanel.VECTORSCOPE_SPREAD);
+
+    const plot = this.vectorPlot;
+    const plotCtx = plot.getContext('2d');
+    const image = plotCtx.createImageData(256, 256);
+    const { data } = image;
+
+    for (let row = 0; row < 256; row++) {
+      for (let cb = 0; cb < 256; cb++) {
+        const count = vectorscope[row * 256 + cb];
+        if (count === 0) continue;
+
+        // Color of this chroma at mid grey, lifted toward white so dark hues stay visible
+        const pb = (cb - 128) / 224;
+        const pr = (127 - row) / 224;
+        const r = 0.5 + 2 * (1 - kr) * pr;
+        const b = 0.5 + 2 * (1 - kb) * pb;
+        const g = (0.5 - kr * r - kb * b) / kg;
+        const intensity = Math.min(1, Math.log1p(count) / reference);
+        const offset = (row * 256 + cb) * 4;
+        [r, g, b].forEach((value, c) => {
+          data[offset + c] = 255 * (0.4 + 0.6 * Math.max(0, Math.min(1, value)));
+        });
+        data[offset + 3] = 255 * intensity;
+      }
+    }
+
+    plotCtx.putImageData(image, 0, 0);
+    ctx.drawImage(plot, 0, 0, width, height);
+  }
+
+  /**
+   * Draw the vectorscope circle, axes, skin tone line and color bar targets
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  drawVectorscopeGraticule(ctx) {
+    const { width } = ctx.canvas;
+    const scale = width / 256;
+    const { kr, kb } = this.getMatrix();
+    const kg = 1 - kr - kb;
+    const center = 128 * scale;
+    const toCanvas = (cb, cr) => [cb * scale, (255 - cr) * scale];
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 1;
+
+    ctx.beginPath();
+    ctx.arc(center, center, 112 * scale, 0, Math.PI * 2);
+    ctx.moveTo(center, center - 112 * scale);
+    ctx.lineTo(center, center + 112 * scale);
+    ctx.moveTo(center - 112 * scale, center);
+    ctx.lineTo(center + 112 * scale, center);
+    ctx.stroke();
+
+    // Skin tone line, between the red and yellow targets
+    const angle = ScopesPanel.SKIN_TONE_ANGLE * Math.PI / 180;
+    ctx.strokeStyle = 'rgba(255, 200, 150, 0.35)';
+    ctx.beginPath();
+    ctx.moveTo(center, center);
+    ctx.lineTo(center + Math.cos(angle) * 112 * scale, center - Math.sin(angle) * 112 * scale);
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ScopesPanel.TARGETS.forEach(({ label, rgb }) => {
+      const [r, g, b] = rgb.map(value => value * 0.75 * 255);
+      const full = kr * r + kg * g + kb * b;
+      const [x, y] = toCanvas(
+        128 + (b - full) * 112 / 255 / (1 - kb),
+        128 + (r - full) * 112 / 255 / (1 - kr)
+      );
+      ctx.strokeRect(x - 4, y - 4, 8, 8);
+      // Label just outside the target, away from the center
+      const distance = Math.hypot(x - center, y - center) || 1;
+      ctx.fillText(label, x + (x - center) / distance * 12, y + (y - center) / distance * 12);
+    });
+    ctx.restore();
+  }
+}
+
+ScopesPanel.STORAGE_KEY = 'framestep.scopes';
+
+ScopesPanel.DEFAULTS = {
+  source: 'canvas',     // 'canvas' or 'full'
+  histogram: 'rgb',     // 'rgb' or 'luma'
+  waveform: 'luma'      // 'luma' or 'parade'
+};
+
+// Minimum time between updates during playback (ms)
+ScopesPanel.UPDATE_INTERVAL = 200;
+
+// Width the video is scaled to for canvas analysis
+ScopesPanel.ANALYSIS_WIDTH = 480;
+
+// Horizontal resolution of the waveform
+ScopesPanel.WAVEFORM_COLUMNS = 256;
+
+// Brightness references: levels a waveform column spreads over, cells the vectorscope spreads over
+ScopesPanel.WAVEFORM_SPREAD = 16;
+ScopesPanel.VECTORSCOPE_SPREAD = 2000;
+
+// Skin tone line, degrees counter-clockwise from the +Cb axis
+ScopesPanel.SKIN_TONE_ANGLE = 123;
+
+ScopesPanel.MATRICES = {
+  bt601: { kr: 0.299, kb: 0.114 },
+  bt709: { kr: 0.2126, kb: 0.0722 },
+  bt2020: { kr: 0.2627, kb: 0.0593 }
+};
+
+// 75% color bar targets
+ScopesPanel.TARGETS = [
+  { label: 'R', rgb: [1, 0, 0] },
+  { label: 'Mg', rgb: [1, 0, 1] },
+  { label: 'B', rgb: [0, 0, 1] },
+  { label: 'Cy', rgb: [0, 1, 1] },
+  { label: 'G', rgb: [0, 1, 0] },
+  { label: 'Yl', rgb: [1, 1, 0] }
+];
+
+// Export for use in other modules
+window.ScopesPanel = ScopesPanel;
@@ -0,0 +1,217 @@
+/**
+ * Sequence Exporter
+ * Exports the in/out range as a numbered PNG/JPEG image sequence via FFmpegService,
+ * numbered to match the frame counter overlay
+ */
+class SequenceExporter {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.storage = new LocalSettings(SequenceExporter.STORAGE_KEY, SequenceExporter.DEFAULTS);
+    this.settings = this.storage.load();
+    this.jobId = null;
+    this.stopRequested = false;
+    this.range = null;
+
+    this.dialog = new Modal('exportFramesDialog');
+    this.elements = {
+      range: document.getElementById('exportFramesRange'),
+      format: document.getElementById('exportFramesFormat'),
+      prefix: document.getElementById('exportFramesPrefix'),
+      folder: document.getElementById('exportFramesFolder'),
+      folderBtn: document.getElementById('exportFramesFolderBtn'),
+      preview: document.getElementById('exportFramesPreview'),
+      progress: document.getElementById('exportFramesProgress'),
+      progressFill: document.getElementById('exportFramesProgressFill'),
+      progressText: document.getElementById('exportFramesProgressText'),
+      cancelBtn: document.getElementById('exportFramesCancel'),
+      startBtn: document.getElementById('exportFramesStart')
+    };
+
+    this.setupDialog();
+
+    window.electronAPI.onExportProgress((jobId, done, total) => {
+      if (jobId === this.jobId) {
+        this.updateProgress(done, total);
+      }
+    });
+  }
+
+  /**
+   * Setup dialog fields and buttons
+   */
+  setupDialog() {
+    const { format, prefix, folderBtn, cancelBtn, startBtn } = this.elements;
+
+    format.addEventListener('change', () => {
+      this.settings.format = format.value;
+      this.storage.save(this.settings);
+      this.updatePreview();
+    });
+
+    prefix.addEventListener('input', () => this.updatePreview());
+
+    folderBtn.addEventListener('click', async () => {
+      const directory = await window.electronAPI.selectDirectory(this.settings.directory || undefined);
+      if (directory) {
+        this.settings.directory = directory;
+        this.storage.save(this.settings);
+        this.updateDialogFields();
+      }
+    });
+
+    cancelBtn.addEventListener('click', () => {
+      if (this.jobId) {
+        this.stopRequested = true;
+        window.electronAPI.cancelExport(this.jobId);
+      } else {
+        this.dialog.close();
+      }
+    });
+
+    startBtn.addEventListener('click', () => this.start());
+  }
+
+  /**
+   * Open the export dialog for the current in/out range
+   */
+  open() {
+    if (!this.vc.metadata) return;
+
+    // Don't change the range under a running export
+    if (!this.jobId) {
+      const { start, end } = this.vc.getRange();
+      this.range = { start, end };
+      this.elements.prefix.value = this.getVideoName();
+      this.setProgressVisible(false);
+    }
+
+    this.updateDialogFields();
+    this.dialog.open();
+  }
+
+  /**
+   * Sync dialog fields with current settings and range
+   */
+  updateDialogFields() {
+    const { start, end } = this.range;
+    const count = end - start + 1;
+
+    this.elements.range.textContent =
+      `Frames ${this.ui.toDisplayFrame(start).toLocaleString()} - ${this.ui.toDisplayFrame(end).toLocaleString()} ` +
+      `(${count.toLocaleString()} frame${count === 1 ? '' : 's'})`;
+    this.elements.format.value = this.settings.format;
+    this.elements.folder.textContent = this.settings.directory || 'Not set';
+    this.elements.folder.title = this.settings.directory || '';
+
+    const running = !!this.jobId;
+    this.elements.format.disabled = running;
+    this.elements.prefix.disabled = running;
+    this.elements.folderBtn.disabled = running;
+    this.elements.startBtn.disabled = running || !this.settings.directory;
+    this.elements.cancelBtn.textContent = running ? 'Stop' : 'Cancel';
+
+    this.updatePreview();
+  }
+
+  /**
+   * Show the first and last filenames of the sequence
+   */
+  updatePreview() {
+    const { start, end } = this.range;
+    const extension = this.settings.format === 'jpeg' ? 'jpg' : 'png';
+    const prefix = this.getPrefix();
+    const digits = Math.max(6, String(this.ui.toDisplayFrame(end)).length);
+    const name = (frame) => `${prefix}_${String(this.ui.toDisplayFrame(frame)).padStart(digits, '0')}.${extension}`;
+
+    this.elements.preview.textContent = start === end
+      ? name(start)
+      : `${name(start)} ... ${name(end)}`;
+  }
+
+  /**
+   * Get the filename prefix, stripped of characters that aren't valid in filenames
+   * @returns {string}
+   */
+  getPrefix() {
+    const prefix = this.elements.prefix.value.trim() || this.getVideoName();
+    return prefix.replace(/[<>:"/\\|?*%\x00-\x1f]/g, '_');
+  }
+
+  /**
+   * @returns {string} Video filename without extension
+   */
+  getVideoName() {
+    const fileName = (this.vc.filePath || 'video').split('/').pop().split('\\').pop();
+    return fileName.replace(/\.[^.]+$/, '');
+  }
+
+  /**
+   * Start exporting the range
+   */
+  async start() {
+    if (this.jobId || !this.settings.directory) return;
+
+    const { start, end } = this.range;
+    const jobId = `sequence-${Date.now()}`;
+    this.jobId = jobId;
+    this.stopRequested = false;
+    this.setProgressVisible(true);
+    this.updateProgress(0, end - start + 1);
+    this.updateDialogFields();
+
+    try {
+      const result = await window.electronAPI.exportImageSequence(jobId, this.vc.filePath, {
+        startFrame: start,
+        endFrame: end,
+        frameRate: this.vc.metadata.frameRate,
+        directory: this.settings.directory,
+        prefix: this.getPrefix(),
+        format: this.settings.format
+      });
+
+      this.updateProgress(result.frameCount, result.frameCount);
+      this.elements.progressText.textContent = `Exported ${result.frameCount.toLocaleString()} frames`;
+      this.ui.showToast(`Exported ${result.frameCount.toLocaleString()} frames`);
+    } catch (error) {
+      const cancelled = this.stopRequested;
+      if (!cancelled) {
+        console.error('Failed to export frames:', error);
+      }
+      this.elements.progressText.textContent = cancelled ? 'Export stopped' : 'Export failed';
+      this.ui.showToast(cancelled ? 'Export stopped' : 'Failed to export frames');
+    }
+
+    this.jobId = null;
+    this.updateDialogFields();
+  }
+
+  /**
+   * Update progress bar
+   * @param {number} done - Frames written
+   * @param {number} total - Frames in range
+   */
+  updateProgress(done, total) {
+    const percent = total > 0 ? (done / total) * 100 : 0;
+    this.elements.progressFill.style.width = `${percent}%`;
+    this.elements.progressText.textContent = `${done.toLocaleString()} / ${total.toLocaleString()} frames`;
+  }
+
+  /**
+   * Show or hide the progress area
+   * @param {boolean} visible
+   */
+  setProgressVisible(visible) {
+    this.elements.progress.classList.toggle('visible', visible);
+  }
+}
+
+SequenceExporter.STORAGE_KEY = 'framestep.sequenceExport';
+
+SequenceExporter.DEFAULTS = {
+  format: 'png',
+  directory: null
+};
+
+// Export for use in other modules
+window.SequenceExporter = SequenceExporter;
@@ -0,0 +1,252 @@
+/**
+ * Shortcut Map
+ * Registry of keyboard actions and the key combos bound to them. Actions are registered
+ * with their default combos (see Controls.registerShortcuts); the user's rebindings and
+ * the frame step sizes are kept in localStorage. Combos are written "Ctrl+Shift+E",
+ * "Alt+ArrowLeft", "Space", "?" - Ctrl also stands for Cmd on macOS.
+ */
+class ShortcutMap {
+  constructor() {
+    this.storage = new LocalSettings(ShortcutMap.STORAGE_KEY, ShortcutMap.DEFAULTS);
+    this.settings = this.storage.load();
+    this.settings.bindings = { ...this.settings.bindings }; // Edited in place, so never the defaults
+    this.actions = new Map();   // id -> { id, section, label, help, keys, when, run }
+    this.listeners = [];
+  }
+
+  /**
+   * Persist settings to localStorage and tell listeners
+   */
+  saveSettings() {
+    this.storage.save(this.settings);
+    this.listeners.forEach(callback => callback());
+  }
+
+  /**
+   * Register a callback for binding or step size changes
+   * @param {Function} callback
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Add an action
+   * @param {string} id - Stable name the bindings are stored under
+   * @param {Object} action
+   * @param {string} action.section - Heading in the help overlay and settings
+   * @param {string|Function} action.label - Text, or a function returning it (e.g. with the step size)
+   * @param {string|Function} [action.help] - Help overlay line shared with neighbouring actions
+   * @param {string[]} action.keys - Default combos
+   * @param {Function} [action.when] - Returns false when the action doesn't apply (the key is left alone)
+   * @param {Function} action.run - (event) => void
+   */
+  register(id, action) {
+    this.actions.set(id, { id, ...action });
+  }
+
+  /**
+   * @param {Object} action
+   * @returns {string}
+   */
+  getLabel(action) {
+    return typeof action.label === 'function' ? action.label() : action.label;
+  }
+
+  /**
+   * @param {Object} action
+   * @returns {string} Help overlay text: the shared help line, or the label
+   */
+  getHelp(action) {
+    if (!action.help) return this.getLabel(action);
+    return typeof action.help === 'function' ? action.help() : action.help;
+  }
+
+  /**
+   * Combos bound to an action (the user's, or the defaults)
+   * @param {string} id
+   * @returns {string[]}
+   */
+  getBindings(id) {
+    const custom = this.settings.bindings[id];
+    if (custom) return custom;
+    const action = this.actions.get(id);
+    return action ? action.keys : [];
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} True if the action has the user's combos rather than the defaults
+   */
+  isCustomized(id) {
+    return Boolean(this.settings.bindings[id]);
+  }
+
+  /**
+   * Bind combos to an action, taking them away from any other action
+   * @param {string} id
+   * @param {string[]} combos
+   */
+  setBindings(id, combos) {
+    combos.forEach(combo => {
+      this.findConflicts(combo, id).forEach(otherId => {
+        this.storeBindings(otherId, this.getBindings(otherId).filter(other => other !== combo));
+      });
+    });
+    this.storeBindings(id, combos);
+    this.saveSettings();
+  }
+
+  /**
+   * Record an action's combos, dropping the entry when they match the defaults
+   * @param {string} id
+   * @param {string[]} combos
+   */
+  storeBindings(id, combos) {
+    const defaults = this.actions.get(id).keys;
+    const isDefault = combos.length === defaults.length && combos.every((combo, i) => combo === defaults[i]);
+    if (isDefault) {
+      delete this.settings.bindings[id];
+    } else {
+      this.settings.bindings[id] = [...new Set(combos)];
+    }
+  }
+
+  /**
+   * Actions (other than one) a combo is bound to
+   * @param {string} combo
+   * @param {string} [exceptId]
+   * @returns {string[]} Action ids
+   */
+  findConflicts(combo, exceptId) {
+    const ids = [];
+    this.actions.forEach((action, id) => {
+      if (id !== exceptId && this.getBindings(id).includes(combo)) {
+        ids.push(id);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Put one action (or every action and the step sizes) back to the defaults
+   * Defaults taken back from other actions are removed from them
+   * @param {string} [id]
+   */
+  reset(id) {
+    if (id) {
+      this.setBindings(id, this.actions.get(id).keys);
+      return;
+    }
+    this.settings = { ...ShortcutMap.DEFAULTS, bindings: {} };
+    this.saveSettings();
+  }
+
+  /**
+   * Change a frame step size
+   * @param {string} name - 'step' or 'largeStep'
+   * @param {number} frames
+   */
+  setStep(name, frames) {
+    this.settings[name] = Math.max(1, Math.min(ShortcutMap.MAX_STEP, Math.round(frames) || 1));
+    this.saveSettings();
+  }
+
+  /**
+   * Run the action bound to a key press
+   * @param {KeyboardEvent} e
+   * @returns {Promise<boolean>} True if an action took the key
+   */
+  async handleKeydown(e) {
+    const combo = ShortcutMap.comboFromEvent(e);
+    if (!combo) return false;
+
+    for (const action of this.actions.values()) {
+      if (!this.getBindings(action.id).includes(combo)) continue;
+      if (action.when && !action.when()) continue;
+      e.preventDefault();
+      await action.run(e);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Combo for a key press
+   * Shift is left out for symbols, since it's already part of the character ("?", "<", "+")
+   * @param {KeyboardEvent} e
+   * @returns {string|null} Null for modifier keys on their own
+   */
+  static comboFromEvent(e) {
+    let key = e.key;
+    if (!key || ['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock', 'Dead', 'Unidentified'].includes(key)) {
+      return null;
+    }
+
+    // Alt changes the character on macOS (Alt+M is "µ"); use the physical letter or digit
+    const physical = /^(?:Key([A-Z])|Digit(\d))$/.exec(e.code || '');
+    if (e.altKey && physical) {
+      key = physical[1] || physical[2];
+    }
+
+    if (key === ' ') {
+      key = 'Space';
+    } else if (key.length === 1) {
+      key = key.toUpperCase();
+    }
+
+    const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+    const modifiers = [];
+    if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey && !isSymbol) modifiers.push('Shift');
+    return [...modifiers, key].join('+');
+  }
+
+  /**
+   * Split a combo into key names for display
+   * @param {string} combo
+   * @returns {string[]} e.g. ['Ctrl', '←']
+   */
+  static getKeyNames(combo) {
+    const [, modifiers, key] = /^((?:(?:Ctrl|Alt|Shift)\+)*)(.+)$/.exec(combo);
+    return [
+      ...modifiers.split('+').filter(Boolean),
+      ShortcutMap.KEY_NAMES[key] || key
+    ];
+  }
+
+  /**
+   * @param {string} combo
+   * @returns {string} e.g. "Alt+Shift+←"
+   */
+  static formatCombo(combo) {
+    return ShortcutMap.getKeyNames(combo).join('+');
+  }
+}
+
+ShortcutMap.STORAGE_KEY = 'framestep.shortcuts';
+
+ShortcutMap.DEFAULTS = {
+  step: 1,        // Frames per step
+  largeStep: 10,  // Frames per large step
+  bindings: {}    // Action id -> combos, for actions the user has rebound
+};
+
+ShortcutMap.MAX_STEP = 1000;
+
+// Display names for keys whose KeyboardEvent.key name is long
+ShortcutMap.KEY_NAMES = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  PageUp: 'PgUp',
+  PageDown: 'PgDn',
+  Escape: 'Esc',
+  Delete: 'Del',
+  Insert: 'Ins'
+};
+
+// Export for use in other modules
+window.ShortcutMap = ShortcutMap;
@@ -0,0 +1,231 @@
+/**
+ * Shortcut Settings
+ * Dialog for rebinding keyboard actions: click a key to change it or + to add one, then
+ * press the new combo. A combo already bound elsewhere has to be pressed twice, and then
+ * moves to the new action. Also sets the frame step sizes.
+ */
+class ShortcutSettings {
+  constructor(shortcutMap, uiOverlay) {
+    this.shortcutMap = shortcutMap;
+    this.ui = uiOverlay;
+    this.recording = null;   // { id, index, pendingCombo } - index null when adding a combo
+
+    this.dialog = new Modal('shortcutSettingsDialog');
+    this.dialog.onClose = () => this.stopRecording();
+    this.elements = {
+      step: document.getElementById('shortcutStep'),
+      largeStep: document.getElementById('shortcutLargeStep'),
+      conflict: document.getElementById('shortcutConflict'),
+      list: document.getElementById('shortcutList'),
+      resetAllBtn: document.getElementById('shortcutResetAll')
+    };
+
+    this.onRecordKeydown = this.onRecordKeydown.bind(this);
+
+    ['step', 'largeStep'].forEach(name => {
+      this.elements[name].addEventListener('change', () => {
+        this.shortcutMap.setStep(name, parseInt(this.elements[name].value, 10));
+        this.render();
+      });
+    });
+
+    this.elements.resetAllBtn.addEventListener('click', () => {
+      this.stopRecording();
+      this.shortcutMap.reset();
+      this.render();
+      this.ui.showToast('Shortcuts reset to defaults');
+    });
+  }
+
+  /**
+   * Show the dialog
+   */
+  open() {
+    this.render();
+    this.dialog.open();
+  }
+
+  /**
+   * Build the action list, grouped by section
+   */
+  render() {
+    const { step, largeStep, list } = this.elements;
+    step.value = this.shortcutMap.settings.step;
+    largeStep.value = this.shortcutMap.settings.largeStep;
+
+    list.innerHTML = '';
+    let section = null;
+    this.shortcutMap.actions.forEach(action => {
+      if (action.section !== section) {
+        section = action.section;
+        const heading = document.createElement('div');
+        heading.className = 'shortcut-list-title';
+        heading.textContent = section;
+        list.appendChild(heading);
+      }
+      list.appendChild(this.createRow(action));
+    });
+  }
+
+  /**
+   * One action: its label, its combos and the add / reset buttons
+   * @param {Object} action
+   * @returns {HTMLElement}
+   */
+  createRow(action) {
+    const { id } = action;
+    const row = document.createElement('div');
+    row.className = 'shortcut-row';
+
+    const label = document.createElement('span');
+    label.className = 'shortcut-row-label';
+    label.textContent = this.shortcutMap.getLabel(action);
+    row.appendChild(label);
+
+    const keys = document.createElement('span');
+    keys.className = 'shortcut-row-keys';
+    const bindings = this.shortcutMap.getBindings(id);
+    bindings.forEach((combo, index) => {
+      keys.appendChild(this.createChip(id, index, ShortcutMap.formatCombo(combo)));
+    });
+    if (this.recording && this.recording.id === id && this.recording.index === null) {
+      keys.appendChild(this.createChip(id, null, null));
+    }
+
+    const addBtn = this.createButton('+', 'Add a key', () => this.startRecording(id, null));
+    keys.appendChild(addBtn);
+    row.appendChild(keys);
+
+    const resetBtn = this.createButton('↺', 'Reset to default', () => {
+      this.stopRecording();
+      this.shortcutMap.reset(id);
+      this.render();
+    });
+    resetBtn.disabled = !this.shortcutMap.isCustomized(id);
+    row.appendChild(resetBtn);
+
+    return row;
+  }
+
+  /**
+   * A bound combo (click to change, x to remove), or the one being recorded
+   * @param {string} id
+   * @param {number|null} index - Position in the action's combos, null for a new one
+   * @param {string|null} text - Combo to show, null while recording a new one
+   * @returns {HTMLElement}
+   */
+  createChip(id, index, text) {
+    const chip = document.createElement('button');
+    chip.className = 'shortcut-chip';
+    const isRecording = this.recording && this.recording.id === id && this.recording.index === index;
+
+    if (isRecording) {
+      chip.classList.add('recording');
+      chip.textContent = 'Press keys...';
+      return chip;
+    }
+
+    chip.textContent = text;
+    chip.title = 'Change';
+    chip.addEventListener('click', () => this.startRecording(id, index));
+
+    const remove = document.createElement('span');
+    remove.className = 'shortcut-chip-remove';
+    remove.textContent = '×';
+    remove.title = 'Remove';
+    remove.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.stopRecording();
+      this.shortcutMap.setBindings(id, this.shortcutMap.getBindings(id).filter((combo, i) => i !== index));
+      this.render();
+    });
+    chip.appendChild(remove);
+    return chip;
+  }
+
+  /**
+   * @param {string} text
+   * @param {string} title
+   * @param {Function} onClick
+   * @returns {HTMLButtonElement}
+   */
+  createButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'shortcut-row-btn';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Wait for a combo for an action
+   * @param {string} id
+   * @param {number|null} index - Combo to replace, null to add one
+   */
+  startRecording(id, index) {
+    this.stopRecording();
+    this.recording = { id, index, pendingCombo: null };
+    // Capture phase on window, ahead of the app's own shortcuts and the dialog's Escape
+    window.addEventListener('keydown', this.onRecordKeydown, true);
+    this.render();
+  }
+
+  /**
+   * Stop waiting for a combo
+   */
+  stopRecording() {
+    if (!this.recording) return;
+    this.recording = null;
+    window.removeEventListener('keydown', this.onRecordKeydown, true);
+    this.showConflict(null);
+    this.render();
+  }
+
+  /**
+   * Take the pressed combo (Escape cancels)
+   * @param {KeyboardEvent} e
+   */
+  onRecordKeydown(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const combo = ShortcutMap.comboFromEvent(e);
+    if (!combo) return;
+    if (combo === 'Escape') {
+      this.stopRecording();
+      return;
+    }
+
+    const { id, index } = this.recording;
+    const conflicts = this.shortcutMap.findConflicts(combo, id);
+    if (conflicts.length > 0 && this.recording.pendingCombo !== combo) {
+      this.recording.pendingCombo = combo;
+      const names = conflicts.map(otherId => `"${this.shortcutMap.getLabel(this.shortcutMap.actions.get(otherId))}"`);
+      this.showConflict(`${ShortcutMap.formatCombo(combo)} is used by ${names.join(', ')}. ` +
+        'Press it again to reassign it, or Esc to cancel.');
+      return;
+    }
+
+    const bindings = [...this.shortcutMap.getBindings(id)];
+    if (index === null) {
+      bindings.push(combo);
+    } else {
+      bindings[index] = combo;
+    }
+    this.shortcutMap.setBindings(id, bindings);
+    this.stopRecording();
+  }
+
+  /**
+   * @param {string|null} message - Null hides the warning
+   */
+  showConflict(message) {
+    const { conflict } = this.elements;
+    conflict.textContent = message || '';
+    conflict.classList.toggle('visible', Boolean(message));
+  }
+}
+
+// Export for use in other modules
+window.ShortcutSettings = ShortcutSettings;
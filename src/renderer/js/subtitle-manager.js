@@ -0,0 +1,381 @@
+/**
+ * Subtitle Manager
+ * Shows subtitles over the video and the frame canvas: embedded text streams (converted
+ * by ffmpeg when first selected) and external SRT/WebVTT/ASS files. Cues are resolved to
+ * frames (a cue shows on every frame whose presentation time falls inside it), so what
+ * you see while stepping is exactly what plays, and cue starts and ends can be stepped to.
+ */
+class SubtitleManager {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.tracks = [];      // { label, kind: 'embedded' | 'file', subtitleIndex, isImage, cues }
+    this.current = -1;     // Shown track, -1 = off
+    this.boundaries = [];  // Sorted frames where a cue of the current track starts or ends
+    this.shownKey = null;  // Cues on screen, to skip redundant redraws
+    this.extractJobId = null;
+
+    this.elements = {
+      container: document.getElementById('videoContainer'),
+      overlay: document.getElementById('subtitleOverlay'),
+      select: document.getElementById('subtitleTrackSelect')
+    };
+
+    this.elements.select.addEventListener('change', () => {
+      this.selectTrack(parseInt(this.elements.select.value, 10));
+      this.elements.select.blur();
+    });
+
+    new ResizeObserver(() => this.layout()).observe(this.elements.container);
+
+    this.vc.on('loaded', () => this.loadEmbedded());
+    this.vc.on('indexed', () => {
+      // Exact frame timestamps move cue boundaries
+      this.tracks.forEach(track => this.resolveFrames(track));
+      this.updateBoundaries();
+      this.render();
+    });
+    this.vc.on('frame', () => this.render());
+    this.vc.on('reset', () => this.clear());
+  }
+
+  /**
+   * List the embedded subtitle streams of a newly opened file, showing the default one
+   */
+  loadEmbedded() {
+    const streams = this.vc.metadata.subtitleStreams || [];
+    this.tracks = streams.map((stream, i) => {
+      const name = [stream.language && stream.language !== 'und' ? stream.language : null, stream.title]
+        .filter(Boolean).join(' - ') || `Track ${i + 1}`;
+      const isImage = SubtitleManager.IMAGE_CODECS.includes(stream.codec);
+      return {
+        label: `${name}${stream.isForced ? ' (forced)' : ''}${isImage ? ' (image, not supported)' : ''}`,
+        kind: 'embedded',
+        subtitleIndex: i,
+        isImage,
+        cues: null
+      };
+    });
+
+    const preferred = this.tracks.findIndex((track, i) => !track.isImage && streams[i].isDefault);
+    this.current = -1;
+    this.renderSelect();
+    if (preferred !== -1) {
+      this.selectTrack(preferred, false);
+    }
+  }
+
+  /**
+   * Forget the closed file's tracks
+   */
+  clear() {
+    this.cancelExtraction();
+    this.tracks = [];
+    this.current = -1;
+    this.boundaries = [];
+    this.renderSelect();
+    this.render();
+  }
+
+  /**
+   * Ask for a subtitle file and show it
+   */
+  async openFile() {
+    if (!this.vc.metadata) {
+      this.ui.showToast('Open a video first');
+      return;
+    }
+
+    const filePath = await window.electronAPI.openSubtitleDialog();
+    if (filePath) {
+      await this.loadFile(filePath);
+    }
+  }
+
+  /**
+   * Load an external SRT/WebVTT/ASS file as a new track and show it
+   * @param {string} filePath
+   */
+  async loadFile(filePath) {
+    if (!this.vc.metadata) {
+      this.ui.showToast('Open a video first');
+      return;
+    }
+
+    const fileName = filePath.split('/').pop().split('\\').pop();
+    try {
+      const text = await window.electronAPI.readSubtitleFile(filePath);
+      const cues = SubtitleParser.parse(text, SubtitleParser.detectFormat(fileName, text));
+      if (cues.length === 0) {
+        this.ui.showToast(`No subtitles found in ${fileName}`);
+        return;
+      }
+
+      const track = { label: fileName, kind: 'file', isImage: false, cues };
+      this.resolveFrames(track);
+      this.tracks.push(track);
+      this.renderSelect();
+      this.selectTrack(this.tracks.length - 1, false);
+      this.ui.showToast(`Subtitles: ${fileName} (${cues.length} cues)`);
+    } catch (error) {
+      console.error('Failed to load subtitles:', error);
+      this.ui.showToast(`Failed to load ${fileName}`);
+    }
+  }
+
+  /**
+   * Check if a file name has a subtitle extension
+   * @param {string} fileName
+   * @returns {boolean}
+   */
+  isSubtitleFile(fileName) {
+    const extension = fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+    return SubtitleManager.EXTENSIONS.includes(extension);
+  }
+
+  /**
+   * Show a track (extracting an embedded one on first use) or turn subtitles off
+   * @param {number} index - Position in tracks, -1 for off
+   * @param {boolean} [announce=true] - Show a toast
+   */
+  async selectTrack(index, announce = true) {
+    const track = this.tracks[index];
+    if (track && track.isImage) {
+      this.ui.showToast('Image-based subtitles can\'t be shown');
+      this.elements.select.value = this.current;
+      return;
+    }
+
+    this.current = track ? index : -1;
+    this.elements.select.value = this.current;
+    this.updateBoundaries();
+    this.render();
+    if (announce) {
+      this.ui.showToast(track ? `Subtitles: ${track.label}` : 'Subtitles off');
+    }
+
+    if (track && !track.cues) {
+      await this.extract(track);
+    }
+  }
+
+  /**
+   * Step through the tracks and off
+   */
+  cycleTrack() {
+    const usable = this.tracks.map((track, i) => i).filter(i => !this.tracks[i].isImage);
+    if (usable.length === 0) {
+      this.ui.showToast('No subtitles. Drop an SRT, VTT or ASS file to load one');
+      return;
+    }
+
+    const position = usable.indexOf(this.current);
+    this.selectTrack(position + 1 < usable.length ? usable[position + 1] : -1);
+  }
+
+  /**
+   * Convert an embedded stream to cues with ffmpeg
+   * @param {Object} track
+   */
+  async extract(track) {
+    const { filePath } = this.vc;
+    this.cancelExtraction();
+    const jobId = `subtitles-${Date.now()}`;
+    this.extractJobId = jobId;
+
+    try {
+      const text = await window.electronAPI.extractSubtitles(jobId, filePath, track.subtitleIndex);
+      if (this.vc.filePath !== filePath || !this.tracks.includes(track)) return;
+
+      track.cues = SubtitleParser.parse(text, 'vtt');
+      this.resolveFrames(track);
+      if (this.tracks[this.current] === track) {
+        this.updateBoundaries();
+        this.render();
+      }
+    } catch (error) {
+      if (this.extractJobId === jobId) {
+        console.error('Failed to extract subtitles:', error);
+        this.ui.showToast('Failed to read subtitle track');
+      }
+    }
+
+    if (this.extractJobId === jobId) {
+      this.extractJobId = null;
+    }
+  }
+
+  /**
+   * Stop a subtitle extraction that's still running
+   */
+  cancelExtraction() {
+    if (this.extractJobId) {
+      window.electronAPI.cancelExport(this.extractJobId);
+      this.extractJobId = null;
+    }
+  }
+
+  /**
+   * First frame presented at or after a time
+   * @param {number} time - Seconds
+   * @returns {number}
+   */
+  frameAtOrAfter(time) {
+    const frame = this.vc.timeToFrame(time);
+    return this.vc.frameToTime(frame) < time - 1e-4 ? frame + 1 : frame;
+  }
+
+  /**
+   * Work out the frames each cue covers: [startFrame, endFrame)
+   * @param {Object} track
+   */
+  resolveFrames(track) {
+    if (!track.cues || !this.vc.metadata) return;
+    track.cues.forEach(cue => {
+      cue.startFrame = this.frameAtOrAfter(cue.start);
+      cue.endFrame = this.frameAtOrAfter(cue.end);
+    });
+  }
+
+  /**
+   * Collect the cue start and end frames of the current track
+   */
+  updateBoundaries() {
+    const track = this.tracks[this.current];
+    const frames = new Set();
+    if (track && track.cues) {
+      track.cues.forEach(cue => {
+        frames.add(cue.startFrame);
+        frames.add(cue.endFrame);
+      });
+    }
+    this.boundaries = [...frames].sort((a, b) => a - b);
+  }
+
+  /**
+   * Go to the previous or next frame where a cue starts or ends
+   * @param {number} direction - -1 for previous, 1 for next
+   */
+  async goToCueBoundary(direction) {
+    if (!this.vc.metadata) return;
+    const track = this.tracks[this.current];
+    if (!track || !track.cues) {
+      this.ui.showToast('No subtitles shown');
+      return;
+    }
+
+    const frame = this.vc.currentFrame;
+    const target = direction > 0
+      ? this.boundaries.find(boundary => boundary > frame)
+      : [...this.boundaries].reverse().find(boundary => boundary < frame);
+    if (target === undefined || target >= this.vc.metadata.totalFrames) {
+      this.ui.showToast(direction > 0 ? 'No later cue' : 'No earlier cue');
+      return;
+    }
+
+    await this.vc.goToFrame(target);
+
+    // Name what happens on this frame, e.g. "Cue 12 in, cue 11 out"
+    const events = [];
+    track.cues.forEach((cue, i) => {
+      if (cue.startFrame === target) events.push(`cue ${i + 1} in`);
+      if (cue.endFrame === target) events.push(`cue ${i + 1} out`);
+    });
+    const label = events.join(', ');
+    this.ui.showToast(label.charAt(0).toUpperCase() + label.slice(1));
+  }
+
+  /**
+   * Fill the track select (hidden when there are no tracks)
+   */
+  renderSelect() {
+    const { select } = this.elements;
+    select.innerHTML = '';
+
+    const off = document.createElement('option');
+    off.value = -1;
+    off.textContent = 'Subtitles off';
+    select.appendChild(off);
+
+    this.tracks.forEach((track, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = `${i + 1}: ${track.label}`;
+      option.disabled = track.isImage;
+      select.appendChild(option);
+    });
+
+    select.value = this.current;
+    select.classList.toggle('visible', this.tracks.length > 0);
+  }
+
+  /**
+   * Show the cues of the current frame
+   */
+  render() {
+    const { overlay } = this.elements;
+    const track = this.tracks[this.current];
+    const frame = this.vc.currentFrame;
+    const cues = track && track.cues && this.vc.metadata
+      ? track.cues.filter(cue => cue.startFrame <= frame && frame < cue.endFrame)
+      : [];
+
+    const key = cues.map(cue => `${cue.start}|${cue.text}`).join('\n');
+    if (key === this.shownKey) return;
+    this.shownKey = key;
+
+    overlay.innerHTML = '';
+    cues.forEach(cue => {
+      const line = document.createElement('div');
+      line.className = 'subtitle-cue';
+      line.textContent = cue.text;
+      overlay.appendChild(line);
+    });
+    overlay.classList.toggle('visible', cues.length > 0);
+    this.layout();
+  }
+
+  /**
+   * Place the subtitles at the bottom of the picture, sized to it
+   * Public so zoom and pan can keep them in place
+   */
+  layout() {
+    const { container, overlay } = this.elements;
+    if (!this.vc.metadata || !overlay.classList.contains('visible')) return;
+
+    const surface = this.vc.isFrameMode ? this.vc.canvas : this.vc.videoElement;
+    const { width: sourceWidth, height: sourceHeight } = this.vc.canvas;
+    const rect = surface.getBoundingClientRect();
+    const bounds = container.getBoundingClientRect();
+    if (!sourceWidth || rect.width === 0) return;
+
+    // The picture is letterboxed inside its element (object-fit: contain)
+    const scale = Math.min(rect.width / sourceWidth, rect.height / sourceHeight);
+    const width = sourceWidth * scale;
+    const height = sourceHeight * scale;
+    const left = rect.left - bounds.left + (rect.width - width) / 2;
+    const top = rect.top - bounds.top + (rect.height - height) / 2;
+
+    // Keep them on screen when zoomed in
+    const visibleLeft = Math.max(0, left);
+    const visibleRight = Math.min(bounds.width, left + width);
+    const visibleBottom = Math.min(bounds.height, top + height);
+    const fontSize = Math.max(12, Math.min(48, height * SubtitleManager.FONT_SCALE));
+
+    overlay.style.left = `${visibleLeft}px`;
+    overlay.style.width = `${Math.max(0, visibleRight - visibleLeft)}px`;
+    overlay.style.bottom = `${bounds.height - visibleBottom + fontSize}px`;
+    overlay.style.fontSize = `${fontSize}px`;
+  }
+}
+
+SubtitleManager.EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa'];
+
+// Bitmap subtitle codecs: ffmpeg can't turn them into text
+SubtitleManager.IMAGE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'xsub'];
+
+// Subtitle size as a fraction of the picture height
+SubtitleManager.FONT_SCALE = 0.045;
+
+// Export for use in other modules
+window.SubtitleManager = SubtitleManager;
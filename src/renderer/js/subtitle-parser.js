@@ -0,0 +1,129 @@
+/**
+ * Subtitle Parser
+ * Reads SRT, WebVTT and ASS/SSA text into plain cues ({ start, end, text } in seconds).
+ * Styling is dropped: tags and ASS override blocks are stripped, line breaks are kept.
+ */
+class SubtitleParser {
+  /**
+   * Parse subtitle text
+   * @param {string} text - File contents
+   * @param {string} format - 'srt', 'vtt' or 'ass' (see detectFormat)
+   * @returns {Object[]} Cues sorted by start time
+   */
+  static parse(text, format) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const cues = format === 'ass'
+      ? SubtitleParser.parseAss(normalized)
+      : SubtitleParser.parseTimedBlocks(normalized);
+    return cues
+      .filter(cue => cue.end > cue.start && cue.text)
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+
+  /**
+   * Work out the format from the file name, falling back to the contents
+   * @param {string} fileName
+   * @param {string} text
+   * @returns {string} 'srt', 'vtt' or 'ass'
+   */
+  static detectFormat(fileName, text) {
+    const extension = fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+    if (extension === 'ass' || extension === 'ssa' || /^\s*\[script info\]/i.test(text)) return 'ass';
+    if (extension === 'vtt' || /^\uFEFF?WEBVTT/.test(text)) return 'vtt';
+    return 'srt';
+  }
+
+  /**
+   * SRT and WebVTT: blank-line separated blocks with a "start --> end" line
+   * Blocks without one (WebVTT header, NOTE, STYLE, REGION) are skipped
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  static parseTimedBlocks(text) {
+    const cues = [];
+    text.split(/\n{2,}/).forEach(block => {
+      const lines = block.split('\n');
+      const timing = lines.findIndex(line => line.includes('-->'));
+      if (timing === -1) return;
+
+      const [startText, endText] = lines[timing].split('-->');
+      const start = SubtitleParser.parseTime(startText);
+      const end = SubtitleParser.parseTime(endText);
+      if (start === null || end === null) return;
+
+      cues.push({ start, end, text: SubtitleParser.cleanText(lines.slice(timing + 1).join('\n')) });
+    });
+    return cues;
+  }
+
+  /**
+   * ASS/SSA: Dialogue lines of the [Events] section, laid out by its Format line
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  static parseAss(text) {
+    const cues = [];
+    let inEvents = false;
+    let fields = null;
+
+    text.split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('[')) {
+        inEvents = /^\[events\]$/i.test(trimmed);
+        return;
+      }
+      if (!inEvents) return;
+
+      if (/^format:/i.test(trimmed)) {
+        fields = trimmed.slice(trimmed.indexOf(':') + 1).split(',').map(field => field.trim().toLowerCase());
+      } else if (/^dialogue:/i.test(trimmed) && fields) {
+        // Text is the last field and may itself contain commas
+        const values = trimmed.slice(trimmed.indexOf(':') + 1).split(',');
+        const textValue = values.slice(fields.length - 1).join(',');
+        const start = SubtitleParser.parseTime(values[fields.indexOf('start')]);
+        const end = SubtitleParser.parseTime(values[fields.indexOf('end')]);
+        if (start === null || end === null) return;
+
+        const cueText = textValue
+          .replace(/\{[^}]*\}/g, '')
+          .replace(/\\N/gi, '\n')
+          .replace(/\\h/g, ' ');
+        cues.push({ start, end, text: cueText.trim() });
+      }
+    });
+
+    return cues;
+  }
+
+  /**
+   * Parse a cue time: 00:01:02,500 (SRT), 01:02.500 (WebVTT), 0:01:02.50 (ASS)
+   * @param {string} text
+   * @returns {number|null} Seconds
+   */
+  static parseTime(text) {
+    const match = /(?:(\d+):)?(\d{1,2}):(\d{2})(?:[,.](\d+))?/.exec(text || '');
+    if (!match) return null;
+    const [, hours, minutes, seconds, fraction] = match;
+    return (Number(hours) || 0) * 3600 + Number(minutes) * 60 + Number(seconds) +
+      (fraction ? Number(`0.${fraction}`) : 0);
+  }
+
+  /**
+   * Strip markup from SRT/WebVTT cue text
+   * @param {string} text
+   * @returns {string}
+   */
+  static cleanText(text) {
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+}
+
+// Export for use in other modules
+window.SubtitleParser = SubtitleParser;
@@ -0,0 +1,72 @@
+/**
+ * Cache for low-resolution keyframe thumbnails used by the timeline preview
+ * Holds every thumbnail for the open video (they are small and bounded in number)
+ * and looks up the closest one at or before any frame
+ */
+class ThumbnailCache {
+  constructor() {
+    this.thumbnails = new Map(); // frameNumber -> image data URL
+    this.frames = [];            // Sorted frame numbers of stored thumbnails
+  }
+
+  /**
+   * Store a thumbnail
+   * @param {number} frameNumber - Keyframe the thumbnail was decoded from
+   * @param {string} url - Image data URL
+   */
+  set(frameNumber, url) {
+    if (!this.thumbnails.has(frameNumber)) {
+      // Thumbnails usually arrive in order, so this is normally a push
+      let i = this.frames.length;
+      while (i > 0 && this.frames[i - 1] > frameNumber) i--;
+      this.frames.splice(i, 0, frameNumber);
+    }
+    this.thumbnails.set(frameNumber, url);
+  }
+
+  /**
+   * Get the thumbnail nearest to a frame, preferring the one at or before it
+   * @param {number} frameNumber
+   * @returns {Object|null} { frameNumber, url } or null if there are no thumbnails yet
+   */
+  getNearest(frameNumber) {
+    const frames = this.frames;
+    if (frames.length === 0) return null;
+
+    // Binary search for the last thumbnail at or before the frame
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid] <= frameNumber) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+
+    const nearest = frames[lo];
+    return { frameNumber: nearest, url: this.thumbnails.get(nearest) };
+  }
+
+  /**
+   * Remove all thumbnails
+   */
+  clear() {
+    this.thumbnails.clear();
+    this.frames = [];
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      size: this.thumbnails.size
+    };
+  }
+}
+
+// Export for use in other modules
+window.ThumbnailCache = ThumbnailCache;
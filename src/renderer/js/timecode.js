@@ -0,0 +1,95 @@
+/**
+ * SMPTE Timecode
+ * Converts between frame counts and HH:MM:SS:FF timecode, including drop-frame
+ * timecode for 29.97 and 59.94 fps (written with a ';' before the frames field)
+ */
+class Timecode {
+  /**
+   * Work out the timecode base for a frame rate
+   * @param {number} frameRate - Actual frame rate, e.g. 29.97
+   * @param {boolean} [dropFrame] - Force drop-frame on or off; defaults to on for 29.97/59.94
+   * @returns {{fps: number, dropFrame: boolean}} Nominal (integer) rate and drop-frame flag
+   */
+  static getTimebase(frameRate, dropFrame) {
+    const fps = Math.max(1, Math.round(frameRate));
+    const isNtsc = fps % 30 === 0 && Math.abs(frameRate - fps * 1000 / 1001) < 0.01;
+    return { fps, dropFrame: isNtsc && dropFrame !== false };
+  }
+
+  /**
+   * Number of frame numbers skipped at the start of each minute in drop-frame timecode
+   * @param {number} fps - Nominal rate
+   * @returns {number}
+   */
+  static getDropCount(fps) {
+    return Math.round(fps / 15);
+  }
+
+  /**
+   * Format a frame count as timecode
+   * @param {number} frames - Frames since 00:00:00:00
+   * @param {{fps: number, dropFrame: boolean}} timebase
+   * @returns {string}
+   */
+  static fromFrames(frames, { fps, dropFrame }) {
+    let count = Math.max(0, Math.round(frames));
+
+    if (dropFrame) {
+      // Re-insert the skipped frame numbers: all but every tenth minute drop a few
+      const drop = Timecode.getDropCount(fps);
+      const framesPerMinute = fps * 60 - drop;
+      const framesPer10Minutes = fps * 600 - drop * 9;
+      const tens = Math.floor(count / framesPer10Minutes);
+      const remainder = count % framesPer10Minutes;
+      count += drop * 9 * tens;
+      if (remainder > drop) {
+        count += drop * Math.floor((remainder - drop) / framesPerMinute);
+      }
+    }
+
+    // Timecode wraps at 24 hours
+    count %= fps * 86400;
+
+    const ff = count % fps;
+    const totalSeconds = Math.floor(count / fps);
+    const ss = totalSeconds % 60;
+    const mm = Math.floor(totalSeconds / 60) % 60;
+    const hh = Math.floor(totalSeconds / 3600);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return `${pad(hh)}:${pad(mm)}:${pad(ss)}${dropFrame ? ';' : ':'}${pad(ff)}`;
+  }
+
+  /**
+   * Parse timecode into a frame count
+   * @param {string} text - "HH:MM:SS:FF" or "HH:MM:SS;FF" (also accepts '.' or ',' before the frames)
+   * @param {{fps: number, dropFrame: boolean}} timebase
+   * @returns {number|null} Frames since 00:00:00:00, or null if the text isn't valid timecode
+   */
+  static toFrames(text, { fps, dropFrame }) {
+    const match = /^\s*(\d{1,2}):(\d{2}):(\d{2})[:;.,](\d{2,3})\s*$/.exec(text || '');
+    if (!match) return null;
+
+    const [hh, mm, ss, ff] = match.slice(1).map(Number);
+    if (mm > 59 || ss > 59 || ff >= fps) return null;
+
+    let frames = ((hh * 3600) + (mm * 60) + ss) * fps + ff;
+    if (dropFrame) {
+      const totalMinutes = hh * 60 + mm;
+      frames -= Timecode.getDropCount(fps) * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+    return frames;
+  }
+
+  /**
+   * Check whether timecode text uses the drop-frame separator
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isDropFrameText(text) {
+    return /[;,]\d{2,3}\s*$/.test(text || '');
+  }
+}
+
+// Export for use in other modules
+window.Timecode = Timecode;
@@ -1,6 +1,7 @@
 /**
  * UI Overlay Manager
- * Handles frame number and timestamp display
+ * Handles frame number and timestamp display, in the selected display mode
+ * (SMPTE timecode, 0- or 1-based frames, seconds or feet+frames)
  */
 class UIOverlay {
   constructor() {
@@ -9,20 +10,39 @@ class UIOverlay {
       frameNumber: document.getElementById('frameNumber'),
       totalFrames: document.getElementById('totalFrames'),
       timestamp: document.getElementById('timestamp'),
+      frameType: document.getElementById('frameType'),
+      loopIndicator: document.getElementById('loopIndicator'),
+      onionIndicator: document.getElementById('onionIndicator'),
       timeDisplayCurrent: document.getElementById('timeDisplayCurrent'),
       timeDisplayTotal: document.getElementById('timeDisplayTotal'),
       vfrWarning: document.getElementById('vfrWarning'),
+      vfrWarningText: document.getElementById('vfrWarningText'),
       loadingIndicator: document.getElementById('loadingIndicator'),
+      loadingText: document.getElementById('loadingText'),
       playFeedback: document.getElementById('playFeedback'),
       pauseFeedback: document.getElementById('pauseFeedback'),
       clipboardToast: document.getElementById('clipboardToast'),
       volumeToast: document.getElementById('volumeToast')
     };
 
+    this.storage = new LocalSettings(UIOverlay.STORAGE_KEY, UIOverlay.DEFAULTS);
+    this.settings = this.storage.load();
+    if (!UIOverlay.DISPLAY_MODES[this.settings.displayMode]) {
+      this.settings.displayMode = UIOverlay.DEFAULTS.displayMode;
+    }
     this.totalFramesCount = 0;
     this.duration = 0;
-    this.clipboardToastTimer = null;
+    this.isVFR = false;
+    this.timebase = UIOverlay.DEFAULT_TIMEBASE;
+    this.startTimecodeFrames = 0;
+    this.currentFrame = 0;
+    this.currentTime = 0;
+    this.frameTypes = null;
+    this.keyframeSet = null;
+    this.toastTimer = null;
     this.volumeToastTimer = null;
+
+    this.updateDisplayModeMenu();
   }
 
   /**
@@ -32,8 +52,19 @@ class UIOverlay {
   init(metadata) {
     this.totalFramesCount = metadata.totalFrames;
     this.duration = metadata.duration;
+    this.isVFR = metadata.isVFR;
 
-    this.elements.totalFrames.textContent = metadata.totalFrames.toLocaleString();
+    // A start timecode's separator says whether the source counts drop-frame
+    const startTimecode = metadata.startTimecode;
+    this.timebase = Timecode.getTimebase(
+      metadata.frameRate,
+      startTimecode ? Timecode.isDropFrameText(startTimecode) : undefined
+    );
+    this.startTimecodeFrames = (startTimecode && Timecode.toFrames(startTimecode, this.timebase)) || 0;
+
+    this.currentFrame = 0;
+    this.currentTime = 0;
+    this.renderPosition();
     this.elements.overlay.classList.add('visible');
 
     // Show VFR warning if applicable
@@ -46,15 +77,227 @@ class UIOverlay {
     this.updateTimeDisplay(0, metadata.duration);
   }
 
+  /**
+   * Update the total frame count (e.g. once the exact frame index is available)
+   * @param {number} totalFrames
+   */
+  setTotalFrames(totalFrames) {
+    this.totalFramesCount = totalFrames;
+    this.renderPosition();
+  }
+
+  /**
+   * Reflect frame index progress in the VFR warning
+   * @param {string} state - 'indexing', 'ready' or 'failed'
+   */
+  setFrameIndexState(state) {
+    if (!this.isVFR) return;
+
+    const messages = {
+      indexing: 'Variable frame rate detected - indexing frames...',
+      ready: 'Variable frame rate - using exact frame timestamps',
+      failed: 'Variable frame rate detected - frame numbers are approximate'
+    };
+
+    this.elements.vfrWarningText.textContent = messages[state] || messages.failed;
+    this.elements.vfrWarning.classList.toggle('indexed', state === 'ready');
+  }
+
   /**
    * Update frame display
    * @param {number} frameNumber - Current frame (0-indexed)
    * @param {number} timestamp - Current time in seconds
    */
   update(frameNumber, timestamp) {
-    this.elements.frameNumber.textContent = `Frame: ${(frameNumber + 1).toLocaleString()}`;
-    this.elements.timestamp.textContent = this.formatTimestamp(timestamp);
+    this.currentFrame = frameNumber;
+    this.currentTime = timestamp;
+    this.renderPosition();
     this.updateTimeDisplay(timestamp, this.duration);
+    this.updateFrameType(frameNumber);
+  }
+
+  /**
+   * Draw the current position and total in the selected display mode
+   */
+  renderPosition() {
+    const { frameNumber, totalFrames, timestamp } = this.elements;
+    frameNumber.textContent = this.formatFrameLabel(this.currentFrame, this.currentTime);
+    timestamp.textContent = this.formatTimestamp(this.currentTime);
+
+    // Frame modes show the frame count; the others show where the last frame ends
+    totalFrames.textContent = this.isFrameMode()
+      ? this.totalFramesCount.toLocaleString()
+      : this.formatPosition(this.totalFramesCount, this.duration);
+  }
+
+  /**
+   * Switch how positions are shown
+   * @param {string} mode - A key of UIOverlay.DISPLAY_MODES
+   */
+  setDisplayMode(mode) {
+    if (!UIOverlay.DISPLAY_MODES[mode]) return;
+
+    this.settings.displayMode = mode;
+    this.storage.save(this.settings);
+    this.renderPosition();
+    this.updateDisplayModeMenu();
+    this.showToast(`Display: ${UIOverlay.DISPLAY_MODES[mode]}`);
+  }
+
+  /**
+   * Step to the next display mode
+   */
+  cycleDisplayMode() {
+    const modes = Object.keys(UIOverlay.DISPLAY_MODES);
+    this.setDisplayMode(modes[(modes.indexOf(this.settings.displayMode) + 1) % modes.length]);
+  }
+
+  /**
+   * Tick the selected display mode in the View menu
+   */
+  updateDisplayModeMenu() {
+    document.querySelectorAll('[data-display-mode]').forEach(option => {
+      option.classList.toggle('checked', option.dataset.displayMode === this.settings.displayMode);
+    });
+  }
+
+  /**
+   * Check whether positions are shown as frame numbers
+   * @returns {boolean}
+   */
+  isFrameMode() {
+    return this.settings.displayMode === 'frames0' || this.settings.displayMode === 'frames1';
+  }
+
+  /**
+   * Format a position for labels: "Frame: N" in frame modes, otherwise the position itself
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} seconds - Time of the frame
+   * @returns {string}
+   */
+  formatFrameLabel(frameNumber, seconds) {
+    return this.isFrameMode()
+      ? `Frame: ${this.toDisplayFrame(frameNumber).toLocaleString()}`
+      : this.formatPosition(frameNumber, seconds);
+  }
+
+  /**
+   * Format a position in the selected display mode
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @param {number} seconds - Time of the frame
+   * @returns {string}
+   */
+  formatPosition(frameNumber, seconds) {
+    switch (this.settings.displayMode) {
+      case 'timecode':
+        return this.formatTimecode(frameNumber);
+      case 'seconds':
+        return `${seconds.toFixed(3)}s`;
+      case 'feet':
+        return this.formatFeetFrames(frameNumber);
+      default:
+        return this.toDisplayFrame(frameNumber).toLocaleString();
+    }
+  }
+
+  /**
+   * Format a frame as SMPTE timecode, offset by the file's start timecode
+   * Counts frames rather than time so VFR files still get one code per frame
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @returns {string} "HH:MM:SS:FF", or "HH:MM:SS;FF" for drop-frame
+   */
+  formatTimecode(frameNumber) {
+    return Timecode.fromFrames(this.startTimecodeFrames + frameNumber, this.timebase);
+  }
+
+  /**
+   * Format a frame as 35mm 4-perf footage (16 frames per foot)
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @returns {string} "feet+frames"
+   */
+  formatFeetFrames(frameNumber) {
+    const perFoot = UIOverlay.FRAMES_PER_FOOT;
+    return `${Math.floor(frameNumber / perFoot)}+${String(frameNumber % perFoot).padStart(2, '0')}`;
+  }
+
+  /**
+   * Set the per-frame picture type table used by the frame type display
+   * @param {Object} table - { frameCount, pictTypes, keyframes, packetSizes }
+   */
+  setFrameTypes(table) {
+    this.frameTypes = table;
+    this.keyframeSet = new Set(table.keyframes);
+  }
+
+  /**
+   * Show a frame's picture type, keyframe flag and packet size
+   * @param {number} frameNumber - Frame number (0-indexed)
+   */
+  updateFrameType(frameNumber) {
+    const element = this.elements.frameType;
+    const table = this.frameTypes;
+    if (!table || frameNumber >= table.frameCount) {
+      element.classList.remove('visible');
+      return;
+    }
+
+    const type = table.pictTypes[frameNumber];
+    const isKeyframe = this.keyframeSet.has(frameNumber);
+    element.textContent = `${type}${isKeyframe ? ' KEY' : ''} ${this.formatBytes(table.packetSizes[frameNumber])}`;
+    element.title = `${type === '?' ? 'Unknown' : type}-frame${isKeyframe ? ', keyframe' : ''}, ` +
+      `${table.packetSizes[frameNumber].toLocaleString()} bytes`;
+    element.dataset.type = type;
+    element.classList.toggle('keyframe', isKeyframe);
+    element.classList.add('visible');
+  }
+
+  /**
+   * Format a byte count as B / KB / MB
+   * @param {number} bytes
+   * @returns {string}
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  }
+
+  /**
+   * Show the A/B loop range in the overlay
+   * @param {Object|null} loop - { start, end, enabled }, or null when no loop points are set
+   */
+  setLoopState(loop) {
+    const indicator = this.elements.loopIndicator;
+    if (!loop) {
+      indicator.classList.remove('visible', 'active');
+      return;
+    }
+
+    indicator.textContent = `A-B ${this.toDisplayFrame(loop.start).toLocaleString()}-${this.toDisplayFrame(loop.end).toLocaleString()}`;
+    indicator.title = loop.enabled ? 'Looping (L to turn off)' : 'Loop off (L to turn on)';
+    indicator.classList.toggle('active', loop.enabled);
+    indicator.classList.add('visible');
+  }
+
+  /**
+   * Show the active onion skin / frame difference overlay in the overlay
+   * @param {string|null} label - e.g. "ONION -2/+2", or null when the overlay is off
+   */
+  setOnionIndicator(label) {
+    const indicator = this.elements.onionIndicator;
+    indicator.textContent = label || '';
+    indicator.classList.toggle('visible', Boolean(label));
+  }
+
+  /**
+   * Convert a 0-indexed frame number to the number shown by the frame counter
+   * Exports and filenames use this so their numbering matches the overlay
+   * (1-based unless the 0-based frames display mode is selected)
+   * @param {number} frameNumber - Frame number (0-indexed)
+   * @returns {number}
+   */
+  toDisplayFrame(frameNumber) {
+    return this.settings.displayMode === 'frames0' ? frameNumber : frameNumber + 1;
   }
 
   /**
@@ -111,16 +354,27 @@ class UIOverlay {
 
   /**
    * Show loading indicator
+   * @param {string} [text] - What is being waited for, under the spinner
    */
-  showLoading() {
+  showLoading(text = '') {
+    this.setLoadingText(text);
     this.elements.loadingIndicator.classList.add('visible');
   }
 
+  /**
+   * Change the text under the loading spinner (e.g. progress)
+   * @param {string} text
+   */
+  setLoadingText(text) {
+    this.elements.loadingText.textContent = text;
+  }
+
   /**
    * Hide loading indicator
    */
   hideLoading() {
     this.elements.loadingIndicator.classList.remove('visible');
+    this.setLoadingText('');
   }
 
   /**
@@ -152,20 +406,29 @@ class UIOverlay {
    * @param {boolean} success 
    */
   showClipboardToast(success) {
+    this.showToast(success ? 'Copied frame to clipboard' : 'Failed to copy frame');
+  }
+
+  /**
+   * Show a short feedback message above the controls
+   * @param {string} message
+   * @param {number} [duration=1500] - Time visible in ms
+   */
+  showToast(message, duration = 1500) {
     const toast = this.elements.clipboardToast;
     if (!toast) return;
 
-    toast.textContent = success ? 'Copied frame to clipboard' : 'Failed to copy frame';
+    toast.textContent = message;
     toast.classList.add('visible');
 
-    if (this.clipboardToastTimer) {
-      clearTimeout(this.clipboardToastTimer);
+    if (this.toastTimer) {
+      clearTimeout(this.toastTimer);
     }
 
-    this.clipboardToastTimer = setTimeout(() => {
+    this.toastTimer = setTimeout(() => {
       toast.classList.remove('visible');
-      this.clipboardToastTimer = null;
-    }, 1500);
+      this.toastTimer = null;
+    }, duration);
   }
 
   /**
@@ -195,16 +458,42 @@ class UIOverlay {
    */
   reset() {
     this.elements.overlay.classList.remove('visible');
-    this.elements.vfrWarning.classList.remove('visible');
-    this.elements.frameNumber.textContent = 'Frame: 0';
-    this.elements.totalFrames.textContent = '0';
-    this.elements.timestamp.textContent = '00:00:00.000';
+    this.elements.vfrWarning.classList.remove('visible', 'indexed');
+    this.elements.vfrWarningText.textContent = 'Variable frame rate detected';
+    this.elements.loopIndicator.classList.remove('visible', 'active');
+    this.elements.frameType.classList.remove('visible', 'keyframe');
     this.elements.timeDisplayCurrent.textContent = '00:00';
     this.elements.timeDisplayTotal.textContent = '00:00';
     this.totalFramesCount = 0;
     this.duration = 0;
+    this.isVFR = false;
+    this.timebase = UIOverlay.DEFAULT_TIMEBASE;
+    this.startTimecodeFrames = 0;
+    this.currentFrame = 0;
+    this.currentTime = 0;
+    this.frameTypes = null;
+    this.keyframeSet = null;
+    this.renderPosition();
   }
 }
 
+UIOverlay.STORAGE_KEY = 'framestep.display';
+
+UIOverlay.DISPLAY_MODES = {
+  timecode: 'Timecode',
+  frames0: 'Frames (0-based)',
+  frames1: 'Frames (1-based)',
+  seconds: 'Seconds',
+  feet: 'Feet + Frames'
+};
+
+UIOverlay.DEFAULTS = {
+  displayMode: 'frames1'
+};
+
+UIOverlay.DEFAULT_TIMEBASE = { fps: 30, dropFrame: false };
+
+UIOverlay.FRAMES_PER_FOOT = 16;
+
 // Export for use in other modules
 window.UIOverlay = UIOverlay;
@@ -3,29 +3,65 @@
  * Handles video playback and frame-accurate stepping
  */
 class VideoController {
-  constructor(uiOverlay) {
+  /**
+   * @param {UIOverlay} uiOverlay
+   * @param {Object} [options]
+   * @param {HTMLVideoElement} [options.videoElement] - Video element for a secondary controller
+   * @param {HTMLCanvasElement} [options.canvas] - Frame canvas for a secondary controller
+   */
+  constructor(uiOverlay, { videoElement, canvas } = {}) {
     this.ui = uiOverlay;
     this.frameCache = new FrameCache(30);
+    this.thumbnailCache = new ThumbnailCache();
+    this.thumbnailJobId = null; // Background thumbnail generation for the open file
+    this.frameTypesJobId = null; // Background picture type probe for the open file
+    this.reversePlayer = new ReversePlayer(this);
+
+    // A secondary controller (compare mode) plays into its own elements and leaves
+    // the overlay, timeline, control buttons, titlebar and window size to the main one
+    this.isPrimary = !videoElement;
 
     // DOM Elements
-    this.videoElement = document.getElementById('videoElement');
-    this.canvas = document.getElementById('frameCanvas');
+    this.videoElement = videoElement || document.getElementById('videoElement');
+    this.canvas = canvas || document.getElementById('frameCanvas');
     this.ctx = this.canvas.getContext('2d');
     this.timelineProgress = document.getElementById('timelineProgress');
+    this.timelineRange = document.getElementById('timelineRange');
+    this.timelineLoop = document.getElementById('timelineLoop');
+    this.timelineKeyframes = document.getElementById('timelineKeyframes');
 
     // State
     this.filePath = null;
+    this.proxyPath = null;  // Playable stand-in shown by the video element when the original isn't
+    this.proxyMode = null;  // 'remux' or 'transcode'
+    this.proxyJobId = null; // Proxy being written for the open file
     this.metadata = null;
+    this.frameTimes = null; // Exact per-frame timestamps once the frame index is built
+    this.keyframes = null;  // Sorted keyframe numbers from the frame index
+    this.frameTypes = null; // Per-frame picture type table (pictTypes, keyframes, packetSizes)
     this.currentFrame = 0;
     this.isPlaying = false;
     this.isFrameMode = false; // True when showing extracted frame on canvas
+    this.isReversing = false; // True while playing backwards on the canvas (see ReversePlayer)
     this.isStepping = false;
+    this.inPoint = null;  // Selected range start frame (inclusive)
+    this.outPoint = null; // Selected range end frame (inclusive)
+    this.loopStart = null; // A/B loop start frame (inclusive)
+    this.loopEnd = null;   // A/B loop end frame (inclusive)
+    this.loopEnabled = false;
+    this.isLoopWrapping = false; // True while jumping from B back to A during playback
+    this.loopWrapTimer = null;
     this.volume = 1.0;
     this.previousVolume = 1.0;
     this.playbackRate = 1.0;
     this.playbackRateStep = 0.25;
     this.minPlaybackRate = 0.25;
     this.maxPlaybackRate = 2.0;
+    this.autoPlay = true;          // Start playing when a file opens
+    this.autoResizeWindow = true;  // Fit the window to each opened video
+
+    // Event listeners for feature modules (event name -> callbacks)
+    this.listeners = {};
 
     // Bind methods
     this.onVideoFrame = this.onVideoFrame.bind(this);
@@ -33,6 +69,59 @@ class VideoController {
 
     // Setup video element events
     this.setupVideoEvents();
+
+    // Keyframe ticks are drawn at the timeline's pixel width
+    if (this.isPrimary) {
+      new ResizeObserver(() => this.updateKeyframeUI())
+        .observe(document.getElementById('timeline'));
+    }
+  }
+
+  /**
+   * Subscribe to controller events
+   * Events: 'loaded' (filePath) after a video opens, 'indexed' once exact frame
+   * timestamps are available, 'frame' (frameNumber) when a new frame is shown
+   * (stepping or playback), 'reverse' (isReversing) when reverse playback starts
+   * or stops, 'reset' when the video is closed
+   * @param {string} event - Event name
+   * @param {Function} callback
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+  }
+
+  /**
+   * Notify subscribers of an event
+   * @param {string} event - Event name
+   * @param {...*} args - Passed to each callback
+   */
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(callback => {
+      try {
+        callback(...args);
+      } catch (error) {
+        console.error(`Error in ${event} listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Apply the user's preferences (see Preferences)
+   * @param {Object} settings
+   */
+  applySettings(settings) {
+    this.autoPlay = settings.autoPlay;
+    this.autoResizeWindow = settings.autoResizeWindow;
+    this.frameCache.setMaxSize(settings.frameCacheSize);
+    this.frameCache.prefetchRadius = settings.prefetchRadius;
+    this.minPlaybackRate = settings.minPlaybackRate;
+    this.maxPlaybackRate = settings.maxPlaybackRate;
+
+    // Bring the current speed into the new range
+    this.setPlaybackRate(this.playbackRate);
   }
 
   /**
@@ -53,6 +142,12 @@ class VideoController {
     this.videoElement.addEventListener('pause', () => {
       this.isPlaying = false;
       this.updatePlayPauseUI();
+
+      // Paused mid-wrap: stay on the last loop frame, which is what's on screen
+      if (this.isLoopWrapping) {
+        this.cancelLoopWrap();
+        this.goToFrame(this.getLoopRange().end);
+      }
     });
 
     this.videoElement.addEventListener('ended', () => {
@@ -70,6 +165,20 @@ class VideoController {
       this.updatePlaybackRateUI();
     });
 
+    // Progress of the proxy being written for the open file
+    window.electronAPI.onExportProgress((jobId, done, total) => {
+      if (jobId === this.proxyJobId && this.isPrimary && total > 0) {
+        this.ui.setLoadingText(`Preparing a playable copy... ${Math.round(done / total * 100)}%`);
+      }
+    });
+
+    // Timeline thumbnails arrive one at a time while they are generated
+    window.electronAPI.onThumbnail((jobId, frameNumber, data) => {
+      if (jobId === this.thumbnailJobId) {
+        this.thumbnailCache.set(frameNumber, `data:image/jpeg;base64,${data}`);
+      }
+    });
+
     // Use requestVideoFrameCallback for frame-accurate tracking during playback
     if ('requestVideoFrameCallback' in HTMLVideoElement.prototype) {
       this.videoElement.requestVideoFrameCallback(this.onVideoFrame);
@@ -81,9 +190,7 @@ class VideoController {
    */
   onVideoFrame(now, metadata) {
     if (this.metadata && !this.isFrameMode) {
-      this.currentFrame = Math.round(metadata.mediaTime * this.metadata.frameRate);
-      this.ui.update(this.currentFrame, metadata.mediaTime);
-      this.updateTimeline(metadata.mediaTime / this.metadata.duration);
+      this.onPlaybackFrame(this.timeToFrame(metadata.mediaTime), metadata.mediaTime);
     }
     this.videoElement.requestVideoFrameCallback(this.onVideoFrame);
   }
@@ -94,10 +201,37 @@ class VideoController {
   onTimeUpdate() {
     if (this.metadata && !this.isFrameMode && !('requestVideoFrameCallback' in HTMLVideoElement.prototype)) {
       const time = this.videoElement.currentTime;
-      this.currentFrame = Math.round(time * this.metadata.frameRate);
-      this.ui.update(this.currentFrame, time);
+      this.onPlaybackFrame(this.timeToFrame(time), time);
+    }
+  }
+
+  /**
+   * Track a frame presented by the video element and wrap the A/B loop
+   * @param {number} frame - Presented frame number
+   * @param {number} time - Its presentation time in seconds
+   */
+  onPlaybackFrame(frame, time) {
+    if (this.isLoopWrapping) {
+      // Frames past B keep arriving until the seek back to A lands
+      const { start, end } = this.getLoopRange();
+      if (frame < start || frame > end) return;
+      this.finishLoopWrap();
+    }
+
+    const isNewFrame = frame !== this.currentFrame;
+    this.currentFrame = frame;
+    if (this.isPrimary) {
+      this.ui.update(frame, time);
       this.updateTimeline(time / this.metadata.duration);
     }
+
+    if (this.isPlaying && this.isLoopActive() && frame >= this.getLoopRange().end) {
+      this.startLoopWrap(time);
+    }
+
+    if (isNewFrame) {
+      this.emit('frame', frame);
+    }
   }
 
   /**
@@ -106,7 +240,9 @@ class VideoController {
    */
   async loadVideo(filePath) {
     try {
-      this.ui.showLoading();
+      if (this.isPrimary) {
+        this.ui.showLoading();
+      }
 
       // Reset state
       this.reset();
@@ -117,14 +253,27 @@ class VideoController {
       console.log('Video metadata:', this.metadata);
 
       // Initialize UI
-      this.ui.init(this.metadata);
+      if (this.isPrimary) {
+        this.ui.init(this.metadata);
+      }
 
-      // Load video in video element
-      this.videoElement.src = `file://${filePath}`;
-      await new Promise((resolve, reject) => {
-        this.videoElement.onloadeddata = resolve;
-        this.videoElement.onerror = reject;
-      });
+      // Build the exact frame timestamp table in the background
+      this.loadFrameIndex(filePath);
+
+      // Then decode keyframe thumbnails for the timeline preview
+      if (this.isPrimary) {
+        this.loadThumbnails(filePath);
+      }
+
+      // Load video in video element; files it can't decode are played from a proxy
+      // (frame numbers, times and every ffmpeg operation still use the original)
+      if (!await this.loadSource(filePath)) {
+        const proxyPath = await this.loadProxy(filePath);
+        if (!proxyPath || this.filePath !== filePath) return false;
+        if (!await this.loadSource(proxyPath)) {
+          throw new Error('The video could not be played, even after conversion');
+        }
+      }
 
       // Re-apply playback rate after source load
       this.setPlaybackRate(this.playbackRate);
@@ -135,9 +284,19 @@ class VideoController {
       this.canvas.width = displayWidth;
       this.canvas.height = displayHeight;
 
+      // Show first frame
+      this.currentFrame = 0;
+
+      // A secondary controller is positioned by whoever drives it
+      if (!this.isPrimary) {
+        this.emit('loaded', filePath);
+        return true;
+      }
+
       // Update titlebar with filename
       const filename = filePath.split('/').pop().split('\\').pop();
-      document.getElementById('titlebarTitle').textContent = `${filename} - FrameStep`;
+      document.getElementById('titlebarTitle').textContent =
+        `${filename}${this.proxyPath ? ' (proxy)' : ''} - FrameStep`;
 
       // Hide drop zone
       document.getElementById('dropZone').classList.add('hidden');
@@ -145,77 +304,390 @@ class VideoController {
       // Enable controls
       this.enableControls(true);
 
-      // Show first frame
-      this.currentFrame = 0;
       this.ui.update(0, 0);
       this.updateTimeline(0);
 
       this.ui.hideLoading();
+      if (this.proxyPath) {
+        this.ui.showToast(this.proxyMode === 'remux'
+          ? 'Playing from a remuxed copy (container not supported)'
+          : `Playing from an intra-frame proxy (${this.metadata.codec} not supported)`);
+      }
+
+      this.emit('loaded', filePath);
 
       // Auto-play after loading
-      this.videoElement.play();
+      if (this.autoPlay) {
+        this.videoElement.play();
+      }
 
       // Resize window to fit video
-      this.resizeWindowToVideo();
+      if (this.autoResizeWindow) {
+        this.resizeWindowToVideo();
+      }
 
       return true;
     } catch (error) {
+      // Opening another file cancels this one's proxy
+      if (this.filePath !== filePath) return false;
+
       console.error('Failed to load video:', error);
-      this.ui.hideLoading();
+      if (this.isPrimary) {
+        this.ui.hideLoading();
+      }
       alert(`Failed to load video: ${error.message}`);
       return false;
     }
   }
 
+  /**
+   * Point the video element at a file and wait until it can show a frame
+   * @param {string} sourcePath - Original video or its proxy
+   * @returns {Promise<boolean>} False if the element can't decode the file's video
+   */
+  async loadSource(sourcePath) {
+    this.videoElement.src = `file://${sourcePath}`;
+    try {
+      await new Promise((resolve, reject) => {
+        this.videoElement.onloadeddata = resolve;
+        this.videoElement.onerror = reject;
+      });
+    } catch (error) {
+      return false;
+    }
+
+    // Unsupported video next to supported audio loads as audio only
+    return this.videoElement.videoWidth > 0;
+  }
+
+  /**
+   * Get a playable proxy for the open file from the cache, writing one if needed
+   * @param {string} filePath - Original video
+   * @returns {Promise<string|null>} Proxy path (null if the controller moved on meanwhile)
+   */
+  async loadProxy(filePath) {
+    const jobId = `proxy-${Date.now()}`;
+    this.proxyJobId = jobId;
+    if (this.isPrimary) {
+      this.ui.showLoading('Preparing a playable copy...');
+    }
+
+    try {
+      const { proxyPath, mode } = await window.electronAPI.prepareProxy(jobId, filePath);
+      if (this.proxyJobId !== jobId) {
+        // Closed (or another file opened) while the proxy was being prepared
+        window.electronAPI.releaseProxy(proxyPath);
+        return null;
+      }
+      this.proxyPath = proxyPath;
+      this.proxyMode = mode;
+      return proxyPath;
+    } finally {
+      if (this.proxyJobId === jobId) {
+        this.proxyJobId = null;
+      }
+    }
+  }
+
+  /**
+   * Fetch the per-frame timestamp index and switch frame/time conversion over to it
+   * @param {string} filePath - File the index belongs to
+   */
+  async loadFrameIndex(filePath) {
+    if (this.isPrimary) {
+      this.ui.setFrameIndexState('indexing');
+    }
+
+    try {
+      const index = await window.electronAPI.getFrameIndex(filePath);
+
+      // Ignore results for a file that is no longer open
+      if (this.filePath !== filePath || !this.metadata) return;
+
+      this.frameTimes = index.timestamps;
+      this.keyframes = index.keyframes;
+      this.metadata.totalFrames = index.frameCount;
+
+      // Re-derive the current frame number from the exact timestamps
+      if (!this.isFrameMode) {
+        this.currentFrame = this.timeToFrame(this.videoElement.currentTime);
+      }
+
+      if (this.isPrimary) {
+        this.ui.setTotalFrames(index.frameCount);
+        this.ui.setFrameIndexState('ready');
+        if (!this.isFrameMode) {
+          this.ui.update(this.currentFrame, this.videoElement.currentTime);
+        }
+
+        // Frame positions on the timeline follow the exact timestamps
+        this.updateRangeUI();
+        this.updateLoopUI();
+        this.updateKeyframeUI();
+      }
+
+      this.emit('indexed');
+
+      // Picture types need a full decode, so they come after the index
+      if (this.isPrimary) {
+        this.loadFrameTypes(filePath);
+      }
+    } catch (error) {
+      console.warn('Failed to build frame index:', error);
+      if (this.filePath === filePath && this.isPrimary) {
+        this.ui.setFrameIndexState('failed');
+      }
+    }
+  }
+
+  /**
+   * Fetch the per-frame picture type table and show the current frame's type in the overlay
+   * @param {string} filePath - File the table belongs to
+   */
+  async loadFrameTypes(filePath) {
+    const jobId = `frame-types-${Date.now()}`;
+    this.frameTypesJobId = jobId;
+
+    try {
+      const table = await window.electronAPI.getFrameTypes(jobId, filePath);
+
+      // Ignore results for a file that is no longer open
+      if (this.filePath === filePath && this.metadata) {
+        this.frameTypes = table;
+        this.ui.setFrameTypes(table);
+        this.ui.updateFrameType(this.currentFrame);
+      }
+    } catch (error) {
+      // Cancelled when another file is opened
+      if (this.frameTypesJobId === jobId) {
+        console.warn('Failed to read picture types:', error);
+      }
+    }
+
+    if (this.frameTypesJobId === jobId) {
+      this.frameTypesJobId = null;
+    }
+  }
+
+  /**
+   * Generate low-resolution keyframe thumbnails for the timeline preview
+   * @param {string} filePath - File the thumbnails belong to
+   */
+  async loadThumbnails(filePath) {
+    const jobId = `thumbnails-${Date.now()}`;
+    this.thumbnailJobId = jobId;
+
+    try {
+      await window.electronAPI.generateThumbnails(jobId, filePath, { width: 160 });
+    } catch (error) {
+      // Cancelled when another file is opened
+      if (this.thumbnailJobId === jobId) {
+        console.warn('Failed to generate thumbnails:', error);
+      }
+    }
+
+    if (this.thumbnailJobId === jobId) {
+      this.thumbnailJobId = null;
+    }
+  }
+
+  /**
+   * Convert a frame number to its presentation time
+   * @param {number} frame - Frame number (0-indexed)
+   * @returns {number} Time in seconds
+   */
+  frameToTime(frame) {
+    if (this.frameTimes) {
+      const clamped = Math.max(0, Math.min(frame, this.frameTimes.length - 1));
+      return this.frameTimes[clamped];
+    }
+    return frame / this.metadata.frameRate;
+  }
+
+  /**
+   * Convert a time to the number of the frame displayed at that time
+   * @param {number} time - Time in seconds
+   * @returns {number} Frame number (0-indexed)
+   */
+  timeToFrame(time) {
+    if (this.frameTimes) {
+      // Binary search for the last frame whose timestamp is <= time
+      const times = this.frameTimes;
+      let lo = 0;
+      let hi = times.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (times[mid] <= time + 1e-4) {
+          lo = mid;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      return lo;
+    }
+    return Math.round(time * this.metadata.frameRate);
+  }
+
+  /**
+   * Find the nearest keyframe at or before a frame
+   * @param {number} frame - Frame number (0-indexed)
+   * @returns {number|null} Keyframe number, or null if keyframes aren't known yet
+   */
+  getPreviousKeyframe(frame) {
+    if (!this.keyframes || this.keyframes.length === 0) return null;
+
+    const keyframes = this.keyframes;
+    let lo = 0;
+    let hi = keyframes.length - 1;
+    if (keyframes[0] > frame) return null;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (keyframes[mid] <= frame) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return keyframes[lo];
+  }
+
+  /**
+   * Find the nearest keyframe after a frame
+   * @param {number} frame - Frame number (0-indexed)
+   * @returns {number|null} Keyframe number, or null if there is none or keyframes aren't known yet
+   */
+  getNextKeyframe(frame) {
+    if (!this.keyframes) return null;
+
+    const keyframes = this.keyframes;
+    let lo = 0;
+    let hi = keyframes.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (keyframes[mid] <= frame) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    return lo < keyframes.length ? keyframes[lo] : null;
+  }
+
+  /**
+   * Jump to the keyframe before the current frame
+   */
+  async goToPreviousKeyframe() {
+    if (!this.metadata) return;
+    if (!this.keyframes) {
+      this.ui.showToast('Keyframes are still being indexed');
+      return;
+    }
+
+    const keyframe = this.currentFrame > 0 ? this.getPreviousKeyframe(this.currentFrame - 1) : null;
+    if (keyframe === null) {
+      this.ui.showToast('No previous keyframe');
+      return;
+    }
+    await this.goToFrame(keyframe);
+  }
+
+  /**
+   * Jump to the keyframe after the current frame
+   */
+  async goToNextKeyframe() {
+    if (!this.metadata) return;
+    if (!this.keyframes) {
+      this.ui.showToast('Keyframes are still being indexed');
+      return;
+    }
+
+    const keyframe = this.getNextKeyframe(this.currentFrame);
+    if (keyframe === null) {
+      this.ui.showToast('No next keyframe');
+      return;
+    }
+    await this.goToFrame(keyframe);
+  }
+
+  /**
+   * Get the time to seek the video element to in order to display a frame
+   * Aims between the frame's timestamp and the next one so rounding can't land on a neighbour
+   * @param {number} frame - Frame number (0-indexed)
+   * @returns {number} Time in seconds
+   */
+  frameToSeekTime(frame) {
+    if (this.frameTimes) {
+      const time = this.frameToTime(frame);
+      const next = this.frameTimes[frame + 1];
+      return next !== undefined ? (time + next) / 2 : time + 0.001;
+    }
+    return frame / this.metadata.frameRate;
+  }
+
   /**
    * Step forward or backward by N frames
    * Uses native video seeking (instant, decoder stays warm) like QuickTime
    * @param {number} delta - Number of frames to step (positive = forward, negative = backward)
    */
   async stepFrame(delta) {
+    if (!this.metadata) return;
+
+    let targetFrame = this.currentFrame + delta;
+    if (this.isLoopActive()) {
+      targetFrame = this.constrainToLoop(targetFrame);
+    }
+
+    // Skip if already at boundary
+    targetFrame = Math.max(0, Math.min(targetFrame, this.metadata.totalFrames - 1));
+    if (targetFrame === this.currentFrame && this.isFrameMode) return;
+
+    await this.goToFrame(targetFrame);
+  }
+
+  /**
+   * Show an exact frame (pauses playback and enters frame mode)
+   * @param {number} frame - Frame number (0-indexed), clamped to the video
+   */
+  async goToFrame(frame) {
     if (!this.metadata || this.isStepping) return;
 
     // Pause if playing
     if (this.isPlaying) {
       this.videoElement.pause();
     }
+    if (this.isReversing) {
+      await this.stopReverse(false);
+    }
 
     this.isStepping = true;
 
     try {
-      // Calculate target frame
-      const targetFrame = Math.max(0, Math.min(
-        this.currentFrame + delta,
-        this.metadata.totalFrames - 1
-      ));
-
-      // Skip if already at boundary
-      if (targetFrame === this.currentFrame) {
-        this.isStepping = false;
-        return;
-      }
+      const targetFrame = Math.max(0, Math.min(frame, this.metadata.totalFrames - 1));
 
       // Calculate target time
-      const frameDuration = 1 / this.metadata.frameRate;
-      const targetTime = targetFrame * frameDuration;
+      const targetTime = this.frameToTime(targetFrame);
 
       // Use native video seeking (instant - decoder stays warm)
-      await this.seekVideoToTime(targetTime);
+      await this.seekVideoToTime(this.frameToSeekTime(targetFrame));
 
       // Draw current video frame to canvas (instant)
       this.drawVideoToCanvas();
 
       // Update state
       this.currentFrame = targetFrame;
-      this.ui.update(targetFrame, targetTime);
-      this.ui.showSteppingFeedback();
-      this.updateTimeline(targetTime / this.metadata.duration);
+      if (this.isPrimary) {
+        this.ui.update(targetFrame, targetTime);
+        this.ui.showSteppingFeedback();
+        this.updateTimeline(targetTime / this.metadata.duration);
+      }
 
       // Enter frame mode (show canvas)
       this.enterFrameMode();
 
+      this.emit('frame', targetFrame);
+
     } catch (error) {
-      console.error('Failed to step frame:', error);
+      console.error('Failed to show frame:', error);
     }
 
     this.isStepping = false;
@@ -295,8 +767,7 @@ class VideoController {
       this.canvas.classList.remove('visible');
 
       // Sync video position to current frame
-      const targetTime = this.currentFrame / this.metadata.frameRate;
-      this.videoElement.currentTime = targetTime;
+      this.videoElement.currentTime = this.frameToSeekTime(this.currentFrame);
     }
   }
 
@@ -306,11 +777,12 @@ class VideoController {
   togglePlayPause() {
     if (!this.metadata) return;
 
-    if (this.isPlaying) {
+    if (this.isReversing) {
+      this.stopReverse();
+    } else if (this.isPlaying) {
       this.videoElement.pause();
     } else {
-      this.exitFrameMode();
-      this.videoElement.play();
+      this.play();
     }
   }
 
@@ -319,6 +791,10 @@ class VideoController {
    */
   play() {
     if (!this.metadata) return;
+    if (this.isReversing) {
+      this.stopReverse(false);
+    }
+    this.moveIntoLoop();
     this.exitFrameMode();
     this.videoElement.play();
   }
@@ -328,9 +804,87 @@ class VideoController {
    */
   pause() {
     if (!this.metadata) return;
+    if (this.isReversing) {
+      this.stopReverse();
+    }
     this.videoElement.pause();
   }
 
+  /**
+   * Play backwards from the current frame at the playback speed
+   * Overlays and exact-frame tools treat this like playback: isFrameMode is off until it stops.
+   */
+  playReverse() {
+    if (!this.metadata || this.isReversing) return;
+
+    let from = this.currentFrame;
+    if (this.isLoopActive() && (from <= this.getLoopRange().start || from > this.getLoopRange().end)) {
+      from = this.getLoopRange().end;
+    } else if (from <= 0) {
+      this.ui.showToast('At the first frame');
+      return;
+    }
+
+    if (this.isPlaying) {
+      this.videoElement.pause();
+    }
+    this.isReversing = true;
+    this.isFrameMode = false;
+    this.videoElement.classList.add('hidden');
+    this.canvas.classList.add('visible');
+    this.updatePlayPauseUI();
+    this.emit('reverse', true);
+
+    this.reversePlayer.start(from);
+  }
+
+  /**
+   * Stop reverse playback
+   * @param {boolean} [settle=true] - Show the frame it stopped on as an exact full-resolution frame
+   */
+  async stopReverse(settle = true) {
+    if (!this.isReversing) return;
+
+    this.reversePlayer.stop();
+    this.isReversing = false;
+    this.isFrameMode = true; // The canvas still shows the last frame
+    this.updatePlayPauseUI();
+    this.emit('reverse', false);
+
+    if (settle) {
+      await this.goToFrame(this.currentFrame);
+    }
+  }
+
+  /**
+   * Toggle reverse playback
+   */
+  toggleReverse() {
+    if (this.isReversing) {
+      this.stopReverse();
+    } else {
+      this.playReverse();
+    }
+  }
+
+  /**
+   * Present a frame decoded by the ReversePlayer
+   * @param {number} frame - Frame number (0-indexed)
+   * @param {ImageBitmap} image - The frame, possibly scaled down
+   */
+  showReverseFrame(frame, image) {
+    this.ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+    this.currentFrame = frame;
+
+    if (this.isPrimary) {
+      const time = this.frameToTime(frame);
+      this.ui.update(frame, time);
+      this.updateTimeline(time / this.metadata.duration);
+    }
+
+    this.emit('frame', frame);
+  }
+
   /**
    * Seek to the beginning of the video
    */
@@ -347,18 +901,311 @@ class VideoController {
     if (!this.metadata) return;
 
     const targetTime = progress * this.metadata.duration;
-    const targetFrame = Math.round(targetTime * this.metadata.frameRate);
+    const targetFrame = this.timeToFrame(targetTime);
 
     if (this.isFrameMode || this.videoElement.paused) {
-      // In frame mode, extract the exact frame
-      this.currentFrame = Math.max(0, targetFrame - 1);
-      await this.stepFrame(1);
+      // In frame mode, show the exact frame
+      await this.goToFrame(targetFrame);
     } else {
       // During playback, use video seeking
       this.videoElement.currentTime = targetTime;
     }
   }
 
+  /**
+   * Mark the start of the selected range
+   * @param {number} [frame] - Defaults to the current frame
+   */
+  setInPoint(frame = this.currentFrame) {
+    if (!this.metadata) return;
+    this.inPoint = frame;
+    if (this.outPoint !== null && this.outPoint < frame) {
+      this.outPoint = null;
+    }
+    this.updateRangeUI();
+    this.ui.showToast(`In: frame ${this.ui.toDisplayFrame(frame).toLocaleString()}`);
+  }
+
+  /**
+   * Mark the end of the selected range
+   * @param {number} [frame] - Defaults to the current frame
+   */
+  setOutPoint(frame = this.currentFrame) {
+    if (!this.metadata) return;
+    this.outPoint = frame;
+    if (this.inPoint !== null && this.inPoint > frame) {
+      this.inPoint = null;
+    }
+    this.updateRangeUI();
+    this.ui.showToast(`Out: frame ${this.ui.toDisplayFrame(frame).toLocaleString()}`);
+  }
+
+  /**
+   * Set both ends of the selected range at once (e.g. from a timeline drag)
+   * @param {number} startFrame
+   * @param {number} endFrame
+   */
+  setRange(startFrame, endFrame) {
+    if (!this.metadata) return;
+    this.inPoint = Math.min(startFrame, endFrame);
+    this.outPoint = Math.max(startFrame, endFrame);
+    this.updateRangeUI();
+  }
+
+  /**
+   * Remove the in/out selection
+   */
+  clearRange() {
+    this.inPoint = null;
+    this.outPoint = null;
+    this.updateRangeUI();
+  }
+
+  /**
+   * Get the selected range, defaulting open ends to the start/end of the video
+   * @returns {{start: number, end: number, isSet: boolean}}
+   */
+  getRange() {
+    const lastFrame = Math.max(0, (this.metadata?.totalFrames || 1) - 1);
+    return {
+      start: this.inPoint ?? 0,
+      end: Math.min(this.outPoint ?? lastFrame, lastFrame),
+      isSet: this.inPoint !== null || this.outPoint !== null
+    };
+  }
+
+  /**
+   * Draw the in/out selection on the timeline
+   */
+  updateRangeUI() {
+    if (!this.metadata || (this.inPoint === null && this.outPoint === null)) {
+      this.timelineRange.classList.remove('visible');
+      return;
+    }
+
+    const { start, end } = this.getRange();
+    const duration = this.metadata.duration || 1;
+    const left = this.frameToTime(start) / duration;
+    const endTime = end + 1 < this.metadata.totalFrames ? this.frameToTime(end + 1) : duration;
+    const right = Math.min(1, endTime / duration);
+
+    this.timelineRange.style.left = `${left * 100}%`;
+    this.timelineRange.style.width = `${Math.max(0, right - left) * 100}%`;
+    this.timelineRange.classList.toggle('has-in', this.inPoint !== null);
+    this.timelineRange.classList.toggle('has-out', this.outPoint !== null);
+    this.timelineRange.classList.add('visible');
+  }
+
+  /**
+   * Set loop point A
+   * @param {number} [frame] - Defaults to the current frame
+   */
+  setLoopStart(frame = this.currentFrame) {
+    if (!this.metadata) return;
+    this.loopStart = frame;
+    if (this.loopEnd !== null && this.loopEnd < frame) {
+      this.loopEnd = null;
+    }
+    this.loopEnabled = this.loopEnd !== null || this.loopEnabled;
+    this.updateLoopUI();
+    this.ui.showToast(`Loop A: frame ${this.ui.toDisplayFrame(frame).toLocaleString()}`);
+  }
+
+  /**
+   * Set loop point B
+   * @param {number} [frame] - Defaults to the current frame
+   */
+  setLoopEnd(frame = this.currentFrame) {
+    if (!this.metadata) return;
+    this.loopEnd = frame;
+    if (this.loopStart !== null && this.loopStart > frame) {
+      this.loopStart = null;
+    }
+    this.loopEnabled = this.loopStart !== null || this.loopEnabled;
+    this.updateLoopUI();
+    this.ui.showToast(`Loop B: frame ${this.ui.toDisplayFrame(frame).toLocaleString()}`);
+  }
+
+  /**
+   * Turn the A/B loop on or off, keeping its points
+   */
+  toggleLoop() {
+    if (!this.metadata) return;
+    if (this.loopStart === null && this.loopEnd === null) {
+      this.ui.showToast('Set loop points with A and B');
+      return;
+    }
+    this.loopEnabled = !this.loopEnabled;
+    if (!this.loopEnabled) {
+      this.cancelLoopWrap();
+    }
+    this.updateLoopUI();
+    this.ui.showToast(this.loopEnabled ? 'Loop on' : 'Loop off');
+  }
+
+  /**
+   * Remove both loop points
+   */
+  clearLoop() {
+    const hadLoop = this.loopStart !== null || this.loopEnd !== null;
+    this.cancelLoopWrap();
+    this.loopStart = null;
+    this.loopEnd = null;
+    this.loopEnabled = false;
+    this.updateLoopUI();
+    if (hadLoop) {
+      this.ui.showToast('Loop cleared');
+    }
+  }
+
+  /**
+   * Get the loop range, defaulting an unset point to the start/end of the video
+   * @returns {{start: number, end: number}}
+   */
+  getLoopRange() {
+    const lastFrame = Math.max(0, (this.metadata?.totalFrames || 1) - 1);
+    return {
+      start: Math.min(this.loopStart ?? 0, lastFrame),
+      end: Math.min(this.loopEnd ?? lastFrame, lastFrame)
+    };
+  }
+
+  /**
+   * @returns {boolean} True if playback and stepping are confined to the loop
+   */
+  isLoopActive() {
+    return !!this.metadata && this.loopEnabled && (this.loopStart !== null || this.loopEnd !== null);
+  }
+
+  /**
+   * Keep a stepping target inside the loop: steps wrap around from inside,
+   * and jump to the nearest loop point from outside
+   * @param {number} frame - Unconstrained target frame
+   * @returns {number}
+   */
+  constrainToLoop(frame) {
+    const { start, end } = this.getLoopRange();
+
+    if (this.currentFrame >= start && this.currentFrame <= end) {
+      const length = end - start + 1;
+      return start + ((((frame - start) % length) + length) % length);
+    }
+    return Math.max(start, Math.min(frame, end));
+  }
+
+  /**
+   * Move to loop point A before playing if the playhead is outside the loop (or on B)
+   */
+  moveIntoLoop() {
+    if (!this.isLoopActive()) return;
+
+    const { start, end } = this.getLoopRange();
+    if (this.currentFrame >= start && (this.currentFrame < end || start === end)) return;
+
+    this.currentFrame = start;
+    if (!this.isFrameMode) {
+      this.videoElement.currentTime = this.frameToSeekTime(start);
+    }
+    this.ui.update(start, this.frameToTime(start));
+  }
+
+  /**
+   * Jump from loop point B back to A during playback
+   * The canvas holds frame B until A is presented, so frames past B never show.
+   * @param {number} time - Presentation time of the frame that reached B
+   */
+  startLoopWrap(time) {
+    const { start, end } = this.getLoopRange();
+    this.isLoopWrapping = true;
+
+    this.drawVideoToCanvas();
+    this.canvas.classList.add('visible');
+
+    // Let B stay on screen for its full duration first. On the last frame of the video,
+    // seek straight away - playback would otherwise end and pause before the jump.
+    const isLastFrame = end + 1 >= this.metadata.totalFrames;
+    const hold = isLastFrame
+      ? 0
+      : Math.max(0, (this.frameToTime(end + 1) - time) / this.videoElement.playbackRate * 1000);
+
+    this.loopWrapTimer = setTimeout(() => {
+      this.loopWrapTimer = null;
+      this.videoElement.currentTime = this.frameToSeekTime(start);
+    }, hold);
+  }
+
+  /**
+   * Reveal the video again once the first frame after the jump is presented
+   */
+  finishLoopWrap() {
+    this.isLoopWrapping = false;
+    if (!this.isFrameMode) {
+      this.canvas.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Abort a pending jump back to A
+   */
+  cancelLoopWrap() {
+    if (this.loopWrapTimer) {
+      clearTimeout(this.loopWrapTimer);
+      this.loopWrapTimer = null;
+    }
+    if (this.isLoopWrapping) {
+      this.finishLoopWrap();
+    }
+  }
+
+  /**
+   * Draw the A/B loop on the timeline and show its state in the overlay
+   */
+  updateLoopUI() {
+    if (!this.metadata || (this.loopStart === null && this.loopEnd === null)) {
+      this.timelineLoop.classList.remove('visible');
+      this.ui.setLoopState(null);
+      return;
+    }
+
+    const { start, end } = this.getLoopRange();
+    const duration = this.metadata.duration || 1;
+    const left = this.frameToTime(start) / duration;
+    const endTime = end + 1 < this.metadata.totalFrames ? this.frameToTime(end + 1) : duration;
+    const right = Math.min(1, endTime / duration);
+
+    this.timelineLoop.style.left = `${left * 100}%`;
+    this.timelineLoop.style.width = `${Math.max(0, right - left) * 100}%`;
+    this.timelineLoop.classList.toggle('active', this.loopEnabled);
+    this.timelineLoop.classList.add('visible');
+    this.ui.setLoopState({ start, end, enabled: this.loopEnabled });
+  }
+
+  /**
+   * Draw a tick on the timeline for every keyframe
+   */
+  updateKeyframeUI() {
+    const canvas = this.timelineKeyframes;
+    const scale = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * scale);
+    const height = Math.round(canvas.clientHeight * scale);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (!this.metadata || !this.keyframes || width === 0) return;
+
+    const duration = this.metadata.duration || 1;
+    const tickWidth = Math.max(1, Math.round(scale));
+    ctx.fillStyle = 'rgba(255, 167, 38, 0.85)';
+    this.keyframes.forEach(frame => {
+      const x = Math.min(width - tickWidth, Math.round(this.frameToTime(frame) / duration * width));
+      ctx.fillRect(x, 0, tickWidth, height);
+    });
+  }
+
   /**
    * Update timeline progress bar
    * @param {number} progress - Progress as fraction (0-1)
@@ -371,10 +1218,12 @@ class VideoController {
    * Update play/pause button UI
    */
   updatePlayPauseUI() {
+    if (!this.isPrimary) return;
+
     const playIcon = document.querySelector('#playPauseBtn .play-icon');
     const pauseIcon = document.querySelector('#playPauseBtn .pause-icon');
 
-    if (this.isPlaying) {
+    if (this.isPlaying || this.isReversing) {
       playIcon.style.display = 'none';
       pauseIcon.style.display = 'block';
     } else {
@@ -384,7 +1233,7 @@ class VideoController {
 
     // Show center feedback animation
     if (this.metadata) {
-      this.ui.showPlaybackFeedback(this.isPlaying);
+      this.ui.showPlaybackFeedback(this.isPlaying || this.isReversing);
     }
   }
 
@@ -429,6 +1278,8 @@ class VideoController {
    * Update volume UI components
    */
   updateVolumeUI() {
+    if (!this.isPrimary) return;
+
     const isMuted = this.videoElement.muted || this.videoElement.volume === 0;
     const slider = document.getElementById('volumeSlider');
     const muteBtn = document.getElementById('muteBtn');
@@ -511,6 +1362,8 @@ class VideoController {
    * Update playback rate UI components
    */
   updatePlaybackRateUI() {
+    if (!this.isPrimary) return;
+
     const display = document.getElementById('speedDisplay');
     const downBtn = document.getElementById('speedDownBtn');
     const upBtn = document.getElementById('speedUpBtn');
@@ -552,29 +1405,68 @@ class VideoController {
    * Reset controller state
    */
   reset() {
+    this.cancelLoopWrap();
+    this.reversePlayer.stop();
     this.videoElement.src = '';
     this.videoElement.classList.remove('hidden');
     this.canvas.classList.remove('visible');
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
     this.frameCache.clear();
+    this.thumbnailCache.clear();
+    if (this.proxyJobId) {
+      window.electronAPI.cancelExport(this.proxyJobId);
+      this.proxyJobId = null;
+    }
+    if (this.thumbnailJobId) {
+      window.electronAPI.cancelExport(this.thumbnailJobId);
+      this.thumbnailJobId = null;
+    }
+    if (this.proxyPath) {
+      window.electronAPI.releaseProxy(this.proxyPath);
+    }
+    if (this.frameTypesJobId) {
+      window.electronAPI.cancelExport(this.frameTypesJobId);
+      this.frameTypesJobId = null;
+    }
+    if (this.filePath) {
+      window.electronAPI.closeDecoder(this.filePath);
+    }
     this.filePath = null;
+    this.proxyPath = null;
+    this.proxyMode = null;
     this.metadata = null;
+    this.frameTimes = null;
+    this.keyframes = null;
+    this.frameTypes = null;
     this.currentFrame = 0;
     this.isPlaying = false;
     this.isFrameMode = false;
+    this.isReversing = false;
     this.isStepping = false;
+    this.inPoint = null;
+    this.outPoint = null;
+    this.loopStart = null;
+    this.loopEnd = null;
+    this.loopEnabled = false;
     this.playbackRate = 1.0;
     this.videoElement.playbackRate = this.playbackRate;
 
-    this.ui.reset();
-    this.enableControls(false);
-    this.updateTimeline(0);
-    this.updatePlayPauseUI();
-    this.updatePlaybackRateUI();
+    if (this.isPrimary) {
+      this.ui.reset();
+      this.enableControls(false);
+      this.updateTimeline(0);
+      this.updateRangeUI();
+      this.updateLoopUI();
+      this.updateKeyframeUI();
+      this.updatePlayPauseUI();
+      this.updatePlaybackRateUI();
+
+      // Reset titlebar
+      document.getElementById('titlebarTitle').textContent = 'FrameStep';
+    }
 
-    // Reset titlebar
-    document.getElementById('titlebarTitle').textContent = 'FrameStep';
+    this.emit('reset');
   }
 
   /**
@@ -626,11 +1518,13 @@ class VideoController {
   getState() {
     return {
       isPlaying: this.isPlaying,
-      isPaused: !this.isPlaying && this.metadata !== null,
+      isReversing: this.isReversing,
+      isPaused: !this.isPlaying && !this.isReversing && this.metadata !== null,
       isFrameMode: this.isFrameMode,
+      isLooping: this.isLoopActive(),
       currentFrame: this.currentFrame,
       totalFrames: this.metadata?.totalFrames || 0,
-      currentTime: this.currentFrame / (this.metadata?.frameRate || 1),
+      currentTime: this.metadata ? this.frameToTime(this.currentFrame) : 0,
       duration: this.metadata?.duration || 0,
       playbackRate: this.playbackRate
     };
@@ -0,0 +1,340 @@
+/**
+ * Zoom View
+ * Zooms and pans the frame (up to 3200%) with Ctrl+wheel, drag and the Fit / 1:1 / Fill
+ * presets. One transform is applied to every surface that shows the frame (video, frame
+ * canvas, annotation layer and the compare video), so it carries over stepping, playback
+ * and compare mode. Above 100% pixels are drawn nearest-neighbor.
+ */
+class ZoomView {
+  constructor(videoController, uiOverlay) {
+    this.vc = videoController;
+    this.ui = uiOverlay;
+    this.mode = 'fit';  // 'fit', 'fill' or 'zoom'
+    this.zoom = 1;      // Source pixels per device pixel, in 'zoom' mode
+    this.panX = 0;      // Offset of the frame from its fitted position, in CSS pixels
+    this.panY = 0;
+    this.drag = null;
+    this.suppressClick = false;
+    this.changeListeners = [];
+
+    this.elements = {
+      container: document.getElementById('videoContainer'),
+      display: document.getElementById('zoomDisplay'),
+      targets: [
+        this.vc.videoElement,
+        this.vc.canvas,
+        document.getElementById('annotationCanvas'),
+        document.getElementById('compareVideo'),
+        document.getElementById('compareCanvas')
+      ]
+    };
+
+    this.setupPanning();
+    this.elements.display.addEventListener('click', () => this.cyclePreset());
+
+    // Window resizes (including resizeWindowToVideo on load) move the fitted frame
+    new ResizeObserver(() => this.apply()).observe(this.elements.container);
+
+    this.vc.on('loaded', () => this.setPreset('fit', false));
+    this.vc.on('reset', () => this.setPreset('fit', false));
+
+    this.apply();
+  }
+
+  /**
+   * Register a callback for zoom and pan changes
+   * @param {Function} callback
+   */
+  onChange(callback) {
+    this.changeListeners.push(callback);
+  }
+
+  /**
+   * Drag to pan (left button when the frame is larger than the view, middle button always)
+   * A drag doesn't count as a click, so it doesn't toggle playback or pin inspector points
+   */
+  setupPanning() {
+    const { container } = this.elements;
+
+    container.addEventListener('mousedown', (e) => {
+      if (!this.vc.metadata || !this.elements.targets.includes(e.target)) return;
+      // Left button draws while annotating
+      const isDrawing = e.target.classList.contains('drawing');
+      if (e.button === 1 || (e.button === 0 && this.canPan() && !isDrawing)) {
+        e.preventDefault();
+        this.drag = { x: e.clientX, y: e.clientY, panX: this.panX, panY: this.panY, moved: false };
+      }
+    });
+
+    document.addEventListener('mousemove', (e) => {
+      if (!this.drag) return;
+
+      const dx = e.clientX - this.drag.x;
+      const dy = e.clientY - this.drag.y;
+      if (!this.drag.moved && Math.hypot(dx, dy) < ZoomView.DRAG_THRESHOLD) return;
+
+      if (!this.drag.moved) {
+        this.drag.moved = true;
+        // Stay in the current zoom while panning a preset
+        this.toZoomMode();
+        container.classList.add('panning');
+      }
+      this.panX = this.drag.panX + dx;
+      this.panY = this.drag.panY + dy;
+      this.apply();
+    });
+
+    document.addEventListener('mouseup', () => {
+      if (!this.drag) return;
+      this.suppressClick = this.drag.moved;
+      this.drag = null;
+      container.classList.remove('panning');
+    });
+
+    // Capture phase: runs before the click handlers on the container itself
+    container.addEventListener('click', (e) => {
+      if (this.suppressClick) {
+        this.suppressClick = false;
+        e.stopPropagation();
+      }
+    }, true);
+  }
+
+  /**
+   * The element currently showing the frame
+   * @returns {HTMLVideoElement|HTMLCanvasElement}
+   */
+  getSurface() {
+    return this.vc.isFrameMode ? this.vc.canvas : this.vc.videoElement;
+  }
+
+  /**
+   * Measure the fitted (untransformed) frame
+   * @returns {Object|null} { sourceWidth, sourceHeight, baseScale (CSS px per source px when fitted),
+   *   viewWidth, viewHeight (area the frame is centered in) }
+   */
+  measure() {
+    const surface = this.getSurface();
+    const sourceWidth = this.vc.canvas.width;
+    const sourceHeight = this.vc.canvas.height;
+    if (!this.vc.metadata || !sourceWidth || !surface.offsetWidth) return null;
+
+    // offsetWidth/Height ignore transforms; the frame is letterboxed inside (object-fit: contain)
+    const baseScale = Math.min(surface.offsetWidth / sourceWidth, surface.offsetHeight / sourceHeight);
+
+    // Compare mode gives each surface its own box; otherwise the frame is centered in the container
+    const { container } = this.elements;
+    const ownBox = container.classList.contains('comparing');
+    return {
+      sourceWidth,
+      sourceHeight,
+      baseScale,
+      viewWidth: ownBox ? surface.offsetWidth : container.clientWidth,
+      viewHeight: ownBox ? surface.offsetHeight : container.clientHeight
+    };
+  }
+
+  /**
+   * Transform scale for the current mode
+   * @param {Object} size - From measure()
+   * @returns {number} Multiplier over the fitted size
+   */
+  getScale(size) {
+    if (this.mode === 'fill') {
+      return Math.max(size.viewWidth / size.sourceWidth, size.viewHeight / size.sourceHeight) / size.baseScale;
+    }
+    if (this.mode === 'zoom') {
+      return this.zoom / window.devicePixelRatio / size.baseScale;
+    }
+    return 1;
+  }
+
+  /**
+   * Current zoom as source pixels per device pixel (1 = 100%, one source pixel per screen pixel)
+   * @returns {number|null}
+   */
+  getZoom() {
+    const size = this.measure();
+    if (!size) return null;
+    return this.mode === 'zoom' ? this.zoom : size.baseScale * this.getScale(size) * window.devicePixelRatio;
+  }
+
+  /**
+   * Switch from a preset to the same zoom level as a free zoom
+   */
+  toZoomMode() {
+    if (this.mode === 'zoom') return;
+    const zoom = this.getZoom();
+    if (zoom === null) return;
+    this.mode = 'zoom';
+    this.zoom = zoom;
+  }
+
+  /**
+   * @returns {boolean} True if the frame is larger than the view in either direction
+   */
+  canPan() {
+    const size = this.measure();
+    if (!size) return false;
+    const scale = size.baseScale * this.getScale(size);
+    return size.sourceWidth * scale > size.viewWidth + 1 || size.sourceHeight * scale > size.viewHeight + 1;
+  }
+
+  /**
+   * Apply a preset
+   * @param {string} preset - 'fit', 'fill' or 'actual' (1:1)
+   * @param {boolean} [announce=true] - Show a toast
+   */
+  setPreset(preset, announce = true) {
+    this.mode = preset === 'actual' ? 'zoom' : preset;
+    this.zoom = 1;
+    this.panX = 0;
+    this.panY = 0;
+    this.apply();
+    if (announce && this.vc.metadata) {
+      this.ui.showToast(`Zoom: ${ZoomView.PRESETS[preset]}`);
+    }
+  }
+
+  /**
+   * Step through Fit, 1:1 and Fill
+   */
+  cyclePreset() {
+    if (!this.vc.metadata) return;
+    const presets = Object.keys(ZoomView.PRESETS);
+    const current = this.mode === 'zoom' ? (this.zoom === 1 ? 'actual' : null) : this.mode;
+    const next = current ? presets[(presets.indexOf(current) + 1) % presets.length] : 'fit';
+    this.setPreset(next);
+  }
+
+  /**
+   * Zoom so the frame point under the cursor stays put
+   * @param {number} zoom - Target zoom (source pixels per device pixel)
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  zoomTo(zoom, clientX, clientY) {
+    const size = this.measure();
+    if (!size) return;
+
+    const surface = this.getSurface();
+    const oldScale = this.getScale(size);
+    this.toZoomMode();
+    this.zoom = Math.max(ZoomView.MIN_ZOOM, Math.min(ZoomView.MAX_ZOOM, zoom));
+    const newScale = this.getScale(size);
+
+    // The transform scales about the surface center, which the pan moves
+    const rect = surface.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2 - this.panX;
+    const centerY = rect.top + rect.height / 2 - this.panY;
+    const frameX = (clientX - centerX - this.panX) / oldScale;
+    const frameY = (clientY - centerY - this.panY) / oldScale;
+    this.panX = clientX - centerX - frameX * newScale;
+    this.panY = clientY - centerY - frameY * newScale;
+
+    this.apply();
+  }
+
+  /**
+   * Zoom with the mouse wheel around the cursor
+   * @param {WheelEvent} e
+   */
+  zoomWithWheel(e) {
+    const zoom = this.getZoom();
+    if (zoom === null) return;
+    this.zoomTo(zoom * Math.exp(-e.deltaY * ZoomView.WHEEL_SPEED), e.clientX, e.clientY);
+  }
+
+  /**
+   * Zoom to the next step in or out, around the middle of the view
+   * @param {number} direction - 1 to zoom in, -1 to zoom out
+   */
+  zoomStep(direction) {
+    const zoom = this.getZoom();
+    if (zoom === null) return;
+
+    const steps = ZoomView.STEPS;
+    const next = direction > 0
+      ? steps.find(step => step > zoom * 1.001) ?? ZoomView.MAX_ZOOM
+      : [...steps].reverse().find(step => step < zoom / 1.001) ?? ZoomView.MIN_ZOOM;
+
+    const rect = this.elements.container.getBoundingClientRect();
+    this.zoomTo(next, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+
+  /**
+   * Keep the frame covering the view where it's larger than the view, centered where it's smaller
+   * @param {Object} size - From measure()
+   * @param {number} scale - Transform scale
+   */
+  clampPan(size, scale) {
+    const width = size.sourceWidth * size.baseScale * scale;
+    const height = size.sourceHeight * size.baseScale * scale;
+    const maxX = Math.max(0, (width - size.viewWidth) / 2);
+    const maxY = Math.max(0, (height - size.viewHeight) / 2);
+    this.panX = Math.max(-maxX, Math.min(maxX, this.panX));
+    this.panY = Math.max(-maxY, Math.min(maxY, this.panY));
+  }
+
+  /**
+   * Apply zoom and pan to the frame surfaces and update the indicator
+   */
+  apply() {
+    const { container, display, targets } = this.elements;
+    const size = this.measure();
+
+    let transform = '';
+    let scale = 1;
+    let zoom = null;
+    if (size && this.mode !== 'fit') {
+      scale = this.getScale(size);
+      this.clampPan(size, scale);
+      transform = `translate(${this.panX}px, ${this.panY}px) scale(${scale})`;
+      zoom = this.getZoom();
+    } else {
+      this.panX = 0;
+      this.panY = 0;
+    }
+
+    targets.forEach(target => {
+      target.style.transform = transform;
+    });
+    // The compare wipe is clipped in the layer's own (transformed) coordinates
+    container.style.setProperty('--zoom-scale', scale);
+    container.style.setProperty('--zoom-pan-x', `${this.panX}px`);
+    container.classList.toggle('zoomed', transform !== '');
+    container.classList.toggle('zoom-pixelated', zoom !== null && zoom > 1.001);
+    container.classList.toggle('zoom-pannable', this.canPan());
+
+    if (!size || this.mode === 'fit') {
+      display.textContent = 'Fit';
+    } else if (this.mode === 'fill') {
+      display.textContent = 'Fill';
+    } else {
+      display.textContent = `${Math.round(zoom * 100)}%`;
+    }
+
+    this.changeListeners.forEach(callback => callback());
+  }
+}
+
+ZoomView.PRESETS = {
+  fit: 'Fit',
+  actual: '1:1',
+  fill: 'Fill'
+};
+
+ZoomView.MIN_ZOOM = 0.1;
+ZoomView.MAX_ZOOM = 32;
+
+// Keyboard zoom levels (source pixels per device pixel)
+ZoomView.STEPS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+
+// Zoom factor per wheel delta unit (one notch of ~100 zooms by about 22%)
+ZoomView.WHEEL_SPEED = 0.002;
+
+// Pixels the mouse must move before a press becomes a pan
+ZoomView.DRAG_THRESHOLD = 3;
+
+// Export for use in other modules
+window.ZoomView = ZoomView;